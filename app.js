@@ -39,6 +39,9 @@ import partnerUserChatRoutes from './routes/chatRoutes.js';
 // ============ Alerts & Announcements ============
 import alertRoutes from './routes/alerts.js';
 import announcementRoutes from './routes/announcements.js';
+import workflowRoutes from './routes/workflows.js';
+import caseCategoryRoutes from './routes/caseCategories.js';
+import slaPolicyRoutes from './routes/slaPolicies.js';
 
 // ============ Geo Features ============
 import areaRoutes from './routes/areas.js';
@@ -52,6 +55,8 @@ import partnerRegisterRoutes from './routes/mobile/partnerRegister.js';
 // Import services
 import { initializeSuperAdmin } from './config/initSuperAdmin.js';
 import { setupVoiceAgentWebSocket } from './routes/mobile/voiceAgent.js';
+import { startSlaWorker } from './services/slaService.js';
+import { startSosWorker } from './services/sosService.js';
 
 
 // ============ NEW: Import Chat WebSocket Service ============
@@ -105,6 +110,8 @@ mongoose.connect(MONGODB_URI)
   .then(async () => {
     console.log('MongoDB connected successfully');
     await initializeSuperAdmin();
+    startSlaWorker();
+    startSosWorker();
   })
   .catch((err) => console.error('MongoDB connection error:', err));
 
@@ -153,6 +160,9 @@ app.use('/api/public', publicRoutes);
 // ============ Alerts & Announcements ============
 app.use('/api/alerts', alertRoutes);
 app.use('/api/announcements', announcementRoutes);
+app.use('/api/workflows', workflowRoutes);
+app.use('/api/case-categories', caseCategoryRoutes);
+app.use('/api/sla-policies', slaPolicyRoutes);
 
 // ============ Geo Features ============
 app.use('/api/areas', areaRoutes);
@@ -149,6 +149,19 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional Authentication Middleware
+ * Runs `authenticate` only when an Authorization header is present, so public
+ * routes can still tailor their response to the caller's tenant.
+ */
+export const optionalAuthenticate = (req, res, next) => {
+  const authHeader = req.header('Authorization') || req.headers.authorization;
+  if (!authHeader) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
 /**
  * Role-based Authorization Middleware
  */
@@ -191,6 +204,7 @@ export const authMiddleware = authenticate;
 
 export default {
   authenticate,
+  optionalAuthenticate,
   authorize,
   generateToken,
   authenticateToken,
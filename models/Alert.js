@@ -1,7 +1,5 @@
 import mongoose from 'mongoose';
 
-const VALID_STATUSES = ['Reported', 'Under Review', 'Verified', 'Action Taken', 'Resolved', 'Rejected'];
-
 const alertSchema = new mongoose.Schema(
     {
         title: {
@@ -41,6 +39,27 @@ const alertSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        // ── REPORTING MODE ────────────────────────────────────────────────────
+        // anonymous: reporter identity (userId/createdBy) is redacted from every
+        // staff-facing response; only a super admin can reveal it, under audit.
+        // onBehalfOf: someone other than the victim filed the case (guardian, witness…)
+        reporting: {
+            anonymous: {
+                type: Boolean,
+                default: false
+            },
+            onBehalfOf: {
+                relationship: {
+                    type: String,
+                    enum: ['guardian', 'parent', 'relative', 'witness', 'friend', 'other', null],
+                    default: null
+                },
+                name: { type: String, trim: true, maxlength: 100, default: null },
+                age: { type: Number, min: 0, max: 120, default: null },
+                isMinor: { type: Boolean, default: false },
+                phone: { type: String, trim: true, maxlength: 20, default: null }
+            }
+        },
         // Partner currently handling this case
         assignedPartnerId: {
             type: mongoose.Schema.Types.ObjectId,
@@ -51,16 +70,17 @@ const alertSchema = new mongoose.Schema(
             type: Object,
             default: {}
         },
+        // Allowed values and transitions come from the client's CaseWorkflow
+        // (see services/workflowService.js) — not enforced at schema level.
         status: {
             type: String,
-            enum: VALID_STATUSES,
-            default: 'Reported'
+            default: 'Reported',
+            trim: true
         },
         timeline: [
             {
                 status: {
-                    type: String,
-                    enum: VALID_STATUSES
+                    type: String
                 },
                 // Category-specific operational basis for the status update
                 basisType: {
@@ -82,13 +102,67 @@ const alertSchema = new mongoose.Schema(
                 updatedByName: {
                     type: String,
                     default: null
-                }
+                },
+                updatedByRole: {
+                    type: String,
+                    default: null
+                },
+                // Who may see this entry (see services/caseTimelineService.js):
+                //   citizen  — everyone, incl. the reporting citizen
+                //   internal — officers + client, hidden from the citizen
+                //   client   — client (and admins) only
+                visibility: {
+                    type: String,
+                    enum: ['citizen', 'internal', 'client'],
+                    default: 'citizen'
+                },
+                // Evidence files (photos, FIR PDFs, CCTV clips) stored in S3/R2
+                attachments: [
+                    {
+                        key: { type: String, required: true },
+                        fileName: { type: String, default: '' },
+                        contentType: { type: String, default: '' },
+                        size: { type: Number, default: 0 },
+                        uploadedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+                        uploadedByRole: { type: String, default: null },
+                        uploadedAt: { type: Date, default: Date.now }
+                    }
+                ]
             }
         ],
         isActive: {
             type: Boolean,
             default: true
         },
+        // ── CASE MEDIA ────────────────────────────────────────────────────────
+        // Citizen-uploaded photos / video / audio (see services/caseMediaService.js).
+        // Only storage keys are kept; reads go through short-lived signed URLs.
+        media: [
+            {
+                key: { type: String, required: true },
+                thumbnailKey: { type: String, default: null },
+                kind: { type: String, enum: ['image', 'video', 'audio'] },
+                contentType: { type: String },
+                size: { type: Number },
+                // SHA-256 of the original bytes
+                hash: { type: String },
+                originalName: { type: String, default: '' },
+                // From EXIF when present
+                capturedAt: { type: Date, default: null },
+                gps: {
+                    lat: { type: Number },
+                    lng: { type: Number }
+                },
+                // How the EXIF data compares to the report's location / time
+                corroboration: {
+                    distanceMeters: { type: Number, default: null },
+                    minutesBeforeReport: { type: Number, default: null },
+                    consistent: { type: Boolean, default: null }
+                },
+                uploadedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+                uploadedAt: { type: Date, default: Date.now }
+            }
+        ],
         // ── GEO ROUTING FIELDS ────────────────────────────────────────────────
         // GPS coordinates where citizen submitted the case
         location: {
@@ -111,6 +185,180 @@ const alertSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Partner',
             default: null
+        },
+        // Camera a "camera_issue" report was attached to (nearest one, see services/cameraService.js)
+        cameraId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Camera',
+            default: null
+        },
+        // ── CCTV FOOTAGE REQUESTS ─────────────────────────────────────────────
+        // One per camera the officers asked for footage from
+        footageRequests: [
+            {
+                cameraId: { type: mongoose.Schema.Types.ObjectId, ref: 'Camera', required: true },
+                cameraName: { type: String, default: '' },
+                status: {
+                    type: String,
+                    enum: ['requested', 'received', 'not_available'],
+                    default: 'requested'
+                },
+                // Stretch of footage asked for
+                windowFrom: { type: Date, default: null },
+                windowTo: { type: Date, default: null },
+                note: { type: String, default: '' },
+                requestedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+                requestedByName: { type: String, default: null },
+                requestedAt: { type: Date, default: Date.now },
+                updatedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+                updatedAt: { type: Date, default: Date.now }
+            }
+        ],
+        // Why routing picked this area / officer (audit trail of the automatic decision)
+        routing: {
+            strategy: { type: String, default: null },
+            matchType: { type: String, enum: ['exact', 'nearest', null], default: null },
+            areaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Area', default: null },
+            partnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner', default: null },
+            reason: { type: String, default: '' },
+            // Officers the strategy chose between, with the figure it compared
+            candidates: [
+                {
+                    _id: false,
+                    partnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner' },
+                    openCases: { type: Number, default: null },
+                    distanceMeters: { type: Number, default: null }
+                }
+            ],
+            decidedAt: { type: Date, default: null }
+        },
+        // Source document when migrated from the retired Case model
+        // (scripts/migrate_cases_to_alerts.js); null for cases opened as Alerts
+        legacyCaseId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null
+        },
+        // ── ASSIGNMENT HISTORY ────────────────────────────────────────────────
+        // Every explicit reassignment / area or client transfer, with its reason
+        assignmentHistory: [
+            {
+                _id: false,
+                kind: {
+                    type: String,
+                    enum: ['reassign', 'area_transfer', 'client_transfer']
+                },
+                fromPartnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner', default: null },
+                toPartnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner', default: null },
+                fromAreaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Area', default: null },
+                toAreaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Area', default: null },
+                fromClientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', default: null },
+                toClientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Client', default: null },
+                reason: { type: String, default: '' },
+                by: { type: mongoose.Schema.Types.ObjectId, default: null },
+                byRole: { type: String, default: null },
+                at: { type: Date, default: Date.now }
+            }
+        ],
+        // ── CITIZEN FEEDBACK ──────────────────────────────────────────────────
+        // Filled in by the reporting citizen once the case is closed
+        feedback: {
+            confirmedAt: { type: Date, default: null },
+            rating: { type: Number, min: 1, max: 5, default: null },
+            comment: { type: String, trim: true, maxlength: 1000, default: '' },
+            ratedAt: { type: Date, default: null },
+            // Officer / area credited with the rating (snapshot at rating time)
+            ratedPartnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner', default: null },
+            ratedAreaId: { type: mongoose.Schema.Types.ObjectId, ref: 'Area', default: null },
+            reopenCount: { type: Number, default: 0 },
+            reopenRequests: [
+                {
+                    _id: false,
+                    reason: { type: String, trim: true },
+                    fromStatus: { type: String },
+                    at: { type: Date, default: Date.now }
+                }
+            ]
+        },
+        // ── SOS LIVE SESSION ──────────────────────────────────────────────────
+        // Set on panic-button cases (metadata.type = 'sos'); see services/sosService.js
+        sos: {
+            active: { type: Boolean, default: false },
+            startedAt: { type: Date, default: null },
+            endedAt: { type: Date, default: null },
+            endedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+            // Area owner must acknowledge before this, else nearby partners are pulled in
+            ackDeadline: { type: Date, default: null },
+            acknowledgedAt: { type: Date, default: null },
+            acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Partner', default: null },
+            escalatedAt: { type: Date, default: null },
+            // Escalation-worker lease: the instance that claimed the session escalates it
+            lockedUntil: { type: Date, default: null },
+            // Every partner receiving the live stream (area owner + fallbacks)
+            notifiedPartnerIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Partner' }],
+            lastLocation: {
+                lat: { type: Number },
+                lng: { type: Number },
+                accuracy: { type: Number },
+                at: { type: Date }
+            },
+            // Most recent points only (capped on write)
+            trail: [
+                {
+                    _id: false,
+                    lat: Number,
+                    lng: Number,
+                    accuracy: Number,
+                    at: Date
+                }
+            ]
+        },
+        // ── DUPLICATE / RELATED REPORT CLUSTERING ────────────────────────────
+        // Set on a linked report; partners work the parent case only
+        parentAlertId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alert',
+            default: null
+        },
+        linkMethod: {
+            type: String,
+            enum: ['auto', 'manual', null],
+            default: null
+        },
+        // Maintained on the parent: number of reports linked under it
+        linkedReportCount: {
+            type: Number,
+            default: 0
+        },
+        // ── SLA TRACKING ──────────────────────────────────────────────────────
+        // Snapshot of the matching SlaPolicy taken at creation (see services/slaService.js)
+        sla: {
+            policyId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'SlaPolicy',
+                default: null
+            },
+            targets: [
+                {
+                    _id: false,
+                    status: { type: String },
+                    dueAt: { type: Date },
+                    metAt: { type: Date, default: null },
+                    breachedAt: { type: Date, default: null }
+                }
+            ],
+            breached: {
+                type: Boolean,
+                default: false
+            },
+            escalationCount: {
+                type: Number,
+                default: 0
+            },
+            // Breach-worker lease: the instance that claimed the case escalates it
+            lockedUntil: {
+                type: Date,
+                default: null
+            }
         }
     },
     {
@@ -122,7 +370,7 @@ const alertSchema = new mongoose.Schema(
 alertSchema.pre('save', function (next) {
     if (this.isNew && this.timeline.length === 0) {
         this.timeline.push({
-            status: 'Reported',
+            status: this.status,
             timestamp: new Date(),
             note: 'Case reported by citizen',
             updatedBy: this.createdBy,
@@ -141,6 +389,18 @@ alertSchema.index({ assignedPartnerId: 1, status: 1, createdAt: -1 });
 alertSchema.index({ location: '2dsphere' });
 // Compound index for area-based partner dashboard queries
 alertSchema.index({ areaId: 1, status: 1, createdAt: -1 });
+// SLA worker — open cases with targets coming due
+alertSchema.index({ isActive: 1, 'sla.targets.dueAt': 1 });
+// Linked reports of a parent case
+alertSchema.index({ parentAlertId: 1, createdAt: 1 });
+// SOS acknowledgement sweep
+alertSchema.index({ 'sos.active': 1, 'sos.acknowledgedAt': 1, 'sos.ackDeadline': 1 });
+// Citizen rating roll-ups
+alertSchema.index({ clientId: 1, 'feedback.ratedPartnerId': 1, 'feedback.rating': 1 });
+// Case analytics — tenant + map window ($geoWithin) + time range
+alertSchema.index({ clientId: 1, location: '2dsphere', createdAt: -1 });
+// Migration re-runs skip Case documents already converted
+alertSchema.index({ legacyCaseId: 1 }, { unique: true, partialFilterExpression: { legacyCaseId: { $type: 'objectId' } } });
 
 const Alert = mongoose.model('Alert', alertSchema);
 export default Alert;
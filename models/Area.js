@@ -11,6 +11,29 @@ const areaSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // ── JURISDICTION HIERARCHY ──────────────────────────────────────────────
+    // zone → station → beat under the client (the city). Cases route to the deepest match.
+    level: {
+        type: String,
+        enum: ['zone', 'station', 'beat'],
+        default: 'beat',
+        index: true
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Area',
+        default: null,
+        index: true
+    },
+    // Every area above this one, root first — lets subtree queries use one index lookup
+    ancestors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Area'
+    }],
+    depth: {
+        type: Number,
+        default: 0
+    },
     // Which client (city owner) this area belongs to
     clientId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +48,17 @@ const areaSchema = new mongoose.Schema({
         default: null,
         index: true
     },
+    // Escalation targets — used when a case in this area breaches its SLA
+    backupPartnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Partner',
+        default: null
+    },
+    supervisorPartnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Partner',
+        default: null
+    },
     boundary: {
         type: {
             type: String,
@@ -37,6 +71,38 @@ const areaSchema = new mongoose.Schema({
             required: true
         }
     },
+    // Officers serving this area and when they are on duty. Routing picks the
+    // on-duty officer; partnerId above remains the fallback owner.
+    roster: [
+        {
+            partnerId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Partner',
+                required: true
+            },
+            role: {
+                type: String,
+                enum: ['primary', 'backup', 'supervisor'],
+                default: 'primary'
+            },
+            // Weekly windows in the roster time zone; no shifts = always on duty
+            shifts: [
+                {
+                    _id: false,
+                    days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+                    start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }, // HH:mm
+                    end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }    // earlier than start = overnight
+                }
+            ],
+            active: { type: Boolean, default: true },
+            addedAt: { type: Date, default: Date.now }
+        }
+    ],
+    // Round-robin routing position — incremented atomically per routed case
+    routingCursor: {
+        type: Number,
+        default: 0
+    },
     description: String
 }, {
     timestamps: true
@@ -48,5 +114,7 @@ areaSchema.index({ boundary: '2dsphere' });
 // Composite indexes for fast partner/client lookups
 areaSchema.index({ clientId: 1, city: 1 });
 areaSchema.index({ partnerId: 1 });
+areaSchema.index({ 'roster.partnerId': 1 });
+areaSchema.index({ ancestors: 1 });
 
 export default mongoose.model('Area', areaSchema);
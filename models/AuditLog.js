@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * AuditLog — append-only record of privileged data access (e.g. a super admin
+ * revealing the reporter of an anonymous case). Never updated or deleted by the API.
+ */
+const auditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    actorRole: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        required: true,
+        enum: ['reveal_anonymous_reporter']
+    },
+    targetModel: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Why the access was needed — mandatory for every entry
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    ip: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -1,11 +1,32 @@
 import mongoose from 'mongoose';
 
+const CAMERA_STATUSES = ['working', 'faulty', 'offline', 'needs_inspection'];
+
+const contactSchema = new mongoose.Schema({
+    name: { type: String, trim: true, default: '' },
+    organisation: { type: String, trim: true, default: '' },
+    phone: { type: String, trim: true, default: '' },
+    email: { type: String, trim: true, lowercase: true, default: '' }
+}, { _id: false });
+
 const cameraSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
         index: true
     },
+    // Which client (city owner) this camera belongs to
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        default: null,
+        index: true
+    },
+    city: {
+        type: String,
+        trim: true,
+        default: ''
+    },
     location: {
         type: {
             type: String,
@@ -17,16 +38,53 @@ const cameraSchema = new mongoose.Schema({
             required: true
         }
     },
+    // Area polygon containing the camera — kept in sync on create / move
+    areaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Area',
+        default: null,
+        index: true
+    },
     radius: {
         type: Number,
         default: 50 // Default radius in meters
     },
-    description: String
+    description: String,
+    // ── OPERATIONS ──────────────────────────────────────────────────────────
+    status: {
+        type: String,
+        enum: CAMERA_STATUSES,
+        default: 'working',
+        index: true
+    },
+    statusChangedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Who runs the camera (police, municipality, a private premises…)
+    owner: contactSchema,
+    // Who to call when it breaks
+    maintenanceContact: contactSchema,
+    // Most recent first, capped on write
+    statusHistory: [
+        {
+            _id: false,
+            status: { type: String, enum: CAMERA_STATUSES },
+            previousStatus: { type: String, default: null },
+            note: { type: String, default: '' },
+            // Citizen "camera_issue" report that triggered the change
+            alertId: { type: mongoose.Schema.Types.ObjectId, ref: 'Alert', default: null },
+            changedBy: { type: mongoose.Schema.Types.ObjectId, default: null },
+            changedByRole: { type: String, default: null },
+            at: { type: Date, default: Date.now }
+        }
+    ]
 }, {
     timestamps: true
 });
 
 // Create 2dsphere index for location
 cameraSchema.index({ location: "2dsphere" });
+cameraSchema.index({ clientId: 1, status: 1 });
 
 export default mongoose.model('Camera', cameraSchema);
@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Retired: citizen cases live in Alert (see services/caseService.js). Kept so
+// scripts/migrate_cases_to_alerts.js can read the old `cases` collection.
+
 const caseSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+/**
+ * CaseCategory — a citizen case category owned by a client (e.g. "Cyber Fraud").
+ *
+ * Drives the mobile category cards, the dynamic report form and the basis types
+ * partners choose from when updating a case. `key` is what gets stored on
+ * Alert.metadata.type. Clients without stored categories use the built-in
+ * catalogue in services/caseCategoryService.js.
+ */
+const formFieldSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['text', 'textarea', 'select', 'number', 'date', 'datetime-local'],
+        default: 'text'
+    },
+    options: {
+        type: [String],
+        default: undefined
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    placeholder: {
+        type: String,
+        default: undefined
+    },
+    // Show-if rule: field is only shown (and validated) when `field` equals `value`
+    condition: {
+        type: new mongoose.Schema({
+            field: { type: String, required: true },
+            value: { type: mongoose.Schema.Types.Mixed, required: true }
+        }, { _id: false }),
+        default: undefined
+    }
+}, { _id: false });
+
+const caseCategorySchema = new mongoose.Schema({
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+        index: true
+    },
+    // Stable identifier stored on Alert.metadata.type (e.g. 'cyber_fraud')
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        match: /^[a-z0-9_]+$/
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 300
+    },
+    formFields: {
+        type: [formFieldSchema],
+        default: []
+    },
+    // Operational basis types offered to partners for status updates
+    basisTypes: {
+        type: [String],
+        default: []
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+caseCategorySchema.index({ clientId: 1, key: 1 }, { unique: true });
+caseCategorySchema.index({ clientId: 1, isActive: 1, sortOrder: 1 });
+
+export default mongoose.model('CaseCategory', caseCategorySchema);
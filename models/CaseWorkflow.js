@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+/**
+ * CaseWorkflow — per-client (and optionally per-category) case status workflow.
+ *
+ * A workflow with category = null is the client-wide default; a workflow with a
+ * category (e.g. 'robbery') overrides it for cases of that category only.
+ * Clients without any stored workflow fall back to the built-in default flow
+ * (see services/workflowService.js).
+ */
+const workflowStateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    // Reaching this state closes the case (Alert.isActive = false)
+    isClosed: {
+        type: Boolean,
+        default: false
+    },
+    // Closed without action (rejected, dismissed, not actionable) — counts
+    // toward the rejection rate instead of resolutions. Closed states only.
+    rejected: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const workflowTransitionSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Roles allowed to perform this transition (req.user.role values)
+    roles: {
+        type: [String],
+        enum: ['partner', 'client', 'admin', 'super_admin'],
+        default: ['partner', 'admin']
+    }
+}, { _id: false });
+
+const caseWorkflowSchema = new mongoose.Schema({
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+        index: true
+    },
+    // Case category this workflow applies to (Alert.metadata.type). null = client default
+    category: {
+        type: String,
+        default: null,
+        trim: true,
+        lowercase: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Status every new case of this workflow starts in
+    initialState: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Status a case re-enters when the citizen reopens it. null = initialState
+    reopenState: {
+        type: String,
+        default: null,
+        trim: true
+    },
+    states: {
+        type: [workflowStateSchema],
+        default: []
+    },
+    transitions: {
+        type: [workflowTransitionSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+// One workflow per client per category (category null = client default)
+caseWorkflowSchema.index({ clientId: 1, category: 1 }, { unique: true });
+
+export default mongoose.model('CaseWorkflow', caseWorkflowSchema);
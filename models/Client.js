@@ -61,6 +61,16 @@ const clientSchema = new mongoose.Schema({
     required: true,
     enum: ['Delhi', 'Bangalore']
   },
+  // City outline (GeoJSON) used to find coverage gaps between the client's Areas
+  cityBoundaryGeometry: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon']
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
   // Relationships
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -81,7 +91,28 @@ const clientSchema = new mongoose.Schema({
   // Per-client settings (e.g. AI API keys for conversation summary)
   settings: {
     geminiApiKey: { type: String, default: null, trim: true },
-    openaiApiKey: { type: String, default: null, trim: true }
+    openaiApiKey: { type: String, default: null, trim: true },
+    // Citizen case handling
+    cases: {
+      // Same-category reports within this distance/time window are clustered under one parent case
+      duplicateRadiusMeters: { type: Number, default: 200, min: 0 },
+      duplicateWindowMinutes: { type: Number, default: 30, min: 0 },
+      // Days after closure during which the citizen may request a reopen (0 = never)
+      reopenWindowDays: { type: Number, default: 7, min: 0 },
+      // How a new case picks an officer inside its area (see services/caseRoutingService.js)
+      routingStrategy: {
+        type: String,
+        enum: ['area_owner', 'on_duty', 'least_loaded', 'nearest_on_duty', 'round_robin'],
+        default: 'on_duty'
+      },
+      // Case detail lists cameras within this distance of the incident (plus any whose radius covers it)
+      nearbyCameraMeters: { type: Number, default: 300, min: 0 }
+    },
+    // Area boundary management
+    areas: {
+      // block: reject boundary saves that overlap another area; flag: save and report the overlap
+      overlapPolicy: { type: String, enum: ['block', 'flag'], default: 'block' }
+    }
   }
 }, {
   timestamps: true
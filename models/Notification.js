@@ -1,14 +1,20 @@
 import mongoose from 'mongoose';
 
 const notificationSchema = new mongoose.Schema({
+  // Recipient id — a User by default; case notifications may target a Client or Partner
   userId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
+    refPath: 'recipientModel',
     required: true
   },
+  recipientModel: {
+    type: String,
+    enum: ['User', 'Client', 'Partner'],
+    default: 'User'
+  },
   type: {
     type: String,
-    enum: ['daily_reminder', 'streak_alert', 'completion', 'milestone', 'case_update'],
+    enum: ['daily_reminder', 'streak_alert', 'completion', 'milestone', 'case_update', 'sla_breach', 'case_assignment', 'sos_alert'],
     required: true
   },
   title: {
@@ -201,6 +201,27 @@ const partnerSchema = new mongoose.Schema({
     }
   },
 
+  // Live position from on-duty location pings (services/partnerLocationService.js);
+  // location.coordinates above stays the static profile location
+  currentLocation: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  locationUpdatedAt: {
+    type: Date,
+    default: null
+  },
+  locationAccuracy: {
+    type: Number,
+    default: null
+  },
+
   /*
     // Ratings and Reviews
     rating: {
@@ -428,7 +449,8 @@ partnerSchema.index({ onlineStatus: 1 });
 partnerSchema.index({ rating: -1, totalSessions: -1 });
 partnerSchema.index({ expertiseCategory: 1 });
 */
-partnerSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 }); // For geospatial queries
+partnerSchema.index({ 'location.coordinates.latitude': 1, 'location.coordinates.longitude': 1 });
+partnerSchema.index({ currentLocation: '2dsphere' }); // Nearest on-duty officer ($geoNear)
 
 // Hash password before saving
 partnerSchema.pre('save', async function (next) {
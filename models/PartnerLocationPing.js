@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Trail retention: pings are dropped this long after they were recorded
+const TRAIL_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * One location ping from an on-duty partner (Socket.IO `partner:location` or
+ * POST /api/partners/me/location). The latest position also lives on
+ * Partner.currentLocation; these documents are the recent trail.
+ */
+const partnerLocationPingSchema = new mongoose.Schema({
+    partnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Partner',
+        required: true
+    },
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        default: null
+    },
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            required: true
+        },
+        coordinates: {
+            type: [Number], // [longitude, latitude]
+            required: true
+        }
+    },
+    accuracy: { type: Number, default: null }, // meters
+    heading: { type: Number, default: null },  // degrees from north
+    speed: { type: Number, default: null },    // m/s
+    source: {
+        type: String,
+        enum: ['socket', 'rest'],
+        default: 'rest'
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+partnerLocationPingSchema.index({ partnerId: 1, recordedAt: -1 });
+partnerLocationPingSchema.index({ recordedAt: 1 }, { expireAfterSeconds: TRAIL_TTL_SECONDS });
+
+export default mongoose.model('PartnerLocationPing', partnerLocationPingSchema);
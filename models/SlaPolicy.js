@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+/**
+ * SlaPolicy — response-time targets for a client's citizen cases.
+ *
+ * A policy matches cases by priority and/or category (null = any). When several
+ * policies match, the most specific one wins (see services/slaService.js).
+ * Example: critical cases must reach "Under Review" within 10 minutes and
+ * "Action Taken" within 120 minutes.
+ */
+const slaTargetSchema = new mongoose.Schema({
+    // Workflow status the case must reach
+    status: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Minutes from case creation
+    withinMinutes: {
+        type: Number,
+        required: true,
+        min: 1
+    }
+}, { _id: false });
+
+const slaPolicySchema = new mongoose.Schema({
+    clientId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Client',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // null = applies to every priority
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'critical', null],
+        default: null
+    },
+    // Case category key (Alert.metadata.type). null = applies to every category
+    category: {
+        type: String,
+        default: null,
+        trim: true,
+        lowercase: true
+    },
+    targets: {
+        type: [slaTargetSchema],
+        default: []
+    },
+    escalation: {
+        // Bump the case one priority level on each breach
+        raisePriority: {
+            type: Boolean,
+            default: true
+        },
+        // Who takes over the case on breach (from the case's Area)
+        rerouteTo: {
+            type: String,
+            enum: ['supervisor', 'backup', 'none'],
+            default: 'supervisor'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+slaPolicySchema.index({ clientId: 1, priority: 1, category: 1 }, { unique: true });
+
+export default mongoose.model('SlaPolicy', slaPolicySchema);
@@ -4,131 +4,109 @@
  * Client  : Full CRUD for their own alerts
  * User    : Report cases + view own cases
  * Partner : View all client cases + structured status update workflow
+ *           + merge/unmerge duplicate reports into one parent case
+ *
+ * Reassignment / transfer (client, assigned partner, admin):
+ *   POST /api/alerts/:alertId/reassign         — hand case to another partner
+ *   POST /api/alerts/:alertId/transfer-area    — move case to a neighbouring Area
+ *   POST /api/alerts/:alertId/transfer-client  — hand case to another client (city) [client/admin]
+ *   POST /api/alerts/bulk-reassign             — move all open cases of one partner [client]
+ *
+ * Citizen ratings roll-up (client, admin):
+ *   GET  /api/alerts/ratings?groupBy=partner|area
+ *
+ * Case analytics (client, admin) — filters: from, to, category, status, areaId, bbox:
+ *   GET  /api/alerts/analytics/heatmap       — counts per grid / hex cell (GeoJSON)
+ *   GET  /api/alerts/analytics/hotspots      — clusters far above their area's baseline (GeoJSON)
+ *   GET  /api/alerts/analytics/time-matrix   — day-of-week × hour-of-day counts per area
+ *   GET  /api/alerts/analytics/blind-spots   — areas no working camera covers, ranked by cases (GeoJSON)
+ *
+ * Timeline notes + evidence (client, partner, admin):
+ *   GET  /api/alerts/:alertId/timeline                          — entries visible to the caller
+ *   POST /api/alerts/:alertId/notes                             — note (+ evidence files)
+ *   POST /api/alerts/:alertId/timeline/:entryId/attachments     — attach evidence to an entry
+ *   Entry visibility: citizen (everyone) | internal (officers + client) | client (client only)
+ *
+ * CCTV evidence (partner, client, admin of the case's client):
+ *   GET   /api/alerts/partner/:alertId                                   — includes nearbyCameras
+ *   POST  /api/alerts/partner/:alertId/footage-requests                  — { cameraId, from?, to?, note? }
+ *   PATCH /api/alerts/partner/:alertId/footage-requests/:requestId       — { status, note? }
+ *
+ * Citizen media (owning client, assigned partner):
+ *   GET  /api/alerts/:alertId/media                             — signed, short-lived URLs
+ *
+ * SOS live sessions (owning client, assigned / escalated partners):
+ *   GET  /api/alerts/:alertId/sos                  — session state + location trail
+ *   POST /api/alerts/:alertId/sos/acknowledge      — partner takes the SOS
+ *   POST /api/alerts/:alertId/sos/close            — end the live session
  *
  * STATUS FLOW (enforced, no skipping):
+ *   Driven by the client's CaseWorkflow for the case category (see
+ *   services/workflowService.js). Without a stored workflow the default applies:
  *   Reported → Under Review → Verified → Action Taken → Resolved
  *                                     ↘ Rejected (from Under Review or Verified only)
+ *
+ * Opening a case and status transitions (routing, notifications, real-time
+ * emits) go through services/caseService.js, shared with /api/mobile/cases
+ * and the /api/cases map endpoints.
  */
 
 import express from 'express';
+import multer from 'multer';
 import mongoose from 'mongoose';
 import Alert from '../models/Alert.js';
 import Area from '../models/Area.js';
-import Notification from '../models/Notification.js';
+import Client from '../models/Client.js';
+import Camera from '../models/Camera.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { resolveWorkflow, getAllowedNextStatuses } from '../services/workflowService.js';
+import { getBasisTypes, getBasisTypesByCategory } from '../services/caseCategoryService.js';
+import { describeSla } from '../services/slaService.js';
+import { mergeReports, unmergeReport } from '../services/caseClusterService.js';
+import {
+    findAssignablePartner,
+    reassignCase,
+    bulkReassignCases,
+    transferCaseToArea,
+    transferCaseToClient
+} from '../services/caseAssignmentService.js';
+import { getRatingSummary } from '../services/caseFeedbackService.js';
+import {
+    MAX_EVIDENCE_FILE_SIZE,
+    filterTimeline,
+    timelineForRole,
+    writableVisibilities,
+    validateEvidenceFiles,
+    uploadEvidence
+} from '../services/caseTimelineService.js';
+import { signCaseMedia } from '../services/caseMediaService.js';
+import { parseReporting, redactCase, redactCases } from '../services/reporterPrivacyService.js';
+import { SOS_CATEGORY, sosRoom, canAccessSos, acknowledgeSos, closeSos } from '../services/sosService.js';
+import { openCase, changeCaseStatus } from '../services/caseService.js';
+import { AREA_LEVELS, getJurisdictionAreaIds } from '../services/areaHierarchyService.js';
+import {
+    MAX_CAMERA_RADIUS_METERS,
+    findNearbyCameras,
+    requestFootage,
+    updateFootageRequest
+} from '../services/cameraService.js';
+import {
+    DEFAULT_HOTSPOT_Z,
+    DEFAULT_HOTSPOT_MIN_CASES,
+    buildAnalyticsMatch,
+    buildHeatmap,
+    findHotspots,
+    buildTimeMatrix
+} from '../services/caseAnalyticsService.js';
+import { buildBlindSpotMap } from '../services/blindSpotService.js';
 
 const router = express.Router();
 
-// ─────────────────────────────────────────────────────────────────────────────
-//  STATUS FLOW CONFIGURATION
-// ─────────────────────────────────────────────────────────────────────────────
-
-const STATUS_FLOW = {
-    'Reported': ['Under Review'],
-    'Under Review': ['Verified', 'Rejected'],
-    'Verified': ['Action Taken', 'Rejected'],
-    'Action Taken': ['Resolved'],
-    'Resolved': [],    // terminal
-    'Rejected': []     // terminal
-};
-
-const VALID_STATUSES = Object.keys(STATUS_FLOW);
-
-/**
- * Category-based basis types for partner status updates.
- * Basis types are case-category specific to ensure operational clarity.
- */
-const CATEGORY_BASIS_TYPES = {
-    robbery: [
-        'Eyewitness Account Recorded',
-        'CCTV Footage Reviewed',
-        'FIR Lodged',
-        'Suspect Identified',
-        'Suspect Apprehended',
-        'Vehicle Traced',
-        'Forensic Evidence Collected',
-        'Victim Statement Recorded',
-        'Case Under Investigation'
-    ],
-    unidentified_emergency: [
-        'Scene Assessed by Officers',
-        'Medical Assessment Completed',
-        'Ambulance Dispatched',
-        'Forensic Team Dispatched',
-        'Identity of Person Confirmed',
-        'Object Identified as Safe',
-        'Object Identified as Threat',
-        'Area Cordoned Off',
-        'Case Referred to Specialists'
-    ],
-    snatching: [
-        'Eyewitness Account Recorded',
-        'CCTV Footage Reviewed',
-        'Victim Statement Recorded',
-        'FIR Lodged',
-        'Suspect Traced via CCTV',
-        'Suspect Apprehended',
-        'Stolen Item Recovered',
-        'Vehicle Number Traced',
-        'Case Under Investigation'
-    ],
-    theft: [
-        'Scene Inspected by Officers',
-        'CCTV Evidence Collected',
-        'Victim Statement Recorded',
-        'Forensic Evidence Collected',
-        'FIR Lodged',
-        'Suspect Identified',
-        'Suspect Apprehended',
-        'Item Partially Recovered',
-        'Item Fully Recovered',
-        'Insurance Notified'
-    ],
-    harassment: [
-        'Individual Apprehended',
-        'Scene Monitored by Officers',
-        'Victim Statement Recorded',
-        'CCTV Evidence Collected',
-        'Suspect Under Surveillance',
-        'FIR Lodged',
-        'Restraining Notice Issued',
-        'Case Transferred to Cyber Cell',
-        'Case Under Investigation'
-    ],
-    accident: [
-        'Accident Scene Secured',
-        'Medical Assistance Provided',
-        'Ambulance Dispatched',
-        'FIR Registered',
-        'Vehicles Involved Inspected',
-        'Traffic Restored',
-        'Hit & Run Investigation Started',
-        'Insurance Notified',
-        'Victim Hospitalized',
-        'Scene Cleared'
-    ],
-    camera_issue: [
-        'Technical Team Dispatched',
-        'Camera Restored and Functional',
-        'New Camera Installation Initiated',
-        'Street Light Repaired',
-        'Maintenance Request Filed',
-        'Blind Spot Logged for Review',
-        'Temporary Patrol Assigned',
-        'Issue Under Continuous Observation'
-    ]
-};
-
-// Default basis types for unknown categories
-const DEFAULT_BASIS_TYPES = [
-    'Site Inspection Completed',
-    'Evidence Collected',
-    'Witness Statement Recorded',
-    'FIR Lodged',
-    'Case Under Investigation',
-    'Action Initiated',
-    'Case Resolved'
-];
+// Evidence uploads (photos, FIR PDFs, CCTV clips) — type checks in caseTimelineService
+const evidenceUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_EVIDENCE_FILE_SIZE }
+});
 
 // ─────────────────────────────────────────────────────────────────────────────
 //  CLIENT ROUTES — Full CRUD
@@ -144,7 +122,7 @@ router.get('/', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Only clients can manage alerts' });
         }
 
-        const { page = 1, limit = 20, priority, isActive, type } = req.query;
+        const { page = 1, limit = 20, priority, isActive, type, slaBreached, includeLinked } = req.query;
         const pageNum = Math.max(parseInt(page) || 1, 1);
         const pageSize = Math.min(parseInt(limit) || 20, 100);
         const skip = (pageNum - 1) * pageSize;
@@ -153,6 +131,9 @@ router.get('/', authenticate, async (req, res) => {
         if (priority) filter.priority = priority;
         if (isActive !== undefined) filter.isActive = isActive === 'true';
         if (type) filter.type = type;
+        if (slaBreached !== undefined) filter['sla.breached'] = slaBreached === 'true';
+        // Linked duplicate reports are hidden behind their parent case unless asked for
+        if (includeLinked !== 'true') filter.parentAlertId = null;
 
         const [alerts, total] = await Promise.all([
             Alert.find(filter)
@@ -165,9 +146,16 @@ router.get('/', authenticate, async (req, res) => {
         ]);
 
 
+        const now = Date.now();
         res.json({
             success: true,
-            data: { alerts, total, page: pageNum, limit: pageSize, hasMore: total > skip + alerts.length }
+            data: {
+                alerts: redactCases(alerts).map(a => ({ ...a, slaStatus: describeSla(a, now) })),
+                total,
+                page: pageNum,
+                limit: pageSize,
+                hasMore: total > skip + alerts.length
+            }
         });
     } catch (error) {
         console.error('[Alerts] GET /alerts error:', error);
@@ -269,10 +257,13 @@ router.delete('/:alertId', authenticate, async (req, res) => {
  * Body:
  *   title, message, priority, formData   (same as before)
  *   latitude, longitude                  (NEW — GPS from mobile)
+ *   anonymous?                           hide reporter identity from partners/clients
+ *   onBehalfOf?                          { relationship, name?, age?, isMinor?, phone? }
  *
  * Geo-routing logic:
- *   If lat/lng provided → find matching Area polygon via $geoIntersects
- *   → inherit clientId + assignedPartnerId + areaId from that Area
+ *   If lat/lng provided → find matching Area polygon via $geoIntersects (else nearest within 50km)
+ *   → inherit clientId + areaId from that Area
+ *   → officer picked by the client's routing strategy; the decision is stored in alert.routing
  *   → fall back to req.user.clientId if no area matched
  */
 router.post('/user', authenticate, async (req, res) => {
@@ -283,84 +274,33 @@ router.post('/user', authenticate, async (req, res) => {
 
         const { title, message, priority, formData, latitude, longitude } = req.body;
 
-        // ── GEO ROUTING ──────────────────────────────────────────────────
-        let locationPoint = undefined;
-        let matchedArea = null;
-        let assignedPartnerId = null;
-        let resolvedClientId = req.user.clientId; // default: use citizen's own client
-        let routedAreaId = null;
+        const { reporting, error: reportingError } = parseReporting(req.body);
+        if (reportingError) {
+            return res.status(400).json({ success: false, message: reportingError });
+        }
 
+        // Only the citizen's own client's areas are searched (city isolation)
         const lng = parseFloat(longitude);
         const lat = parseFloat(latitude);
-
-        // ✅ Sirf apne client ke areas mein dhundo (city isolation)
-        const userClientId = req.user.clientId?._id || req.user.clientId;
-
-        if (!isNaN(lng) && !isNaN(lat)) {
-            // Build GeoJSON Point — always [longitude, latitude] per GeoJSON spec
-            locationPoint = { type: 'Point', coordinates: [lng, lat] };
-
-            console.log(`[GeoRouting] GPS: [${lng}, ${lat}] | clientId filter: ${userClientId}`);
-
-            // ✅ FIX: clientId filter add kiya — sirf apne client/city ke areas search hote hain
-            const clientFilter = userClientId ? { clientId: userClientId } : {};
-
-            // Find the pincode/area polygon that contains this GPS point
-            matchedArea = await Area.findOne({
-                ...clientFilter,
-                boundary: {
-                    $geoIntersects: {
-                        $geometry: locationPoint
-                    }
-                }
-            }).lean();
-
-            if (matchedArea) {
-                // Inherit routing from area
-                resolvedClientId = matchedArea.clientId || resolvedClientId;
-                assignedPartnerId = matchedArea.partnerId || null;
-                routedAreaId = matchedArea._id;
-                console.log(`[GeoRouting] ✅ Exact Match → Area: "${matchedArea.name}" (${matchedArea.city}) | Partner: ${assignedPartnerId || 'UNASSIGNED — please assign partner to this area'}`);
-            } else {
-                // ── FALLBACK: NEAREST AREA (same client only) ───────────────
-                // If point is not inside any polygon, find nearest area within 50km (same city)
-                console.log('[GeoRouting] No exact area match. Hunting for nearest area in same city...');
-                const nearestArea = await Area.findOne({
-                    ...clientFilter,   // ✅ FIX: sirf apne client ke areas mein nearest dhundo
-                    boundary: {
-                        $near: {
-                            $geometry: locationPoint,
-                            $maxDistance: 50000   // ✅ FIX: 100km se 50km kiya — city ke bahar nahi jaana
-                        }
-                    }
-                }).lean();
-
-                if (nearestArea) {
-                    resolvedClientId = nearestArea.clientId || resolvedClientId;
-                    assignedPartnerId = nearestArea.partnerId || null;
-                    routedAreaId = nearestArea._id;
-                    console.log(`[GeoRouting] ⚠️  Nearest Match → Area: "${nearestArea.name}" (${nearestArea.city}) | Partner: ${assignedPartnerId || 'UNASSIGNED'}`);
-                } else {
-                    console.warn('[GeoRouting] ❌ No area matched GPS point — case will use user default clientId');
-                }
-            }
-        }
-
-        // ── CREATE ALERT ──────────────────────────────────────────────────
-        const alert = await Alert.create({
+        const locationPoint = !isNaN(lng) && !isNaN(lat)
+            ? { type: 'Point', coordinates: [lng, lat] } // GeoJSON: always [longitude, latitude]
+            : null;
+
+        const opened = await openCase({
+            reporterId: req.user._id,
+            clientId: req.user.clientId?._id || req.user.clientId,
+            point: locationPoint,
             title: title || 'New Citizen Case',
             message: message || formData?.description || 'Case reported by user',
             priority: priority || 'high',
-            type: 'USER',
-            clientId: resolvedClientId,
-            userId: req.user._id,
-            createdBy: req.user._id,
+            category: formData?.type,
             metadata: formData || {},
-            // Geo-routing fields (populated only when GPS provided)
-            ...(locationPoint && { location: locationPoint }),
-            ...(routedAreaId && { areaId: routedAreaId }),
-            ...(assignedPartnerId && { assignedPartnerId, routedPartnerId: assignedPartnerId })
+            reporting
         });
+        if (opened.error) {
+            return res.status(opened.status).json({ success: false, message: opened.error });
+        }
+        const { alert, route, clusterParent, camera } = opened;
 
         res.status(201).json({
             success: true,
@@ -368,9 +308,12 @@ router.post('/user', authenticate, async (req, res) => {
             data: {
                 alert,
                 routing: {
-                    areaMatched: matchedArea?.name || null,
-                    partnerAssigned: !!assignedPartnerId,
-                    coordinates: locationPoint?.coordinates || null
+                    areaMatched: route.area?.name || null,
+                    partnerAssigned: !!alert.assignedPartnerId,
+                    reason: route.routing?.reason || null,
+                    coordinates: locationPoint?.coordinates || null,
+                    linkedToCaseId: clusterParent?._id || null,
+                    cameraId: camera?._id || null
                 }
             }
         });
@@ -393,6 +336,7 @@ router.get('/user', authenticate, async (req, res) => {
         const alerts = await Alert.find({ userId: req.user._id, type: 'USER' })
             .sort({ createdAt: -1 })
             .lean();
+        alerts.forEach(a => { a.timeline = filterTimeline(a.timeline, 'user'); });
 
         res.json({ success: true, data: { alerts, total: alerts.length } });
     } catch (error) {
@@ -414,6 +358,7 @@ router.get('/user/:alertId', authenticate, async (req, res) => {
         if (!alert) {
             return res.status(404).json({ success: false, message: 'Case not found' });
         }
+        alert.timeline = await timelineForRole(alert.timeline, 'user');
 
         res.json({ success: true, data: { alert } });
     } catch (error) {
@@ -437,10 +382,11 @@ router.get('/partner/basis-types', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
+        // Basis types are defined per category in the partner's client catalogue
         const { category } = req.query;
         const basisTypes = category
-            ? (CATEGORY_BASIS_TYPES[category] || DEFAULT_BASIS_TYPES)
-            : CATEGORY_BASIS_TYPES;
+            ? await getBasisTypes(req.clientId, category)
+            : await getBasisTypesByCategory(req.clientId);
 
         res.json({ success: true, data: { basisTypes } });
     } catch (error) {
@@ -454,7 +400,8 @@ router.get('/partner/basis-types', authenticate, async (req, res) => {
  *
  * Filter priority:
  *   1. assignedPartnerId = req.user._id  (geo-routed cases assigned to this partner)
- *   2. Optionally also show unassigned cases from same client (if ?unassigned=true)
+ *   2. Cases in any area under a zone / station this partner supervises or serves
+ *   3. Optionally also show unassigned cases from same client (if ?unassigned=true)
  *
  * Access: partner
  */
@@ -464,7 +411,7 @@ router.get('/partner', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
-        const { limit = 100, page = 1, status, type, priority, includeUnassigned } = req.query;
+        const { limit = 100, page = 1, status, type, priority, includeUnassigned, slaBreached, includeLinked } = req.query;
         const pageNum = Math.max(parseInt(page) || 1, 1);
         const pageSize = Math.min(parseInt(limit) || 100, 200);
         const skip = (pageNum - 1) * pageSize;
@@ -484,16 +431,22 @@ router.get('/partner', authenticate, async (req, res) => {
             // Device Alerts: Partners see all alerts from their client/company
             matchExpr = { clientId: clientObjId };
         } else {
-            // Citizen Reports: Partners usually only see their assigned cases (geo-routed)
-            const baseMatch = { assignedPartnerId: partnerObjId };
-            matchExpr = (includeUnassigned === 'true' && clientObjId)
-                ? { $or: [{ assignedPartnerId: partnerObjId }, { clientId: clientObjId, assignedPartnerId: null }] }
-                : baseMatch;
+            // Citizen Reports: Partners usually only see their assigned cases (geo-routed),
+            // supervisors also every case in the areas below them
+            const jurisdictionIds = await getJurisdictionAreaIds(partnerObjId, clientObjId);
+            const visible = [{ assignedPartnerId: partnerObjId }];
+            if (jurisdictionIds.length) visible.push({ clientId: clientObjId, areaId: { $in: jurisdictionIds } });
+            if (includeUnassigned === 'true' && clientObjId) visible.push({ clientId: clientObjId, assignedPartnerId: null });
+            matchExpr = visible.length > 1 ? { $or: visible } : visible[0];
         }
 
+        // Partners work parent cases; linked duplicate reports are listed under them
+        if (includeLinked !== 'true') matchExpr = { ...matchExpr, parentAlertId: null };
+
         const filter = { ...matchExpr, type: requestedType };
         if (status) filter.status = status;
         if (priority) filter.priority = priority;
+        if (slaBreached !== undefined) filter['sla.breached'] = slaBreached === 'true';
 
         const [alerts, total, newCount, statusCounts] = await Promise.all([
             Alert.find(filter)
@@ -517,10 +470,11 @@ router.get('/partner', authenticate, async (req, res) => {
         const counts = {};
         statusCounts.forEach(s => { counts[s._id] = s.count; });
 
+        const now = Date.now();
         res.json({
             success: true,
             data: {
-                alerts,
+                alerts: redactCases(alerts).map(a => ({ ...a, slaStatus: describeSla(a, now) })),
                 total,
                 newCount,
                 page: pageNum,
@@ -555,19 +509,36 @@ router.get('/partner/:alertId', authenticate, async (req, res) => {
             return res.status(404).json({ success: false, message: 'Case not found' });
         }
 
-        // Attach allowed next statuses
-        const allowedNext = STATUS_FLOW[alert.status] || [];
+        // Attach allowed next statuses (from the client's workflow, for this role)
         const caseCategory = alert.metadata?.type || null;
-        const availableBasisTypes = caseCategory
-            ? (CATEGORY_BASIS_TYPES[caseCategory] || DEFAULT_BASIS_TYPES)
-            : DEFAULT_BASIS_TYPES;
+        const workflow = await resolveWorkflow(alert.clientId, caseCategory);
+        const allowedNext = getAllowedNextStatuses(workflow, alert.status, req.user.role);
+        const availableBasisTypes = await getBasisTypes(alert.clientId, caseCategory);
+
+        alert.timeline = await timelineForRole(alert.timeline, req.user.role);
+
+        // Cameras that may hold footage of the incident (?cameraRadius= overrides the client setting)
+        const cameraRadius = req.query.cameraRadius !== undefined
+            ? Math.min(Math.max(Number(req.query.cameraRadius) || 0, 0), MAX_CAMERA_RADIUS_METERS)
+            : undefined;
+        const nearbyCameras = await findNearbyCameras(alert, { maxDistance: cameraRadius });
+
+        const linkedReports = alert.linkedReportCount
+            ? await Alert.find({ parentAlertId: alert._id })
+                .select('title message userId reporting location metadata linkMethod createdAt')
+                .sort({ createdAt: 1 })
+                .lean()
+            : [];
 
         res.json({
             success: true,
             data: {
-                alert,
-                allowedNextStatuses: allowedNext,
-                availableBasisTypes
+                alert: redactCase(alert),
+                // Linked reports follow their parent — status updates go to the parent case
+                allowedNextStatuses: alert.parentAlertId ? [] : allowedNext,
+                availableBasisTypes,
+                linkedReports: redactCases(linkedReports),
+                nearbyCameras
             }
         });
     } catch (error) {
@@ -576,6 +547,61 @@ router.get('/partner/:alertId', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * POST /api/alerts/partner/:alertId/footage-requests
+ * Log a CCTV footage request against one camera of the case's client.
+ *
+ * Body: { cameraId, from?, to?, note? } — from/to: the stretch of footage wanted
+ * Access: partner, client, admin (case of their client)
+ */
+router.post('/partner/:alertId/footage-requests', authenticate, authorize('partner', 'client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const { cameraId, from, to, note } = req.body;
+        if (!cameraId || !mongoose.Types.ObjectId.isValid(cameraId)) {
+            return res.status(400).json({ success: false, message: 'cameraId is required' });
+        }
+
+        const alert = await findManagedCase(req, req.params.alertId, { assignedOnly: false });
+        if (!alert) return res.status(404).json({ success: false, message: 'Case not found' });
+        if (alert.parentAlertId) {
+            return res.status(409).json({ success: false, message: 'Log footage requests on the parent case' });
+        }
+
+        const camera = await Camera.findById(cameraId).select('name clientId').lean();
+        if (!camera) return res.status(404).json({ success: false, message: 'Camera not found' });
+
+        const { request, error, status } = requestFootage(alert, camera, { from, to, note }, req.user);
+        if (error) return res.status(status).json({ success: false, message: error });
+        await alert.save();
+
+        res.status(201).json({ success: true, message: 'Footage request logged', data: { footageRequest: request } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/partner/:alertId/footage-requests error:', error);
+        res.status(500).json({ success: false, message: 'Failed to log footage request', error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/alerts/partner/:alertId/footage-requests/:requestId
+ * Body: { status: requested | received | not_available, note? }
+ * Access: partner, client, admin (case of their client)
+ */
+router.patch('/partner/:alertId/footage-requests/:requestId', authenticate, authorize('partner', 'client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const alert = await findManagedCase(req, req.params.alertId, { assignedOnly: false });
+        if (!alert) return res.status(404).json({ success: false, message: 'Case not found' });
+
+        const { request, error, status } = updateFootageRequest(alert, req.params.requestId, req.body, req.user);
+        if (error) return res.status(status).json({ success: false, message: error });
+        await alert.save();
+
+        res.json({ success: true, message: 'Footage request updated', data: { footageRequest: request } });
+    } catch (error) {
+        console.error('[Alerts] PATCH /alerts/partner/:alertId/footage-requests/:requestId error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update footage request', error: error.message });
+    }
+});
+
 /**
  * PATCH /api/alerts/partner/:alertId/status
  * Update case status — STRICT FLOW ENFORCED
@@ -605,13 +631,6 @@ router.patch('/partner/:alertId/status', authenticate, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Status is required' });
         }
 
-        if (!VALID_STATUSES.includes(status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Invalid status. Valid statuses are: ${VALID_STATUSES.join(', ')}`
-            });
-        }
-
         if (!basisType || basisType.trim().length === 0) {
             return res.status(400).json({ success: false, message: 'Basis type is required for every status update' });
         }
@@ -635,24 +654,9 @@ router.patch('/partner/:alertId/status', authenticate, async (req, res) => {
         }
         console.log(`[Alerts] Found case: ${alert._id}, current status: ${alert.status}`);
 
-        // ── Strict status flow check ──────────────────────────────────────────
-
-        const allowedNextStatuses = STATUS_FLOW[alert.status] || [];
-
-        if (!allowedNextStatuses.includes(status)) {
-            return res.status(422).json({
-                success: false,
-                message: `Cannot transition from "${alert.status}" to "${status}". Allowed next statuses: ${allowedNextStatuses.length ? allowedNextStatuses.join(', ') : 'None (terminal status)'}`,
-                currentStatus: alert.status,
-                allowedNext: allowedNextStatuses
-            });
-        }
-
         // ── Validate basisType against category (Case-Insensitive) ────────────
         const caseCategory = (alert.metadata?.type || '').toLowerCase().trim();
-        const validBasisTypes = caseCategory
-            ? (CATEGORY_BASIS_TYPES[caseCategory] || DEFAULT_BASIS_TYPES)
-            : DEFAULT_BASIS_TYPES;
+        const validBasisTypes = await getBasisTypes(alert.clientId, caseCategory);
 
         // Try exact match first, then case-insensitive match
         const isBasisValid = validBasisTypes.some(bt =>
@@ -668,72 +672,754 @@ router.patch('/partner/:alertId/status', authenticate, async (req, res) => {
             });
         }
 
-        // ── Apply update ──────────────────────────────────────────────────────
+        // ── Apply update (workflow transition check, notifications, emits) ───
+        const changed = await changeCaseStatus(alert, {
+            status,
+            basisType: basisType.trim(),
+            note: description.trim(),
+            actor: req.user
+        });
+        if (changed.error) {
+            const { status: httpStatus, error, ...details } = changed;
+            return res.status(httpStatus).json({ success: false, message: error, ...details });
+        }
+        const { workflow, previousStatus } = changed;
 
-        const previousStatus = alert.status;
-        alert.status = status;
+        // Return updated alert with allowed next statuses
+        const updatedAlert = await Alert.findById(alert._id).lean();
+        const newAllowedNext = getAllowedNextStatuses(workflow, updatedAlert.status, req.user.role);
 
-        // If partner takes the case (first update), assign them
-        if (!alert.assignedPartnerId) {
-            alert.assignedPartnerId = req.user._id;
+        res.json({
+            success: true,
+            message: `Case status updated to "${status}" successfully`,
+            data: {
+                alert: redactCase(updatedAlert),
+                allowedNextStatuses: newAllowedNext,
+                previousStatus
+            }
+        });
+    } catch (error) {
+        console.error('[Alerts] PATCH /alerts/partner/:alertId/status error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update status', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/partner/:alertId/merge
+ * Link other reports of the same incident under this case.
+ *
+ * Body: { alertIds: [...] }
+ * Access: partner (same clientId)
+ */
+router.post('/partner/:alertId/merge', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'partner' && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Only authorized personnel can merge cases' });
         }
 
-        // Add timeline entry
+        const { alertIds } = req.body;
+        if (!Array.isArray(alertIds) || alertIds.length === 0) {
+            return res.status(400).json({ success: false, message: 'alertIds must be a non-empty array' });
+        }
+        if (alertIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ success: false, message: 'alertIds contains an invalid id' });
+        }
+        if (alertIds.includes(req.params.alertId)) {
+            return res.status(400).json({ success: false, message: 'A case cannot be merged into itself' });
+        }
+
+        const clientId = req.user.clientId?._id || req.user.clientId;
+        const clientObjId = clientId ? new mongoose.Types.ObjectId(clientId.toString()) : null;
+
+        const parent = await Alert.findOne({ _id: req.params.alertId, clientId: clientObjId, type: 'USER' });
+        if (!parent) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        if (parent.parentAlertId) {
+            return res.status(422).json({
+                success: false,
+                message: 'This case is itself linked to another case. Merge into the parent case instead.',
+                parentAlertId: parent.parentAlertId
+            });
+        }
+
+        const reports = await Alert.find({ _id: { $in: alertIds }, clientId: clientObjId, type: 'USER' })
+            .select('_id parentAlertId')
+            .lean();
+        if (reports.length !== new Set(alertIds).size) {
+            return res.status(404).json({ success: false, message: 'One or more reports were not found' });
+        }
+
+        const linkedReportCount = await mergeReports(parent, reports, req.user);
+
+        res.json({
+            success: true,
+            message: `${reports.length} report(s) merged into case successfully`,
+            data: { alertId: parent._id, linkedReportCount }
+        });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/partner/:alertId/merge error:', error);
+        res.status(500).json({ success: false, message: 'Failed to merge cases', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/partner/:alertId/unmerge
+ * Detach a linked report from its parent so it is handled as its own case.
+ *
+ * Access: partner (same clientId)
+ */
+router.post('/partner/:alertId/unmerge', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'partner' && req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, message: 'Only authorized personnel can unmerge cases' });
+        }
+
+        const clientId = req.user.clientId?._id || req.user.clientId;
+        const clientObjId = clientId ? new mongoose.Types.ObjectId(clientId.toString()) : null;
+
+        const report = await Alert.findOne({ _id: req.params.alertId, clientId: clientObjId, type: 'USER' });
+        if (!report) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        if (!report.parentAlertId) {
+            return res.status(422).json({ success: false, message: 'This case is not linked to another case' });
+        }
+
+        const previousParentId = report.parentAlertId;
+        await unmergeReport(report, req.user);
+
+        res.json({
+            success: true,
+            message: 'Report unlinked successfully',
+            data: { alertId: report._id, previousParentId }
+        });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/partner/:alertId/unmerge error:', error);
+        res.status(500).json({ success: false, message: 'Failed to unmerge case', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  TIMELINE NOTES + EVIDENCE
+// ─────────────────────────────────────────────────────────────────────────────
+
+function readVisibility(req, fallback) {
+    const visibility = req.body.visibility || fallback;
+    return writableVisibilities(req.user.role).includes(visibility) ? visibility : null;
+}
+
+/**
+ * GET /api/alerts/:alertId/timeline
+ * Entries the caller's role may see, with signed evidence URLs.
+ */
+router.get('/:alertId/timeline', authenticate, async (req, res) => {
+    try {
+        const alert = await findManagedCase(req, req.params.alertId, { assignedOnly: false });
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                currentStatus: alert.status,
+                timeline: await timelineForRole(redactCase(alert.toObject()).timeline, req.user.role)
+            }
+        });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/:alertId/timeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch timeline', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/notes
+ * Add a note to the timeline without changing status, optionally with evidence.
+ *
+ * FormData: note, visibility? (default internal), evidence (files, max 5)
+ * Access: client, partner (same clientId), admin — partners cannot write client-only notes
+ */
+router.post('/:alertId/notes', authenticate, evidenceUpload.array('evidence', 5), async (req, res) => {
+    try {
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        if (!note && !req.files?.length) {
+            return res.status(400).json({ success: false, message: 'A note or at least one evidence file is required' });
+        }
+
+        const visibility = readVisibility(req, 'internal');
+        if (!visibility) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid visibility. Allowed: ${writableVisibilities(req.user.role).join(', ')}`
+            });
+        }
+
+        const fileError = validateEvidenceFiles(req.files);
+        if (fileError) {
+            return res.status(400).json({ success: false, message: fileError });
+        }
+
+        const alert = await findManagedCase(req, req.params.alertId, { assignedOnly: false });
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+
+        const attachments = await uploadEvidence(alert, req.files, req.user);
         alert.timeline.push({
-            status,
-            basisType: basisType.trim(),
-            note: description.trim(),
+            status: alert.status,
+            basisType: req.user.role === 'partner' ? 'Officer Note' : 'Client Note',
+            note,
             timestamp: new Date(),
             updatedBy: req.user._id,
-            updatedByName: req.user.name || req.user.email || 'Officer'
+            updatedByName: req.user.name || req.user.organizationName || req.user.email || 'Officer',
+            visibility,
+            attachments
         });
+        await alert.save();
+
+        const [entry] = await timelineForRole([alert.timeline[alert.timeline.length - 1].toObject()], req.user.role);
+        res.status(201).json({ success: true, message: 'Note added', data: { entry } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/notes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add note', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/timeline/:entryId/attachments
+ * Attach evidence to an existing timeline entry. The files inherit the entry's visibility.
+ *
+ * FormData: evidence (files, max 5)
+ */
+router.post('/:alertId/timeline/:entryId/attachments', authenticate, evidenceUpload.array('evidence', 5), async (req, res) => {
+    try {
+        if (!req.files?.length) {
+            return res.status(400).json({ success: false, message: 'No evidence files provided' });
+        }
 
-        // If terminal status, mark inactive
-        if (status === 'Resolved' || status === 'Rejected') {
-            alert.isActive = false;
+        const fileError = validateEvidenceFiles(req.files);
+        if (fileError) {
+            return res.status(400).json({ success: false, message: fileError });
         }
 
-        console.log('[Alerts] Saving alert update...');
+        const alert = await findManagedCase(req, req.params.alertId, { assignedOnly: false });
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+
+        // Only entries the caller can see may receive evidence
+        const entry = alert.timeline.id(req.params.entryId);
+        if (!entry || !filterTimeline([entry], req.user.role).length) {
+            return res.status(404).json({ success: false, message: 'Timeline entry not found' });
+        }
+
+        const attachments = await uploadEvidence(alert, req.files, req.user);
+        entry.attachments.push(...attachments);
         await alert.save();
-        console.log('[Alerts] Alert saved successfully');
 
-        // ── User notification ─────────────────────────────────────────────────
+        const [signed] = await timelineForRole([entry.toObject()], req.user.role);
+        res.status(201).json({
+            success: true,
+            message: `${attachments.length} file(s) attached`,
+            data: { entry: signed }
+        });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/timeline/:entryId/attachments error:', error);
+        res.status(500).json({ success: false, message: 'Failed to attach evidence', error: error.message });
+    }
+});
 
-        if (alert.userId) {
+/**
+ * GET /api/alerts/:alertId/media
+ * Citizen-uploaded media with short-lived signed URLs.
+ *
+ * Access: owning client, assigned partner (the reporting citizen uses /api/mobile/cases/:caseId/media)
+ */
+router.get('/:alertId/media', authenticate, authorize('client', 'partner'), async (req, res) => {
+    try {
+        const alert = await findManagedCase(req, req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+
+        res.json({ success: true, data: { media: await signCaseMedia(redactCase(alert.toObject()).media) } });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/:alertId/media error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch case media', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  SOS — live session follow-up (streaming itself is over Socket.IO)
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function findSosCase(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) return null;
+    const alert = await Alert.findOne({ _id: req.params.alertId, 'metadata.type': SOS_CATEGORY });
+    return alert && canAccessSos(alert, { userId: req.user._id, role: req.user.role }) ? alert : null;
+}
+
+/**
+ * GET /api/alerts/:alertId/sos
+ */
+router.get('/:alertId/sos', authenticate, authorize('client', 'partner'), async (req, res) => {
+    try {
+        const alert = await findSosCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'SOS not found or unauthorized' });
+        }
+
+        res.json({ success: true, data: { alertId: alert._id, room: sosRoom(alert._id), sos: alert.sos } });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/:alertId/sos error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch SOS', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/sos/acknowledge
+ * Access: assigned or escalated partner — the first to acknowledge owns the case
+ */
+router.post('/:alertId/sos/acknowledge', authenticate, authorize('partner'), async (req, res) => {
+    try {
+        const alert = await findSosCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'SOS not found or unauthorized' });
+        }
+        if (!alert.sos.active) {
+            return res.status(422).json({ success: false, message: 'This SOS has already ended' });
+        }
+
+        const acknowledged = await acknowledgeSos(alert, req.user);
+        const mine = String(acknowledged.sos.acknowledgedBy) === String(req.user._id);
+        res.status(mine ? 200 : 409).json({
+            success: mine,
+            message: mine ? 'SOS acknowledged' : 'Another officer already acknowledged this SOS',
+            data: {
+                acknowledgedAt: acknowledged.sos.acknowledgedAt,
+                acknowledgedBy: acknowledged.sos.acknowledgedBy,
+                assignedPartnerId: acknowledged.assignedPartnerId
+            }
+        });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/sos/acknowledge error:', error);
+        res.status(500).json({ success: false, message: 'Failed to acknowledge SOS', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/sos/close
+ * Body: { note? }
+ */
+router.post('/:alertId/sos/close', authenticate, authorize('client', 'partner'), async (req, res) => {
+    try {
+        const alert = await findSosCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'SOS not found or unauthorized' });
+        }
+        if (!alert.sos.active) {
+            return res.status(422).json({ success: false, message: 'This SOS has already ended' });
+        }
+
+        const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+        await closeSos(alert, req.user, note);
+        res.json({ success: true, message: 'SOS closed', data: { endedAt: alert.sos.endedAt } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/sos/close error:', error);
+        res.status(500).json({ success: false, message: 'Failed to close SOS', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  CASE ANALYTICS — heatmap, hotspots, time patterns
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Shared filters: from, to (ISO dates), category, status (comma lists),
+// areaId (includes the areas below it), bbox (minLng,minLat,maxLng,maxLat)
+async function analyticsMatch(req, res) {
+    const { match, error } = await buildAnalyticsMatch(req.tenantFilter, req.query);
+    if (error) {
+        res.status(400).json({ success: false, message: error });
+        return null;
+    }
+    return match;
+}
+
+/**
+ * GET /api/alerts/analytics/heatmap?shape=grid|hex&cellMeters=500
+ * Citizen case counts binned in MongoDB into square or hexagonal cells
+ * (100 m – 20 km across). Returns a GeoJSON FeatureCollection of non-empty cells.
+ *
+ * Access: client, admin (tenant-scoped)
+ */
+router.get('/analytics/heatmap', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const shape = req.query.shape || 'grid';
+        if (!['grid', 'hex'].includes(shape)) {
+            return res.status(400).json({ success: false, message: 'shape must be "grid" or "hex"' });
+        }
+
+        const match = await analyticsMatch(req, res);
+        if (!match) return;
+
+        const { summary, features } = await buildHeatmap(match, { shape, cellMeters: req.query.cellMeters });
+        res.json({ success: true, data: { summary, type: 'FeatureCollection', features } });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/analytics/heatmap error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build heatmap', error: error.message });
+    }
+});
+
+/**
+ * GET /api/alerts/analytics/hotspots?cellMeters=500&minZ=3&minCases=5
+ * Clusters of grid cells whose case count is at least minZ standard deviations
+ * above their area's baseline (cases spread evenly over the area).
+ *
+ * Access: client, admin (tenant-scoped)
+ */
+router.get('/analytics/hotspots', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const match = await analyticsMatch(req, res);
+        if (!match) return;
+
+        const { summary, features } = await findHotspots(match, {
+            cellMeters: req.query.cellMeters,
+            minZ: Number(req.query.minZ) || DEFAULT_HOTSPOT_Z,
+            minCases: Math.max(parseInt(req.query.minCases, 10) || DEFAULT_HOTSPOT_MIN_CASES, 1)
+        });
+        res.json({ success: true, data: { summary, type: 'FeatureCollection', features } });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/analytics/hotspots error:', error);
+        res.status(500).json({ success: false, message: 'Failed to find hotspots', error: error.message });
+    }
+});
+
+/**
+ * GET /api/alerts/analytics/time-matrix?timezone=Asia/Kolkata
+ * Per area: matrix[day][hour] of case counts (day 0 = Sunday) and the peak slot.
+ *
+ * Access: client, admin (tenant-scoped)
+ */
+router.get('/analytics/time-matrix', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const timeZone = req.query.timezone || undefined;
+        if (timeZone) {
             try {
-                await Notification.create({
-                    userId: alert.userId,
-                    type: 'case_update',
-                    title: `Case Status: ${status}`,
-                    message: `Your case #${alert._id.toString().slice(-6).toUpperCase()} has been updated to "${status}". Officer Note: ${description.trim().substring(0, 100)}`,
-                    data: {
-                        alertId: alert._id,
-                        status,
-                        basisType: basisType.trim(),
-                        previousStatus
-                    }
-                });
-            } catch (notifErr) {
-                console.warn('[Alerts] Notification creation failed (non-critical):', notifErr.message);
+                new Intl.DateTimeFormat('en-GB', { timeZone });
+            } catch {
+                return res.status(400).json({ success: false, message: `Unknown timezone: ${timeZone}` });
             }
         }
 
-        // Return updated alert with allowed next statuses
-        const updatedAlert = await Alert.findById(alert._id).lean();
-        const newAllowedNext = STATUS_FLOW[updatedAlert.status] || [];
+        const match = await analyticsMatch(req, res);
+        if (!match) return;
+
+        const data = await buildTimeMatrix(match, { timeZone });
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/analytics/time-matrix error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build time matrix', error: error.message });
+    }
+});
+
+/**
+ * GET /api/alerts/analytics/blind-spots?clientId=&cellMeters=250&level=beat&limit=20
+ *     &includeDegraded=false&includeUncovered=false
+ * Where to install cameras next: parts of the client's areas outside every
+ * working camera's radius, ranked by the cases reported there ("Blind spot" /
+ * "No camera" reports and cases logged for blind-spot review weigh more).
+ * Takes the from / to / category / status filters of the other analytics.
+ *
+ * Access: client, admin (clientId required for admins)
+ */
+router.get('/analytics/blind-spots', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const clientId = req.user.role === 'client' ? req.user._id : req.query.clientId;
+        if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+            return res.status(400).json({ success: false, message: 'clientId is required' });
+        }
+        const allowed = req.tenantFilter?.clientId?.$in;
+        if (req.user.role === 'admin' && !(allowed || []).some(id => String(id) === String(clientId))) {
+            return res.status(403).json({ success: false, message: 'Client is outside your tenant' });
+        }
+
+        const level = req.query.level || 'beat';
+        if (!AREA_LEVELS.includes(level)) {
+            return res.status(400).json({ success: false, message: `level must be one of: ${AREA_LEVELS.join(', ')}` });
+        }
+
+        const { bbox, ...filters } = req.query;
+        const { match, error } = await buildAnalyticsMatch({ clientId }, filters);
+        if (error) return res.status(400).json({ success: false, message: error });
+
+        const { summary, features } = await buildBlindSpotMap(clientId, match, {
+            cellMeters: req.query.cellMeters,
+            level,
+            limit: Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200),
+            includeDegraded: req.query.includeDegraded === 'true',
+            includeUncovered: req.query.includeUncovered === 'true'
+        });
+        res.json({ success: true, data: { summary, type: 'FeatureCollection', features } });
+    } catch (error) {
+        console.error('[Alerts] GET /alerts/analytics/blind-spots error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build blind-spot map', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  CITIZEN RATINGS — service quality per partner / area
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/alerts/ratings?groupBy=partner|area
+ * Average citizen rating, count and 1–5 distribution.
+ *
+ * Access: client, admin (tenant-scoped)
+ */
+router.get('/ratings', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const groupBy = req.query.groupBy || 'partner';
+        if (!['partner', 'area'].includes(groupBy)) {
+            return res.status(400).json({ success: false, message: 'groupBy must be "partner" or "area"' });
+        }
+
+        const rows = await getRatingSummary(req.tenantFilter, groupBy);
+        const ratingCount = rows.reduce((sum, r) => sum + r.ratingCount, 0);
+        const overallAverage = ratingCount
+            ? Math.round(rows.reduce((sum, r) => sum + r.averageRating * r.ratingCount, 0) / ratingCount * 100) / 100
+            : null;
 
         res.json({
             success: true,
-            message: `Case status updated to "${status}" successfully`,
             data: {
-                alert: updatedAlert,
-                allowedNextStatuses: newAllowedNext,
-                previousStatus
+                groupBy,
+                [groupBy === 'area' ? 'areas' : 'partners']: rows,
+                overall: { averageRating: overallAverage, ratingCount }
             }
         });
     } catch (error) {
-        console.error('[Alerts] PATCH /alerts/partner/:alertId/status error:', error);
-        res.status(500).json({ success: false, message: 'Failed to update status', error: error.message });
+        console.error('[Alerts] GET /alerts/ratings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch ratings', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  CASE ASSIGNMENT ROUTES — Reassign / Transfer
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Load a citizen case the caller may act on:
+ *   client  → any case of their tenant
+ *   partner → only cases currently assigned to them (any tenant case with assignedOnly: false)
+ *   admin   → cases of their clients (super_admin: any)
+ */
+async function findManagedCase(req, alertId, { assignedOnly = true } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(alertId)) return null;
+
+    const filter = { _id: alertId, type: 'USER' };
+    if (req.user.role === 'client') {
+        filter.clientId = req.user._id;
+    } else if (req.user.role === 'partner') {
+        filter.clientId = req.clientId;
+        if (assignedOnly) filter.assignedPartnerId = req.user._id;
+    } else if (req.user.role === 'admin' || req.user.role === 'super_admin') {
+        Object.assign(filter, req.tenantFilter);
+    } else {
+        return null;
+    }
+    return Alert.findOne(filter);
+}
+
+function readReason(body) {
+    const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+    return reason.length >= 5 ? reason : null;
+}
+
+/**
+ * POST /api/alerts/bulk-reassign
+ * Move every open case of one partner to another (e.g. officer on leave).
+ *
+ * Body: { fromPartnerId, toPartnerId, reason }
+ * Access: client
+ */
+router.post('/bulk-reassign', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const { fromPartnerId, toPartnerId } = req.body;
+        const reason = readReason(req.body);
+
+        if (!fromPartnerId || !toPartnerId) {
+            return res.status(400).json({ success: false, message: 'fromPartnerId and toPartnerId are required' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason (minimum 5 characters) is required' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(fromPartnerId) || !mongoose.Types.ObjectId.isValid(toPartnerId)) {
+            return res.status(400).json({ success: false, message: 'Invalid partner id' });
+        }
+        if (String(fromPartnerId) === String(toPartnerId)) {
+            return res.status(400).json({ success: false, message: 'fromPartnerId and toPartnerId must differ' });
+        }
+
+        const toPartner = await findAssignablePartner(toPartnerId, req.user._id);
+        if (!toPartner) {
+            return res.status(404).json({ success: false, message: 'Target partner not found or not active in your organisation' });
+        }
+
+        const moved = await bulkReassignCases({
+            clientId: req.user._id,
+            fromPartnerId: new mongoose.Types.ObjectId(fromPartnerId),
+            toPartner,
+            reason,
+            actor: req.user
+        });
+
+        res.json({ success: true, message: `${moved} case(s) reassigned`, data: { reassigned: moved } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/bulk-reassign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reassign cases', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/reassign
+ * Body: { partnerId, reason }
+ */
+router.post('/:alertId/reassign', authenticate, async (req, res) => {
+    try {
+        const reason = readReason(req.body);
+        if (!req.body.partnerId || !mongoose.Types.ObjectId.isValid(req.body.partnerId)) {
+            return res.status(400).json({ success: false, message: 'A valid partnerId is required' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason (minimum 5 characters) is required' });
+        }
+
+        const alert = await findManagedCase(req, req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+        if (alert.parentAlertId) {
+            return res.status(422).json({
+                success: false,
+                message: 'This report is linked to another case. Reassign the parent case instead.',
+                parentAlertId: alert.parentAlertId
+            });
+        }
+        if (String(alert.assignedPartnerId) === String(req.body.partnerId)) {
+            return res.status(422).json({ success: false, message: 'Case is already assigned to this partner' });
+        }
+
+        const toPartner = await findAssignablePartner(req.body.partnerId, alert.clientId);
+        if (!toPartner) {
+            return res.status(404).json({ success: false, message: 'Target partner not found or not active for this case\'s client' });
+        }
+
+        await reassignCase(alert, { toPartner, reason, actor: req.user });
+        res.json({ success: true, message: `Case reassigned to ${toPartner.name || toPartner.email}`, data: { alert: redactCase(alert.toObject()) } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/reassign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reassign case', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/transfer-area
+ * Body: { areaId, reason }
+ */
+router.post('/:alertId/transfer-area', authenticate, async (req, res) => {
+    try {
+        const reason = readReason(req.body);
+        if (!req.body.areaId || !mongoose.Types.ObjectId.isValid(req.body.areaId)) {
+            return res.status(400).json({ success: false, message: 'A valid areaId is required' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason (minimum 5 characters) is required' });
+        }
+
+        const alert = await findManagedCase(req, req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+        if (alert.parentAlertId) {
+            return res.status(422).json({
+                success: false,
+                message: 'This report is linked to another case. Transfer the parent case instead.',
+                parentAlertId: alert.parentAlertId
+            });
+        }
+        if (String(alert.areaId) === String(req.body.areaId)) {
+            return res.status(422).json({ success: false, message: 'Case is already in this area' });
+        }
+
+        // Area transfers stay within the case's client — use transfer-client to cross cities
+        const area = await Area.findOne({ _id: req.body.areaId, clientId: alert.clientId })
+            .select('name city partnerId clientId')
+            .lean();
+        if (!area) {
+            return res.status(404).json({ success: false, message: 'Area not found for this case\'s client' });
+        }
+
+        await transferCaseToArea(alert, { area, reason, actor: req.user });
+        res.json({ success: true, message: `Case transferred to area "${area.name}"`, data: { alert: redactCase(alert.toObject()) } });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/transfer-area error:', error);
+        res.status(500).json({ success: false, message: 'Failed to transfer case', error: error.message });
+    }
+});
+
+/**
+ * POST /api/alerts/:alertId/transfer-client
+ * Body: { clientId, reason }
+ * Access: client (owning), admin
+ */
+router.post('/:alertId/transfer-client', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const reason = readReason(req.body);
+        if (!req.body.clientId || !mongoose.Types.ObjectId.isValid(req.body.clientId)) {
+            return res.status(400).json({ success: false, message: 'A valid clientId is required' });
+        }
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason (minimum 5 characters) is required' });
+        }
+
+        const alert = await findManagedCase(req, req.params.alertId);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
+        }
+        if (alert.parentAlertId) {
+            return res.status(422).json({
+                success: false,
+                message: 'This report is linked to another case. Transfer the parent case instead.',
+                parentAlertId: alert.parentAlertId
+            });
+        }
+        if (String(alert.clientId) === String(req.body.clientId)) {
+            return res.status(422).json({ success: false, message: 'Case already belongs to this client' });
+        }
+
+        const client = await Client.findOne({ _id: req.body.clientId, isActive: true })
+            .select('organizationName city')
+            .lean();
+        if (!client) {
+            return res.status(404).json({ success: false, message: 'Target client not found or inactive' });
+        }
+
+        const { area } = await transferCaseToClient(alert, { client, reason, actor: req.user });
+        res.json({
+            success: true,
+            message: `Case handed over to ${client.organizationName}`,
+            data: {
+                alert: redactCase(alert.toObject()),
+                routing: {
+                    areaMatched: area?.name || null,
+                    partnerAssigned: !!alert.assignedPartnerId
+                }
+            }
+        });
+    } catch (error) {
+        console.error('[Alerts] POST /alerts/:alertId/transfer-client error:', error);
+        res.status(500).json({ success: false, message: 'Failed to transfer case', error: error.message });
     }
 });
 
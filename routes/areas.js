@@ -3,25 +3,81 @@
  *
  * GET  /api/areas              — GeoJSON FeatureCollection (map consumption)
  * GET  /api/areas/list         — JSON array of area docs (for UI dropdowns/tables)
- * GET  /api/areas/my-areas     — Auth-aware: returns areas for logged-in role
- * PATCH /api/areas/:id/assign-partner  — Client assigns partner to area
- * PATCH /api/areas/:id/unassign-partner — Remove partner from area
+ * GET  /api/areas/my-areas     — Auth-aware: returns areas for logged-in role (?tree=true nests them)
+ * PATCH /api/areas/:id/assign-partner  — Client assigns partner (primary/backup/supervisor) to area
+ * PATCH /api/areas/:id/unassign-partner — Remove partner (primary/backup/supervisor) from area
  * PATCH /api/areas/:id/assign-client   — Admin assigns client to area
  *
+ * Boundary management (client for own areas; admin / super_admin name a clientId):
+ * POST   /api/areas/boundaries/preview — Parse + validate a KML / GeoJSON / zipped Shapefile upload
+ * POST   /api/areas/boundaries/import  — Same checks, then create/update every area in one transaction
+ * PUT    /api/areas/:id/boundary       — Replace one area's boundary
+ * DELETE /api/areas/:id                — Delete an area with no open cases or child areas
+ *
+ * Coverage (same access rules):
+ * GET    /api/areas/coverage-report     — Overlaps, uncovered gaps and unassigned areas as GeoJSON
+ * PUT    /api/areas/city-boundary       — Set the city outline used for gap detection
+ * PATCH  /api/areas/settings            — { overlapPolicy?, routingStrategy?, nearbyCameraMeters? }
+ *
+ * Hierarchy (zone → station → beat; cases route to the deepest area containing them):
+ * GET    /api/areas/hierarchy       — Area tree with case counts rolled up each level
+ * PATCH  /api/areas/:id/parent      — Move an area under { parentId } and/or change its { level }
+ *
+ * Rosters (several officers per area with weekly shifts; routing picks whoever is on duty):
+ * GET    /api/areas/my-shifts                — Partner: areas served, shifts, on duty now
+ * GET    /api/areas/:id/roster               — Roster with on-duty flags
+ * POST   /api/areas/:id/roster               — Add { partnerId, role, shifts }
+ * PUT    /api/areas/:id/roster/:entryId      — Update { role?, shifts?, active? }
+ * DELETE /api/areas/:id/roster/:entryId      — Remove an entry
+ *
  * SECURITY RULES (multi-tenant city isolation):
  *   Client  → ALWAYS filtered by their own _id (clientId from JWT). Cannot see other cities.
- *   Partner → Filtered by their partnerId (only their assigned zone).
+ *   Partner → Areas they own or are rostered on, plus the subtree of any zone /
+ *             station they supervise or serve.
  *   Admin   → No filter; can see all.
  *   Public  → Must pass explicit ?clientId= or ?partnerId= query — no full dump allowed.
  */
 
 import express from 'express';
 import mongoose from 'mongoose';
+import multer from 'multer';
 import Area from '../models/Area.js';
+import Client from '../models/Client.js';
 import { authenticate, authorize } from '../middleware/auth.js';
+import { parseBoundaryFile } from '../utils/geoFiles.js';
+import {
+    normaliseBoundary,
+    getOverlapPolicy,
+    previewBoundaries,
+    commitBoundaries,
+    updateAreaBoundary,
+    deleteArea
+} from '../services/areaBoundaryService.js';
+import { buildCoverageReport, DEFAULT_GRID_CELLS } from '../services/areaCoverageService.js';
+import {
+    ROSTER_ROLES,
+    ROSTER_TIMEZONE,
+    parseShifts,
+    isOnShift,
+    getPartnerShifts
+} from '../services/rosterService.js';
+import { findAssignablePartner } from '../services/caseAssignmentService.js';
+import { ROUTING_STRATEGIES, DEFAULT_ROUTING_STRATEGY, routablePartnerIds } from '../services/caseRoutingService.js';
+import {
+    AREA_LEVELS,
+    getJurisdictionAreaIds,
+    setAreaParent,
+    buildHierarchyRollup
+} from '../services/areaHierarchyService.js';
+import { MAX_CAMERA_RADIUS_METERS, DEFAULT_NEARBY_CAMERA_METERS } from '../services/cameraService.js';
 
 const router = express.Router();
 
+const boundaryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024 } // 25MB
+});
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  GET /api/areas — GeoJSON FeatureCollection for Leaflet map
 //  Auth: optional but enforced when present
@@ -166,8 +222,11 @@ router.get('/list', async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 //  GET /api/areas/my-areas — Auth-aware area fetching
 //  - Client:  returns all areas where clientId  = token.id
-//  - Partner: returns the area where partnerId  = token.id (their assigned zone)
+//  - Partner: returns the areas they own or are rostered on, plus the whole
+//             subtree below any zone / station they supervise or serve
 //  - Admin:   returns all areas
+//  ?tree=true nests children under their parents (areas whose parent is not
+//  in the result become roots)
 // ─────────────────────────────────────────────────────────────────────────────
 router.get('/my-areas', authenticate, async (req, res) => {
     try {
@@ -177,30 +236,49 @@ router.get('/my-areas', authenticate, async (req, res) => {
         if (role === 'client') {
             filter.clientId = _id;
         } else if (role === 'partner') {
-            filter.partnerId = _id;
+            // Owned areas, areas where they are on the roster and their jurisdiction's subtree
+            const jurisdictionIds = await getJurisdictionAreaIds(_id, req.clientId);
+            filter.$or = [{ partnerId: _id }, { 'roster.partnerId': _id }, { _id: { $in: jurisdictionIds } }];
         }
         // admin/super_admin → no filter → all areas
 
         const areas = await Area.find(filter)
             .populate('partnerId', 'name email designation')
             .select('-boundary')    // leave out boundary coords for list use
-            .sort({ name: 1 })
+            .sort({ depth: 1, name: 1 })
             .lean();
 
+        const items = areas.map(a => ({
+            _id: a._id,
+            name: a.name,
+            city: a.city,
+            clientId: a.clientId,
+            level: a.level || 'beat',
+            parentId: a.parentId || null,
+            depth: a.depth || 0,
+            description: a.description || '',
+            partner: a.partnerId
+                ? { _id: a.partnerId._id, name: a.partnerId.name, email: a.partnerId.email, designation: a.partnerId.designation }
+                : null
+        }));
+
+        let tree;
+        if (req.query.tree === 'true') {
+            const byId = new Map(items.map(a => [String(a._id), { ...a, children: [] }]));
+            tree = [];
+            for (const node of byId.values()) {
+                const parent = node.parentId && byId.get(String(node.parentId));
+                if (parent) parent.children.push(node);
+                else tree.push(node);
+            }
+        }
+
         res.json({
             success: true,
             role,
-            total: areas.length,
-            areas: areas.map(a => ({
-                _id: a._id,
-                name: a.name,
-                city: a.city,
-                clientId: a.clientId,
-                description: a.description || '',
-                partner: a.partnerId
-                    ? { _id: a.partnerId._id, name: a.partnerId.name, email: a.partnerId.email, designation: a.partnerId.designation }
-                    : null
-            }))
+            total: items.length,
+            areas: items,
+            ...(tree ? { tree } : {})
         });
     } catch (err) {
         console.error('[Areas] GET /my-areas error:', err);
@@ -208,32 +286,48 @@ router.get('/my-areas', authenticate, async (req, res) => {
     }
 });
 
+// Area field holding each partner role (backup/supervisor are SLA escalation targets)
+const AREA_PARTNER_FIELDS = {
+    primary: 'partnerId',
+    backup: 'backupPartnerId',
+    supervisor: 'supervisorPartnerId'
+};
+
 // ─────────────────────────────────────────────────────────────────────────────
 //  PATCH /api/areas/:id/assign-partner
 //  Client assigns one of their approved partners to an area.
-//  Body: { partnerId }
+//  Body: { partnerId, role? }   role: primary (default) | backup | supervisor
 // ─────────────────────────────────────────────────────────────────────────────
 router.patch('/:id/assign-partner', authenticate, async (req, res) => {
     try {
-        const { partnerId } = req.body;
-        if (!partnerId) {
+        const { partnerId, role = 'primary' } = req.body;
+        if (!partnerId || !mongoose.Types.ObjectId.isValid(partnerId)) {
             return res.status(400).json({ success: false, error: 'partnerId is required' });
         }
 
+        const field = AREA_PARTNER_FIELDS[role];
+        if (!field) {
+            return res.status(400).json({ success: false, error: `role must be one of: ${Object.keys(AREA_PARTNER_FIELDS).join(', ')}` });
+        }
+
         // Only clients and admins can assign partners
         if (!['client', 'admin', 'super_admin'].includes(req.user.role)) {
             return res.status(403).json({ success: false, error: 'Only clients can assign partners to areas' });
         }
 
-        const area = await Area.findByIdAndUpdate(
-            req.params.id,
-            { partnerId },
-            { new: true }
-        ).populate('partnerId', 'name email designation');
-
+        const area = await findManagedArea(req);
         if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
 
-        console.log(`[Areas] Partner ${partnerId} assigned to area "${area.name}" by ${req.user.role} ${req.user._id}`);
+        const partner = await findAssignablePartner(partnerId, area.clientId);
+        if (!partner) {
+            return res.status(422).json({ success: false, error: 'Partner must be an approved, active partner of this area\'s client' });
+        }
+
+        area[field] = partnerId;
+        await area.save();
+        await area.populate('partnerId', 'name email designation');
+
+        console.log(`[Areas] Partner ${partnerId} assigned as ${role} to area "${area.name}" by ${req.user.role} ${req.user._id}`);
         res.json({ success: true, area });
     } catch (err) {
         console.error('[Areas] PATCH assign-partner error:', err);
@@ -244,6 +338,7 @@ router.patch('/:id/assign-partner', authenticate, async (req, res) => {
 // ─────────────────────────────────────────────────────────────────────────────
 //  PATCH /api/areas/:id/unassign-partner
 //  Remove partner from an area (set partnerId = null)
+//  Body: { role? }   role: primary (default) | backup | supervisor
 // ─────────────────────────────────────────────────────────────────────────────
 router.patch('/:id/unassign-partner', authenticate, async (req, res) => {
     try {
@@ -251,14 +346,17 @@ router.patch('/:id/unassign-partner', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, error: 'Only clients can unassign partners' });
         }
 
-        const area = await Area.findByIdAndUpdate(
-            req.params.id,
-            { $unset: { partnerId: '' } },
-            { new: true }
-        );
+        const field = AREA_PARTNER_FIELDS[req.body?.role || 'primary'];
+        if (!field) {
+            return res.status(400).json({ success: false, error: `role must be one of: ${Object.keys(AREA_PARTNER_FIELDS).join(', ')}` });
+        }
 
+        const area = await findManagedArea(req);
         if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
 
+        area[field] = undefined;
+        await area.save();
+
         res.json({ success: true, message: 'Partner unassigned', area });
     } catch (err) {
         console.error('[Areas] PATCH unassign-partner error:', err);
@@ -293,5 +391,580 @@ router.patch('/:id/assign-client', async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  BOUNDARY MANAGEMENT
+// ─────────────────────────────────────────────────────────────────────────────
+
+const truthy = v => v === true || v === 'true' || v === '1';
+
+// Client → itself; admin → a clientId inside their tenant; super_admin → any clientId
+async function resolveBoundaryClient(req, requestedId = req.body.clientId) {
+    const clientId = req.user.role === 'client' ? req.user._id : requestedId;
+    if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+        return { status: 400, error: 'clientId is required' };
+    }
+    if (req.user.role === 'admin') {
+        const allowed = req.tenantFilter?.clientId?.$in || [];
+        if (!allowed.some(id => String(id) === String(clientId))) {
+            return { status: 403, error: 'Client is outside your tenant' };
+        }
+    }
+
+    const client = await Client.findById(clientId).select('cityBoundary').lean();
+    if (!client) return { status: 404, error: 'Client not found' };
+    return { client };
+}
+
+async function findManagedArea(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+
+    const filter = { _id: req.params.id };
+    if (req.user.role === 'client') filter.clientId = req.user._id;
+    else Object.assign(filter, req.tenantFilter);
+    return Area.findOne(filter);
+}
+
+// One boundary from a JSON body ({ boundary }: geometry or Feature) or a single-feature upload
+function readBoundaryInput(req) {
+    let boundary = req.body.boundary;
+    if (req.file) {
+        try {
+            const { features } = parseBoundaryFile(req.file);
+            if (features.length !== 1) {
+                return { status: 422, error: `File must contain exactly one feature (found ${features.length})` };
+            }
+            boundary = features[0].geometry;
+        } catch (err) {
+            return { status: 422, error: err.message };
+        }
+    } else if (typeof boundary === 'string') {
+        try {
+            boundary = JSON.parse(boundary);
+        } catch {
+            return { status: 400, error: 'boundary must be GeoJSON' };
+        }
+    }
+    if (boundary?.type === 'Feature') boundary = boundary.geometry;
+    if (!boundary) return { status: 400, error: 'boundary is required' };
+    return { boundary };
+}
+
+// Parse the upload and run every check; shared by preview and import
+async function buildPreview(req, res) {
+    if (!req.file) {
+        res.status(400).json({ success: false, error: 'A boundary file is required (field "file")' });
+        return null;
+    }
+
+    const resolved = await resolveBoundaryClient(req);
+    if (resolved.error) {
+        res.status(resolved.status).json({ success: false, error: resolved.error });
+        return null;
+    }
+
+    let parsed;
+    try {
+        parsed = parseBoundaryFile(req.file);
+    } catch (err) {
+        res.status(422).json({ success: false, error: err.message });
+        return null;
+    }
+    if (!parsed.features.length) {
+        res.status(422).json({ success: false, error: 'The file contains no features' });
+        return null;
+    }
+
+    const level = req.body.level || 'beat';
+    if (!AREA_LEVELS.includes(level)) {
+        res.status(400).json({ success: false, error: `level must be one of: ${AREA_LEVELS.join(', ')}` });
+        return null;
+    }
+
+    const clientId = resolved.client._id;
+    const city = (req.body.city || resolved.client.cityBoundary || '').trim();
+    const preview = await previewBoundaries(parsed.features, {
+        clientId,
+        city,
+        level,
+        nameField: req.body.nameField || null,
+        replaceExisting: truthy(req.body.replaceExisting),
+        overlapPolicy: await getOverlapPolicy(clientId)
+    });
+
+    return { preview, format: parsed.format, features: parsed.features, clientId, city, level };
+}
+
+const previewCollection = ({ preview, features }) => ({
+    type: 'FeatureCollection',
+    features: preview.items.map(item => ({
+        type: 'Feature',
+        properties: {
+            index: item.index,
+            name: item.name,
+            action: item.action,
+            existingAreaId: item.existingAreaId,
+            valid: !item.errors.length,
+            errors: item.errors,
+            warnings: item.warnings,
+            overlaps: item.overlaps
+        },
+        // Invalid features are still drawn (as uploaded) so they can be found on the map
+        geometry: item.geometry || features[item.index].geometry || null
+    }))
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  POST /api/areas/boundaries/preview
+//  multipart: file (KML / GeoJSON / zipped Shapefile), clientId (admins), city?,
+//             level? (zone | station | beat, default beat), nameField?, replaceExisting?
+//  Overlaps are only checked against areas of the same level.
+//  Nothing is saved — returns the parsed features with per-feature errors/warnings.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post('/boundaries/preview', authenticate, authorize('client', 'admin', 'super_admin'), boundaryUpload.single('file'), async (req, res) => {
+    try {
+        const built = await buildPreview(req, res);
+        if (!built) return;
+
+        res.json({
+            success: true,
+            format: built.format,
+            city: built.city,
+            level: built.level,
+            summary: built.preview.summary,
+            preview: previewCollection(built)
+        });
+    } catch (err) {
+        console.error('[Areas] POST /boundaries/preview error:', err);
+        res.status(500).json({ success: false, error: 'Server error previewing boundaries' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  POST /api/areas/boundaries/import
+//  Same fields as preview, plus skipInvalid? — without it any invalid feature
+//  blocks the whole import. Valid features are written in one transaction.
+// ─────────────────────────────────────────────────────────────────────────────
+router.post('/boundaries/import', authenticate, authorize('client', 'admin', 'super_admin'), boundaryUpload.single('file'), async (req, res) => {
+    try {
+        const built = await buildPreview(req, res);
+        if (!built) return;
+
+        const { summary } = built.preview;
+        if (!built.city) {
+            return res.status(400).json({ success: false, error: 'city is required' });
+        }
+        if (!summary.valid || (summary.invalid && !truthy(req.body.skipInvalid))) {
+            return res.status(422).json({
+                success: false,
+                error: `${summary.invalid} of ${summary.total} feature(s) failed validation`,
+                summary,
+                preview: previewCollection(built)
+            });
+        }
+
+        const result = await commitBoundaries(built.preview, { clientId: built.clientId, city: built.city, level: built.level });
+
+        console.log(`[Areas] Boundary import for client ${built.clientId} by ${req.user.role} ${req.user._id}: ${result.created.length} created, ${result.updated.length} updated, ${result.skipped} skipped`);
+        res.status(201).json({ success: true, message: 'Boundaries imported', ...result });
+    } catch (err) {
+        console.error('[Areas] POST /boundaries/import error:', err);
+        res.status(500).json({ success: false, error: `Boundary import failed, nothing was saved: ${err.message}` });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/areas/coverage-report?clientId=&gridCells=&level=
+//  FeatureCollection of problems for one level of the hierarchy (default beat),
+//  each tagged properties.kind:
+//    overlap    — region covered by more than one area (routing picks one arbitrarily)
+//    gap        — part of the city outline no area covers (routing falls back to nearest)
+//    unassigned — area with no partner
+//  Overlaps and gaps are approximate to the grid cell size reported in summary.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/coverage-report', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const resolved = await resolveBoundaryClient(req, req.query.clientId);
+        if (resolved.error) return res.status(resolved.status).json({ success: false, error: resolved.error });
+
+        const level = req.query.level || 'beat';
+        if (!AREA_LEVELS.includes(level)) {
+            return res.status(400).json({ success: false, error: `level must be one of: ${AREA_LEVELS.join(', ')}` });
+        }
+
+        const gridCells = parseInt(req.query.gridCells, 10) || DEFAULT_GRID_CELLS;
+        const { summary, features } = await buildCoverageReport(resolved.client._id, { gridCells, level });
+
+        res.json({ success: true, summary, type: 'FeatureCollection', features });
+    } catch (err) {
+        console.error('[Areas] GET /coverage-report error:', err);
+        res.status(500).json({ success: false, error: 'Server error building coverage report' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PUT /api/areas/city-boundary
+//  JSON: { boundary, clientId? } or multipart: file with one feature
+// ─────────────────────────────────────────────────────────────────────────────
+router.put('/city-boundary', authenticate, authorize('client', 'admin', 'super_admin'), boundaryUpload.single('file'), async (req, res) => {
+    try {
+        const resolved = await resolveBoundaryClient(req);
+        if (resolved.error) return res.status(resolved.status).json({ success: false, error: resolved.error });
+
+        const input = readBoundaryInput(req);
+        if (input.error) return res.status(input.status).json({ success: false, error: input.error });
+        const { boundary } = input;
+
+        const { geometry, errors, warnings } = normaliseBoundary(boundary);
+        if (!geometry) {
+            return res.status(422).json({ success: false, error: 'City boundary failed validation', errors, warnings });
+        }
+
+        await Client.updateOne({ _id: resolved.client._id }, { $set: { cityBoundaryGeometry: geometry } });
+        res.json({ success: true, message: 'City boundary saved', warnings });
+    } catch (err) {
+        console.error('[Areas] PUT /city-boundary error:', err);
+        res.status(500).json({ success: false, error: 'Server error saving city boundary' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PATCH /api/areas/settings
+//  Body: { overlapPolicy?, routingStrategy?, nearbyCameraMeters?, clientId? }
+//    overlapPolicy:      block (default) | flag — boundary saves that overlap another area
+//    routingStrategy:    area_owner | on_duty (default) | least_loaded | nearest_on_duty | round_robin
+//                        — how new cases pick an officer inside the matched area
+//    nearbyCameraMeters: how far from an incident case detail looks for cameras (default 300)
+// ─────────────────────────────────────────────────────────────────────────────
+router.patch('/settings', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const resolved = await resolveBoundaryClient(req);
+        if (resolved.error) return res.status(resolved.status).json({ success: false, error: resolved.error });
+
+        const { overlapPolicy, routingStrategy, nearbyCameraMeters } = req.body;
+        const update = {};
+        if (overlapPolicy !== undefined) {
+            if (!['block', 'flag'].includes(overlapPolicy)) {
+                return res.status(400).json({ success: false, error: 'overlapPolicy must be block or flag' });
+            }
+            update['settings.areas.overlapPolicy'] = overlapPolicy;
+        }
+        if (routingStrategy !== undefined) {
+            if (!ROUTING_STRATEGIES.includes(routingStrategy)) {
+                return res.status(400).json({ success: false, error: `routingStrategy must be one of: ${ROUTING_STRATEGIES.join(', ')}` });
+            }
+            update['settings.cases.routingStrategy'] = routingStrategy;
+        }
+        if (nearbyCameraMeters !== undefined) {
+            const meters = Number(nearbyCameraMeters);
+            if (!Number.isFinite(meters) || meters < 0 || meters > MAX_CAMERA_RADIUS_METERS) {
+                return res.status(400).json({ success: false, error: `nearbyCameraMeters must be between 0 and ${MAX_CAMERA_RADIUS_METERS}` });
+            }
+            update['settings.cases.nearbyCameraMeters'] = meters;
+        }
+        if (!Object.keys(update).length) {
+            return res.status(400).json({ success: false, error: 'Nothing to update' });
+        }
+
+        const client = await Client.findByIdAndUpdate(resolved.client._id, { $set: update }, { new: true })
+            .select('settings.areas settings.cases.routingStrategy settings.cases.nearbyCameraMeters')
+            .lean();
+        res.json({
+            success: true,
+            message: 'Area settings updated',
+            settings: {
+                overlapPolicy: client.settings?.areas?.overlapPolicy || 'block',
+                routingStrategy: client.settings?.cases?.routingStrategy || DEFAULT_ROUTING_STRATEGY,
+                nearbyCameraMeters: client.settings?.cases?.nearbyCameraMeters ?? DEFAULT_NEARBY_CAMERA_METERS
+            }
+        });
+    } catch (err) {
+        console.error('[Areas] PATCH /settings error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating area settings' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PUT /api/areas/:id/boundary
+//  JSON: { boundary } (GeoJSON Polygon / MultiPolygon / Feature)
+//  or multipart: file with exactly one feature
+// ─────────────────────────────────────────────────────────────────────────────
+router.put('/:id/boundary', authenticate, authorize('client', 'admin', 'super_admin'), boundaryUpload.single('file'), async (req, res) => {
+    try {
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        const input = readBoundaryInput(req);
+        if (input.error) return res.status(input.status).json({ success: false, error: input.error });
+        const { boundary } = input;
+
+        const { errors, warnings, overlaps } = await updateAreaBoundary(area, boundary);
+        if (errors.length) {
+            return res.status(422).json({ success: false, error: 'Boundary failed validation', errors, warnings, overlaps });
+        }
+
+        console.log(`[Areas] Boundary of "${area.name}" updated by ${req.user.role} ${req.user._id}`);
+        res.json({ success: true, message: 'Boundary updated', warnings, overlaps, area });
+    } catch (err) {
+        console.error('[Areas] PUT /:id/boundary error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating boundary' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  DELETE /api/areas/:id
+//  Refused while open cases are routed to the area — transfer them first —
+//  or while other areas sit under it.
+// ─────────────────────────────────────────────────────────────────────────────
+router.delete('/:id', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        const { deleted, openCases, children } = await deleteArea(area);
+        if (!deleted) {
+            return res.status(409).json({
+                success: false,
+                error: openCases
+                    ? `${openCases} open case(s) are routed to this area; transfer them before deleting it`
+                    : `${children} area(s) sit under this area; move or delete them first`,
+                openCases,
+                children
+            });
+        }
+
+        console.log(`[Areas] Area "${area.name}" deleted by ${req.user.role} ${req.user._id}`);
+        res.json({ success: true, message: 'Area deleted' });
+    } catch (err) {
+        console.error('[Areas] DELETE /:id error:', err);
+        res.status(500).json({ success: false, error: 'Server error deleting area' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  HIERARCHY
+// ─────────────────────────────────────────────────────────────────────────────
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/areas/hierarchy?clientId=
+//  Nested area tree. Each node has counts (cases routed to that area) and
+//  rollup (its own plus every descendant's); byLevel totals each level.
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/hierarchy', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const resolved = await resolveBoundaryClient(req, req.query.clientId);
+        if (resolved.error) return res.status(resolved.status).json({ success: false, error: resolved.error });
+
+        const { tree, byLevel } = await buildHierarchyRollup(resolved.client._id);
+        res.json({ success: true, levels: AREA_LEVELS, byLevel, tree });
+    } catch (err) {
+        console.error('[Areas] GET /hierarchy error:', err);
+        res.status(500).json({ success: false, error: 'Server error building area hierarchy' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PATCH /api/areas/:id/parent
+//  Body: { parentId: <areaId> | null, level? }
+//  The parent must be of the same client and a higher level (zone > station > beat).
+//  A boundary reaching outside the parent is saved with a warning.
+// ─────────────────────────────────────────────────────────────────────────────
+router.patch('/:id/parent', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const { parentId, level } = req.body;
+        if (parentId === undefined && level === undefined) {
+            return res.status(400).json({ success: false, error: 'parentId or level is required' });
+        }
+        if (parentId && !mongoose.Types.ObjectId.isValid(parentId)) {
+            return res.status(400).json({ success: false, error: 'Invalid parentId' });
+        }
+
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        let parent = null;
+        if (parentId) {
+            parent = await Area.findOne({ _id: parentId, clientId: area.clientId }).lean();
+            if (!parent) return res.status(404).json({ success: false, error: 'Parent area not found' });
+        } else if (parentId === undefined && area.parentId) {
+            parent = await Area.findById(area.parentId).lean();
+        }
+
+        const result = await setAreaParent(area, parent, level || area.level || 'beat');
+        if (result.error) return res.status(422).json({ success: false, error: result.error });
+
+        console.log(`[Areas] "${area.name}" placed under ${parent ? `"${parent.name}"` : 'the top level'} as ${area.level} by ${req.user.role} ${req.user._id}`);
+        res.json({
+            success: true,
+            message: 'Area hierarchy updated',
+            warnings: result.warnings,
+            descendantsUpdated: result.descendantsUpdated,
+            area: {
+                _id: area._id,
+                name: area.name,
+                level: area.level,
+                parentId: area.parentId,
+                ancestors: area.ancestors,
+                depth: area.depth
+            }
+        });
+    } catch (err) {
+        console.error('[Areas] PATCH /:id/parent error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating area hierarchy' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  ROSTERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const rosterView = async (area, now = new Date()) => ({
+    areaId: area._id,
+    name: area.name,
+    timezone: ROSTER_TIMEZONE,
+    // Who new cases here can go to now under the client's routing strategy
+    routablePartnerIds: await routablePartnerIds(area, now),
+    roster: (area.roster || []).map(entry => ({
+        _id: entry._id,
+        partner: entry.partnerId?._id
+            ? { _id: entry.partnerId._id, name: entry.partnerId.name, email: entry.partnerId.email, designation: entry.partnerId.designation }
+            : { _id: entry.partnerId },
+        role: entry.role,
+        shifts: entry.shifts,
+        active: entry.active,
+        onDutyNow: isOnShift(entry, now)
+    }))
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/areas/my-shifts — Partner's areas, shifts and current duty status
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/my-shifts', authenticate, authorize('partner'), async (req, res) => {
+    try {
+        const areas = await getPartnerShifts(req.user._id);
+        res.json({
+            success: true,
+            timezone: ROSTER_TIMEZONE,
+            onDutyNow: areas.some(a => a.roster.some(e => e.onDutyNow)),
+            areas
+        });
+    } catch (err) {
+        console.error('[Areas] GET /my-shifts error:', err);
+        res.status(500).json({ success: false, error: 'Server error fetching shifts' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/areas/:id/roster
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/:id/roster', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        await area.populate('roster.partnerId', 'name email designation');
+        res.json({ success: true, ...(await rosterView(area)) });
+    } catch (err) {
+        console.error('[Areas] GET /:id/roster error:', err);
+        res.status(500).json({ success: false, error: 'Server error fetching roster' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  POST /api/areas/:id/roster
+//  Body: { partnerId, role?, shifts? }
+//    role:   primary (default) | backup | supervisor
+//    shifts: [{ days: [1,2,3,4,5], start: '09:00', end: '17:00' }] — omit for always on duty
+// ─────────────────────────────────────────────────────────────────────────────
+router.post('/:id/roster', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const { partnerId, role = 'primary' } = req.body;
+        if (!partnerId || !mongoose.Types.ObjectId.isValid(partnerId)) {
+            return res.status(400).json({ success: false, error: 'partnerId is required' });
+        }
+        if (!ROSTER_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, error: `role must be one of: ${ROSTER_ROLES.join(', ')}` });
+        }
+        const { shifts, error } = parseShifts(req.body.shifts);
+        if (error) return res.status(400).json({ success: false, error });
+
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        const partner = await findAssignablePartner(partnerId, area.clientId);
+        if (!partner) {
+            return res.status(422).json({ success: false, error: 'Partner must be an approved, active partner of this area\'s client' });
+        }
+        if (area.roster.some(e => String(e.partnerId) === String(partnerId) && e.role === role)) {
+            return res.status(409).json({ success: false, error: `Partner is already on this roster as ${role}` });
+        }
+
+        area.roster.push({ partnerId, role, shifts });
+        await area.save();
+        await area.populate('roster.partnerId', 'name email designation');
+
+        console.log(`[Areas] Partner ${partnerId} added to roster of "${area.name}" as ${role} by ${req.user.role} ${req.user._id}`);
+        res.status(201).json({ success: true, message: 'Roster entry added', ...(await rosterView(area)) });
+    } catch (err) {
+        console.error('[Areas] POST /:id/roster error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating roster' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PUT /api/areas/:id/roster/:entryId
+//  Body: { role?, shifts?, active? }
+// ─────────────────────────────────────────────────────────────────────────────
+router.put('/:id/roster/:entryId', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        const entry = area.roster.id(req.params.entryId);
+        if (!entry) return res.status(404).json({ success: false, error: 'Roster entry not found' });
+
+        const { role, active } = req.body;
+        if (role !== undefined) {
+            if (!ROSTER_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `role must be one of: ${ROSTER_ROLES.join(', ')}` });
+            }
+            entry.role = role;
+        }
+        if (req.body.shifts !== undefined) {
+            const { shifts, error } = parseShifts(req.body.shifts);
+            if (error) return res.status(400).json({ success: false, error });
+            entry.shifts = shifts;
+        }
+        if (active !== undefined) entry.active = active === true || active === 'true';
+
+        await area.save();
+        await area.populate('roster.partnerId', 'name email designation');
+        res.json({ success: true, message: 'Roster entry updated', ...(await rosterView(area)) });
+    } catch (err) {
+        console.error('[Areas] PUT /:id/roster/:entryId error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating roster' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  DELETE /api/areas/:id/roster/:entryId
+// ─────────────────────────────────────────────────────────────────────────────
+router.delete('/:id/roster/:entryId', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const area = await findManagedArea(req);
+        if (!area) return res.status(404).json({ success: false, error: 'Area not found' });
+
+        const entry = area.roster.id(req.params.entryId);
+        if (!entry) return res.status(404).json({ success: false, error: 'Roster entry not found' });
+
+        entry.deleteOne();
+        await area.save();
+        await area.populate('roster.partnerId', 'name email designation');
+        res.json({ success: true, message: 'Roster entry removed', ...(await rosterView(area)) });
+    } catch (err) {
+        console.error('[Areas] DELETE /:id/roster/:entryId error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating roster' });
+    }
+});
+
 export default router;
 
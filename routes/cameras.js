@@ -1,28 +1,123 @@
 /**
- * GET /api/cameras
- * Returns cameras as GeoJSON FeatureCollection.
- * Query params: ?city=Bangalore
+ * Camera Routes
+ *
+ * GET    /api/cameras             — GeoJSON FeatureCollection (map consumption; optional auth)
+ * GET    /api/cameras/:id         — One camera with status history and its area
+ * POST   /api/cameras             — Register a camera [client, admin]
+ * PUT    /api/cameras/:id         — Update name / location / radius / owner / maintenance contact [client, admin]
+ * PATCH  /api/cameras/:id/status  — { status, note? } working | faulty | offline | needs_inspection
+ *                                   [client, admin, partner of the client]
+ * DELETE /api/cameras/:id         — Remove a camera [client, admin]
+ *
+ * Every camera belongs to a client and is linked to the deepest Area containing
+ * it (areaId, recomputed when it moves or area boundaries change). Citizen
+ * "camera_issue" reports attach to the nearest camera and flip it to
+ * needs_inspection (see services/cameraService.js).
+ *
+ * SECURITY RULES (same as /api/areas):
+ *   Client  → only their own cameras.
+ *   Partner → cameras of their client.
+ *   Admin   → cameras of their clients (super_admin: all).
+ *   Public  → must pass ?clientId= — no full dump allowed.
  */
 import express from 'express';
+import mongoose from 'mongoose';
 import Camera from '../models/Camera.js';
+import Client from '../models/Client.js';
+import Alert from '../models/Alert.js';
+import { authenticate, authorize, optionalAuthenticate } from '../middleware/auth.js';
+import {
+    CAMERA_STATUSES,
+    parseCameraInput,
+    findContainingAreaId,
+    setCameraStatus
+} from '../services/cameraService.js';
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+// Tenant filter for the caller's cameras; null for anonymous callers
+function cameraScope(req) {
+    if (!req.user) return null;
+    if (req.user.role === 'client') return { clientId: req.user._id };
+    return { ...req.tenantFilter };
+}
+
+async function findManagedCamera(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Camera.findOne({ _id: req.params.id, ...cameraScope(req) });
+}
+
+// Client → itself; admin → a clientId inside their tenant; super_admin → any clientId
+async function resolveCameraClient(req) {
+    const clientId = req.user.role === 'client' ? req.user._id : req.body.clientId;
+    if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+        return { status: 400, error: 'clientId is required' };
+    }
+    if (req.user.role === 'admin') {
+        const allowed = req.tenantFilter?.clientId?.$in || [];
+        if (!allowed.some(id => String(id) === String(clientId))) {
+            return { status: 403, error: 'Client is outside your tenant' };
+        }
+    }
+
+    const client = await Client.findById(clientId).select('cityBoundary').lean();
+    if (!client) return { status: 404, error: 'Client not found' };
+    return { client };
+}
+
+const cameraView = cam => ({
+    _id: cam._id,
+    name: cam.name,
+    clientId: cam.clientId,
+    city: cam.city || null,
+    areaId: cam.areaId?._id || cam.areaId || null,
+    areaName: cam.areaId?.name || null,
+    location: cam.location,
+    radius: cam.radius,
+    description: cam.description || '',
+    status: cam.status,
+    statusChangedAt: cam.statusChangedAt,
+    owner: cam.owner || {},
+    maintenanceContact: cam.maintenanceContact || {},
+    createdAt: cam.createdAt,
+    updatedAt: cam.updatedAt
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/cameras — GeoJSON FeatureCollection for the map
+//  Query: ?clientId= (required without a token), ?status=, ?areaId=
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/', optionalAuthenticate, async (req, res) => {
     try {
-        const { city } = req.query;
-        const filter = {};
-        if (city) filter.city = city;
+        const { clientId, status, areaId } = req.query;
+        const filter = cameraScope(req);
+
+        if (!filter) {
+            // Public / no token → require explicit client for safety
+            if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+                return res.json({ type: 'FeatureCollection', features: [] });
+            }
+        }
+        const query = { ...filter };
+        if (clientId && mongoose.Types.ObjectId.isValid(clientId)) {
+            // Inside the caller's scope (Mongo ANDs both conditions)
+            query.$and = [{ clientId: new mongoose.Types.ObjectId(clientId) }];
+        }
+        if (status) query.status = { $in: String(status).split(',') };
+        if (areaId && mongoose.Types.ObjectId.isValid(areaId)) query.areaId = areaId;
 
-        const cameras = await Camera.find(filter).lean();
+        const cameras = await Camera.find(query).select('-statusHistory').lean();
 
         const features = cameras.map(cam => ({
             type: 'Feature',
             properties: {
                 id: cam._id,
                 name: cam.name,
-                city: cam.city || 'Bangalore',
-                radius: cam.radius || 300,
+                clientId: cam.clientId,
+                city: cam.city || null,
+                areaId: cam.areaId,
+                radius: cam.radius || 50,
+                status: cam.status,
                 description: cam.description || ''
             },
             geometry: cam.location
@@ -35,4 +130,137 @@ router.get('/', async (req, res) => {
     }
 });
 
+// ─────────────────────────────────────────────────────────────────────────────
+//  GET /api/cameras/:id
+// ─────────────────────────────────────────────────────────────────────────────
+router.get('/:id', authenticate, authorize('client', 'admin', 'super_admin', 'partner'), async (req, res) => {
+    try {
+        const camera = await findManagedCamera(req);
+        if (!camera) return res.status(404).json({ success: false, error: 'Camera not found' });
+
+        await camera.populate('areaId', 'name level');
+        const openIssueReports = await Alert.countDocuments({ cameraId: camera._id, isActive: true });
+
+        res.json({
+            success: true,
+            camera: {
+                ...cameraView(camera.toObject()),
+                statusHistory: camera.statusHistory,
+                openIssueReports
+            }
+        });
+    } catch (err) {
+        console.error('[Cameras] GET /:id error:', err);
+        res.status(500).json({ success: false, error: 'Server error fetching camera' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  POST /api/cameras
+//  Body: { name, latitude, longitude, radius?, description?, city?, status?,
+//          owner?: { name, organisation, phone, email }, maintenanceContact?: { … },
+//          clientId? (admins) }
+// ─────────────────────────────────────────────────────────────────────────────
+router.post('/', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const { values, error } = parseCameraInput(req.body);
+        if (error) return res.status(400).json({ success: false, error });
+
+        const resolved = await resolveCameraClient(req);
+        if (resolved.error) return res.status(resolved.status).json({ success: false, error: resolved.error });
+
+        const clientId = resolved.client._id;
+        const camera = new Camera({
+            ...values,
+            clientId,
+            city: values.city || resolved.client.cityBoundary || '',
+            areaId: await findContainingAreaId(clientId, values.location)
+        });
+        if (values.status) {
+            camera.statusHistory.push({ status: values.status, note: 'Registered', changedBy: req.user._id, changedByRole: req.user.role });
+        }
+        await camera.save();
+
+        console.log(`[Cameras] "${camera.name}" registered for client ${clientId} by ${req.user.role} ${req.user._id}`);
+        res.status(201).json({ success: true, message: 'Camera registered', camera: cameraView(camera.toObject()) });
+    } catch (err) {
+        console.error('[Cameras] POST error:', err);
+        res.status(500).json({ success: false, error: 'Server error registering camera' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PUT /api/cameras/:id
+//  Body: any of the POST fields except clientId. Moving a camera re-links its area.
+// ─────────────────────────────────────────────────────────────────────────────
+router.put('/:id', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const { values, error } = parseCameraInput(req.body, { partial: true });
+        if (error) return res.status(400).json({ success: false, error });
+
+        const camera = await findManagedCamera(req);
+        if (!camera) return res.status(404).json({ success: false, error: 'Camera not found' });
+
+        const { status, ...fields } = values;
+        camera.set(fields);
+        if (status) setCameraStatus(camera, status, { note: req.body.note || '', user: req.user });
+        if (fields.location) camera.areaId = await findContainingAreaId(camera.clientId, fields.location);
+        await camera.save();
+
+        res.json({ success: true, message: 'Camera updated', camera: cameraView(camera.toObject()) });
+    } catch (err) {
+        console.error('[Cameras] PUT /:id error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating camera' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  PATCH /api/cameras/:id/status
+//  Body: { status, note? } — officers report what they found on inspection
+// ─────────────────────────────────────────────────────────────────────────────
+router.patch('/:id/status', authenticate, authorize('client', 'admin', 'super_admin', 'partner'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!CAMERA_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `status must be one of: ${CAMERA_STATUSES.join(', ')}` });
+        }
+
+        const camera = await findManagedCamera(req);
+        if (!camera) return res.status(404).json({ success: false, error: 'Camera not found' });
+
+        const changed = setCameraStatus(camera, status, { note: typeof note === 'string' ? note.trim() : '', user: req.user });
+        if (changed) await camera.save();
+
+        console.log(`[Cameras] "${camera.name}" status → ${status} by ${req.user.role} ${req.user._id}`);
+        res.json({
+            success: true,
+            message: changed ? 'Camera status updated' : 'Camera already has this status',
+            camera: cameraView(camera.toObject())
+        });
+    } catch (err) {
+        console.error('[Cameras] PATCH /:id/status error:', err);
+        res.status(500).json({ success: false, error: 'Server error updating camera status' });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  DELETE /api/cameras/:id
+//  Reports attached to the camera keep their location but lose the link.
+// ─────────────────────────────────────────────────────────────────────────────
+router.delete('/:id', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+    try {
+        const camera = await findManagedCamera(req);
+        if (!camera) return res.status(404).json({ success: false, error: 'Camera not found' });
+
+        await Camera.deleteOne({ _id: camera._id });
+        await Alert.updateMany({ cameraId: camera._id }, { $set: { cameraId: null } });
+
+        console.log(`[Cameras] "${camera.name}" deleted by ${req.user.role} ${req.user._id}`);
+        res.json({ success: true, message: 'Camera deleted' });
+    } catch (err) {
+        console.error('[Cameras] DELETE /:id error:', err);
+        res.status(500).json({ success: false, error: 'Server error deleting camera' });
+    }
+});
+
 export default router;
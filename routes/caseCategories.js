@@ -0,0 +1,214 @@
+/**
+ * Case Category Routes
+ *
+ * GET    /api/case-categories                — Client's stored categories (all, incl. inactive)
+ * GET    /api/case-categories/defaults       — Built-in catalogue (template)
+ * POST   /api/case-categories/seed-defaults  — Copy the built-in catalogue into the client's own
+ * GET    /api/case-categories/:id            — Single category
+ * POST   /api/case-categories                — Create a category
+ * PUT    /api/case-categories/:id            — Update name/description/form/basis types
+ * DELETE /api/case-categories/:id            — Delete a category
+ *
+ * Access: client only — every query is scoped to clientId = token._id.
+ * Existing cases keep their metadata.type even if their category is deleted.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import CaseCategory from '../models/CaseCategory.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+    DEFAULT_CASE_CATEGORIES,
+    seedDefaultCategories,
+    validateFormFieldDefinitions
+} from '../services/caseCategoryService.js';
+
+const router = express.Router();
+
+// ─── Helper: pick editable fields from the body ──────────────────────────────
+function pickCategoryFields(body) {
+    const update = {};
+    if (body.name !== undefined) update.name = String(body.name).trim();
+    if (body.description !== undefined) update.description = String(body.description).trim();
+    if (body.formFields !== undefined) update.formFields = body.formFields;
+    if (body.basisTypes !== undefined) {
+        update.basisTypes = Array.isArray(body.basisTypes)
+            ? [...new Set(body.basisTypes.map(b => String(b).trim()).filter(Boolean))]
+            : body.basisTypes;
+    }
+    if (body.sortOrder !== undefined) update.sortOrder = Number(body.sortOrder) || 0;
+    if (body.isActive !== undefined) update.isActive = Boolean(body.isActive);
+    return update;
+}
+
+function validateCategoryFields(update) {
+    if (update.name !== undefined && !update.name) return 'Category name is required';
+    if (update.formFields !== undefined) {
+        const formError = validateFormFieldDefinitions(update.formFields);
+        if (formError) return formError;
+    }
+    if (update.basisTypes !== undefined && !Array.isArray(update.basisTypes)) {
+        return 'basisTypes must be an array of strings';
+    }
+    return null;
+}
+
+/**
+ * GET /api/case-categories
+ */
+router.get('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const categories = await CaseCategory.find({ clientId: req.user._id })
+            .sort({ sortOrder: 1, name: 1 })
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                categories,
+                total: categories.length,
+                // Mobile app is served the built-in catalogue until the client stores their own
+                usingDefaults: categories.length === 0
+            }
+        });
+    } catch (error) {
+        console.error('[CaseCategories] GET / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch categories', error: error.message });
+    }
+});
+
+/**
+ * GET /api/case-categories/defaults
+ */
+router.get('/defaults', authenticate, authorize('client'), (req, res) => {
+    res.json({ success: true, data: { categories: DEFAULT_CASE_CATEGORIES } });
+});
+
+/**
+ * POST /api/case-categories/seed-defaults
+ */
+router.post('/seed-defaults', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const created = await seedDefaultCategories(req.user._id);
+        res.status(201).json({
+            success: true,
+            message: `${created} default categor${created === 1 ? 'y' : 'ies'} added`,
+            data: { created }
+        });
+    } catch (error) {
+        console.error('[CaseCategories] POST /seed-defaults error:', error);
+        res.status(500).json({ success: false, message: 'Failed to seed categories', error: error.message });
+    }
+});
+
+/**
+ * GET /api/case-categories/:id
+ */
+router.get('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid category id' });
+        }
+
+        const category = await CaseCategory.findOne({ _id: req.params.id, clientId: req.user._id }).lean();
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        res.json({ success: true, data: { category } });
+    } catch (error) {
+        console.error('[CaseCategories] GET /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch category', error: error.message });
+    }
+});
+
+/**
+ * POST /api/case-categories
+ * Body: { key, name, description?, formFields?, basisTypes?, sortOrder?, isActive? }
+ */
+router.post('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const key = String(req.body.key || '').toLowerCase().trim();
+        if (!/^[a-z0-9_]+$/.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'key is required and may only contain lowercase letters, digits and underscores'
+            });
+        }
+        if (!req.body.name) {
+            return res.status(400).json({ success: false, message: 'Category name is required' });
+        }
+
+        const fields = pickCategoryFields(req.body);
+        const validationError = validateCategoryFields(fields);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const existing = await CaseCategory.exists({ clientId: req.user._id, key });
+        if (existing) {
+            return res.status(409).json({ success: false, message: `Category "${key}" already exists` });
+        }
+
+        const category = await CaseCategory.create({ ...fields, key, clientId: req.user._id });
+        res.status(201).json({ success: true, message: 'Category created successfully', data: { category } });
+    } catch (error) {
+        console.error('[CaseCategories] POST / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create category', error: error.message });
+    }
+});
+
+/**
+ * PUT /api/case-categories/:id
+ * key is immutable — existing cases reference it.
+ */
+router.put('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid category id' });
+        }
+
+        const fields = pickCategoryFields(req.body);
+        const validationError = validateCategoryFields(fields);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const category = await CaseCategory.findOneAndUpdate(
+            { _id: req.params.id, clientId: req.user._id },
+            { $set: fields },
+            { new: true, runValidators: true }
+        );
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        res.json({ success: true, message: 'Category updated', data: { category } });
+    } catch (error) {
+        console.error('[CaseCategories] PUT /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update category', error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/case-categories/:id
+ */
+router.delete('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid category id' });
+        }
+
+        const deleted = await CaseCategory.findOneAndDelete({ _id: req.params.id, clientId: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Category not found' });
+        }
+
+        res.json({ success: true, message: 'Category deleted successfully' });
+    } catch (error) {
+        console.error('[CaseCategories] DELETE /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete category', error: error.message });
+    }
+});
+
+export default router;
@@ -1,66 +1,122 @@
 /**
  * Geo-Based Case Management Routes
  *
- * POST /api/cases             — User submits GPS case → auto-routed to area+partner
- * GET  /api/cases             — All cases as GeoJSON (for client/admin map)
+ * POST /api/cases             — User submits GPS case → auto-routed to area+partner [user]
+ * GET  /api/cases             — Cases in the caller's scope as GeoJSON (for client/admin map)
  * GET  /api/cases/client/:clientId  — Client dashboard: all cases in their city
  * GET  /api/cases/partner/:partnerId — Partner dashboard: only their cases
- * PATCH /api/cases/:id/status — Update case status (partner attends)
+ * PATCH /api/cases/:id/status — Update case status [assigned partner, owning client]
+ *
+ * Served from the unified citizen cases (Alert, type USER) through
+ * services/caseService.js — the same routing, workflow, notifications and
+ * emits as /api/alerts. Old Case documents are converted by
+ * scripts/migrate_cases_to_alerts.js.
+ *
+ * Feature `status` is the workflow status; `legacyStatus` keeps the old
+ * pending / assigned / in-progress / attended / resolved vocabulary, and
+ * ?status= accepts either.
+ *
+ * SECURITY RULES (same isolation as /api/areas; every route needs a token):
+ *   Client  → only cases of their own city (clientId from JWT).
+ *   Partner → only cases assigned to them.
+ *   Admin   → cases of their clients (super_admin: all).
+ *   User    → may only report; the reporter is always the caller.
+ * Status changes: the assigned partner or the owning client, within the
+ * workflow's transitions for their role; each change is stored on the
+ * timeline with who made it (updatedBy / updatedByName / updatedByRole).
  */
 
 import express from 'express';
 import mongoose from 'mongoose';
-import Case from '../models/Case.js';
+import Alert from '../models/Alert.js';
 import Area from '../models/Area.js';
-import { io } from '../services/chatWebSocket.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { resolveWorkflow } from '../services/workflowService.js';
+import {
+    LEGACY_CASE_STATUSES,
+    workflowStatusForLegacy,
+    legacyStatusOf,
+    caseToFeature,
+    openCase,
+    changeCaseStatus
+} from '../services/caseService.js';
 
 const router = express.Router();
 
-// ─── Helper: case document → GeoJSON Feature ──────────────────────────────────
-function caseToFeature(c) {
+// Parent citizen cases with a map position; linked duplicates show via their parent
+const MAP_CASE_FILTER = { type: 'USER', parentAlertId: null, 'location.type': 'Point' };
+
+const MAP_CASE_FIELDS = 'title message metadata.type priority status isActive areaId clientId assignedPartnerId location '
+    + 'timeline.status timeline.note timeline.timestamp timeline.visibility createdAt';
+
+// ─── Helper: tenant + role scope of the caller ──────────────────────────────
+function caseScope(req) {
+    if (req.user.role === 'client') return { clientId: req.user._id };
+    if (req.user.role === 'partner') return { clientId: req.clientId, assignedPartnerId: req.user._id };
+    return { ...req.tenantFilter };
+}
+
+const sameId = (a, b) => String(a) === String(b);
+
+// ─── Helper: ?status= → query part + post-filter for legacy names ─────────────
+function statusFilter(status) {
+    if (!status) return { query: {}, legacy: null };
+    if (!LEGACY_CASE_STATUSES.includes(status)) return { query: { status }, legacy: null };
+
+    const closed = status === 'resolved' || status === 'closed';
+    return { query: { isActive: !closed }, legacy: closed ? 'resolved' : status };
+}
+
+// `conditions` narrow the caller's scope (Mongo ANDs them), never widen it
+async function findMapCases(req, conditions, status, populate = []) {
+    const { query, legacy } = statusFilter(status);
+    const filter = { ...MAP_CASE_FILTER, ...caseScope(req), ...query };
+    if (conditions.length) filter.$and = conditions;
+
+    let cursor = Alert.find(filter)
+        .select(MAP_CASE_FIELDS)
+        .populate('assignedPartnerId', 'name email')
+        .sort({ createdAt: -1 });
+    for (const [path, fields] of populate) cursor = cursor.populate(path, fields);
+
+    const cases = await cursor.lean();
+    return legacy ? cases.filter(c => legacyStatusOf(c) === legacy) : cases;
+}
+
+// Dashboard feature: map feature + area name/city
+function dashboardFeature(c) {
+    const feature = caseToFeature(c);
     return {
-        type: 'Feature',
+        ...feature,
         properties: {
-            id: c._id,
-            title: c.title,
-            description: c.description || '',
-            status: c.status,
-            assignedAreaId: c.assignedAreaId,
-            clientId: c.clientId,
-            partnerId: c.partnerId?._id || c.partnerId || null,
-            partnerName: c.partnerId?.name || null,
-            partnerEmail: c.partnerId?.email || null,
-            attendedNote: c.attendedNote || '',
-            attendedAt: c.attendedAt || null,
-            createdAt: c.createdAt
-        },
-        geometry: c.location
+            ...feature.properties,
+            areaName: c.areaId?.name || 'Unknown Area',
+            areaCity: c.areaId?.city || ''
+        }
     };
 }
 
 // ─── GET /api/cases ───────────────────────────────────────────────────────────
 // All cases as GeoJSON FeatureCollection.
-// Optional query: ?clientId=, ?partnerId=, ?status=, ?city=
-router.get('/', async (req, res) => {
+// Optional query (within the caller's scope): ?clientId=, ?partnerId=, ?status=, ?city=
+router.get('/', authenticate, authorize('client', 'partner', 'admin', 'super_admin'), async (req, res) => {
     try {
         const { clientId, partnerId, status, city } = req.query;
+        if ([clientId, partnerId].some(id => id && !mongoose.Types.ObjectId.isValid(id))) {
+            return res.status(400).json({ error: 'clientId and partnerId must be valid ids' });
+        }
 
-        const filter = {};
-        if (clientId) filter.clientId = clientId;
-        if (partnerId) filter.partnerId = partnerId;
-        if (status) filter.status = status;
+        const conditions = [];
+        if (clientId) conditions.push({ clientId });
+        if (partnerId) conditions.push({ assignedPartnerId: partnerId });
 
         // If filtering by city, find all areas in that city then filter cases
         if (city) {
             const areaIds = await Area.find({ city }).distinct('_id');
-            filter.assignedAreaId = { $in: areaIds };
+            conditions.push({ areaId: { $in: areaIds } });
         }
 
-        const cases = await Case
-            .find(filter)
-            .populate('partnerId', 'name email')
-            .lean();
-
+        const cases = await findMapCases(req, conditions, status);
         const features = cases.map(caseToFeature);
 
         res.json({ type: 'FeatureCollection', features });
@@ -72,27 +128,22 @@ router.get('/', async (req, res) => {
 
 // ─── GET /api/cases/client/:clientId ─────────────────────────────────────────
 // CLIENT DASHBOARD: all cases in this client's zone, with partner info populated
-router.get('/client/:clientId', async (req, res) => {
+router.get('/client/:clientId', authenticate, authorize('client', 'partner', 'admin', 'super_admin'), async (req, res) => {
     try {
-        const { status } = req.query;
-        const filter = { clientId: req.params.clientId };
-        if (status) filter.status = status;
-
-        const cases = await Case
-            .find(filter)
-            .populate('partnerId', 'name email')
-            .populate('assignedAreaId', 'name city')
-            .sort({ createdAt: -1 })
-            .lean();
-
-        const features = cases.map(c => ({
-            ...caseToFeature(c),
-            properties: {
-                ...caseToFeature(c).properties,
-                areaName: c.assignedAreaId?.name || 'Unknown Area',
-                areaCity: c.assignedAreaId?.city || ''
-            }
-        }));
+        if (!mongoose.Types.ObjectId.isValid(req.params.clientId)) {
+            return res.status(400).json({ error: 'Invalid clientId' });
+        }
+        if (req.user.role === 'client' && !sameId(req.params.clientId, req.user._id)) {
+            return res.status(403).json({ error: 'Access denied: not your city' });
+        }
+
+        const cases = await findMapCases(
+            req,
+            [{ clientId: req.params.clientId }],
+            req.query.status,
+            [['areaId', 'name city']]
+        );
+        const features = cases.map(dashboardFeature);
 
         res.json({
             type: 'FeatureCollection',
@@ -108,26 +159,22 @@ router.get('/client/:clientId', async (req, res) => {
 
 // ─── GET /api/cases/partner/:partnerId ───────────────────────────────────────
 // PARTNER DASHBOARD: only cases assigned to this partner
-router.get('/partner/:partnerId', async (req, res) => {
+router.get('/partner/:partnerId', authenticate, authorize('client', 'partner', 'admin', 'super_admin'), async (req, res) => {
     try {
-        const { status } = req.query;
-        const filter = { partnerId: req.params.partnerId };
-        if (status) filter.status = status;
-
-        const cases = await Case
-            .find(filter)
-            .populate('assignedAreaId', 'name city boundary')
-            .sort({ createdAt: -1 })
-            .lean();
-
-        const features = cases.map(c => ({
-            ...caseToFeature(c),
-            properties: {
-                ...caseToFeature(c).properties,
-                areaName: c.assignedAreaId?.name || 'Unknown Area',
-                areaCity: c.assignedAreaId?.city || ''
-            }
-        }));
+        if (!mongoose.Types.ObjectId.isValid(req.params.partnerId)) {
+            return res.status(400).json({ error: 'Invalid partnerId' });
+        }
+        if (req.user.role === 'partner' && !sameId(req.params.partnerId, req.user._id)) {
+            return res.status(403).json({ error: 'Access denied: partners only see their own cases' });
+        }
+
+        const cases = await findMapCases(
+            req,
+            [{ assignedPartnerId: req.params.partnerId }],
+            req.query.status,
+            [['areaId', 'name city boundary']]
+        );
+        const features = cases.map(dashboardFeature);
 
         res.json({
             type: 'FeatureCollection',
@@ -142,11 +189,12 @@ router.get('/partner/:partnerId', async (req, res) => {
 });
 
 // ─── POST /api/cases ──────────────────────────────────────────────────────────
-// User submits a case with GPS coordinates.
-// Auto-routing: finds area by $geoIntersects, inherits clientId + partnerId.
-router.post('/', async (req, res) => {
+// User submits a case with GPS coordinates; the reporter is the token's user.
+// Auto-routing (services/caseService.js): area of the user's own client by
+// $geoIntersects, officer by the client's routing strategy.
+router.post('/', authenticate, authorize('user'), async (req, res) => {
     try {
-        const { title, description, longitude, latitude, userId } = req.body;
+        const { title, description, longitude, latitude } = req.body;
 
         if (!title || longitude === undefined || latitude === undefined) {
             return res.status(400).json({ error: 'title, longitude and latitude are required' });
@@ -159,52 +207,30 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'longitude and latitude must be valid numbers' });
         }
 
-        // GeoJSON Point — always [longitude, latitude]
-        const locationPoint = {
-            type: 'Point',
-            coordinates: [lng, lat]
-        };
-
-        // ── GEO ROUTING ──────────────────────────────────────────────────────
-        // Find the area polygon that contains this GPS coordinate.
-        // $geoIntersects works with 2dsphere index on boundary field.
-        const matchedArea = await Area.findOne({
-            boundary: {
-                $geoIntersects: {
-                    $geometry: locationPoint
-                }
-            }
-        }).lean();
-
-        // ── CREATE CASE ──────────────────────────────────────────────────────
-        const newCase = await Case.create({
+        const opened = await openCase({
+            reporterId: req.user._id,
+            clientId: req.clientId,
+            // GeoJSON Point — always [longitude, latitude]
+            point: { type: 'Point', coordinates: [lng, lat] },
             title,
-            description,
-            userId,
-            location: locationPoint,
-            assignedAreaId: matchedArea?._id || null,
-            clientId: matchedArea?.clientId || null,
-            partnerId: matchedArea?.partnerId || null,
-            status: matchedArea?.partnerId ? 'assigned' : 'pending'
+            message: description || title
         });
-
-        // ── EMIT REAL-TIME UPDATE ────────────────────────────────────────────
-        if (io) {
-            io.emit('new_case', caseToFeature({
-                ...newCase.toObject(),
-                partnerId: null  // not populated yet, avoids ObjectId error
-            }));
+        if (opened.error) {
+            return res.status(opened.status).json({ error: opened.error });
         }
+        const { alert, route, clusterParent } = opened;
 
         res.status(201).json({
             success: true,
             message: 'Case created successfully',
-            case: newCase,
+            case: caseToFeature(alert.toObject()),
             routing: {
-                matchedArea: matchedArea?.name || null,
-                matchedCity: matchedArea?.city || null,
-                assignedPartner: matchedArea?.partnerId || null,
-                status: newCase.status
+                matchedArea: route.area?.name || null,
+                matchedCity: route.area?.city || null,
+                assignedPartner: alert.assignedPartnerId || null,
+                reason: route.routing?.reason || null,
+                linkedToCaseId: clusterParent?._id || null,
+                status: alert.status
             }
         });
     } catch (err) {
@@ -214,44 +240,48 @@ router.post('/', async (req, res) => {
 });
 
 // ─── PATCH /api/cases/:id/status ─────────────────────────────────────────────
-// Partner marks a case as attended (or any status transition)
-// Body: { status, attendedNote? }
-router.patch('/:id/status', async (req, res) => {
+// Assigned partner marks a case as attended (or any status transition); the
+// owning client may too, where its workflow grants the client role.
+// Body: { status, attendedNote? } — status is a workflow status or a legacy one
+// (pending, assigned, in-progress, attended, resolved, closed); the workflow's
+// transitions apply either way.
+router.patch('/:id/status', authenticate, authorize('partner', 'client'), async (req, res) => {
     try {
         const { status, attendedNote } = req.body;
 
-        const VALID = ['pending', 'assigned', 'in-progress', 'attended', 'resolved', 'closed'];
-        if (!status || !VALID.includes(status)) {
-            return res.status(400).json({
-                error: `Invalid status. Must be one of: ${VALID.join(', ')}`
-            });
+        if (!status || typeof status !== 'string') {
+            return res.status(400).json({ error: 'status is required' });
         }
-
-        const update = { status };
-        if (status === 'attended' || status === 'resolved') {
-            update.attendedAt = new Date();
-            update.attendedNote = attendedNote || '';
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Case not found' });
         }
 
-        const updated = await Case.findByIdAndUpdate(
-            req.params.id,
-            update,
-            { new: true }
-        ).populate('partnerId', 'name email').lean();
-
-        if (!updated) {
+        // Partner scope = assigned to them; client scope = their city
+        const alert = await Alert.findOne({ _id: req.params.id, type: 'USER', ...caseScope(req) });
+        if (!alert) {
             return res.status(404).json({ error: 'Case not found' });
         }
 
-        // Emit real-time status update to all dashboard watchers
-        if (io) {
-            io.emit('case_status_updated', caseToFeature(updated));
+        const workflow = await resolveWorkflow(alert.clientId, alert.metadata?.type);
+        const target = LEGACY_CASE_STATUSES.includes(status) ? workflowStatusForLegacy(workflow, status) : status;
+
+        const changed = await changeCaseStatus(alert, {
+            status: target,
+            basisType: 'Status Update',
+            note: typeof attendedNote === 'string' ? attendedNote.trim() : '',
+            actor: req.user
+        });
+        if (changed.error) {
+            const { status: httpStatus, error, ...details } = changed;
+            return res.status(httpStatus).json({ error, ...details });
         }
 
+        console.log(`[Cases] ${alert._id} ${changed.previousStatus} → ${target} by ${req.user.role} ${req.user._id}`);
+        await alert.populate('assignedPartnerId', 'name email');
         res.json({
             success: true,
-            message: `Case status updated to "${status}"`,
-            case: updated
+            message: `Case status updated to "${target}"`,
+            case: caseToFeature(alert.toObject())
         });
     } catch (err) {
         console.error('[Cases] PATCH status error:', err);
@@ -5,6 +5,8 @@ import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
 import User from '../models/User.js';
 import Client from '../models/Client.js';
+import { buildHierarchyRollup } from '../services/areaHierarchyService.js';
+import { resolveScorecardRange, buildScorecards, scorecardsToCsv } from '../services/scorecardService.js';
 
 const router = express.Router();
 
@@ -307,14 +309,33 @@ router.delete('/users/:userId', authenticate, authorize('client', 'admin', 'supe
 });
 
 
+/**
+ * Client dashboard overview
+ * GET /api/client/dashboard/overview
+ * Query params: ?from=&to= (defaults to the last 7 days)
+ * Access: client
+ */
 router.get('/dashboard/overview', authenticate, authorize('client'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments(req.tenantFilter);
+    const window = resolveScorecardRange(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error });
+    }
+
+    const [totalUsers, { byLevel }, scorecards] = await Promise.all([
+      User.countDocuments(req.tenantFilter),
+      buildHierarchyRollup(req.user._id),
+      buildScorecards(req.user._id, window)
+    ]);
 
     res.json({
       success: true,
       data: {
-        totalUsers
+        totalUsers,
+        // Case counts per area level (zone / station / beat)
+        casesByLevel: byLevel,
+        range: scorecards.range,
+        cases: scorecards.overall
       }
     });
   } catch (error) {
@@ -327,4 +348,61 @@ router.get('/dashboard/overview', authenticate, authorize('client'), async (req,
   }
 });
 
+/**
+ * Area and partner scorecards
+ * GET /api/client/dashboard/scorecards
+ * Query params: ?from=&to= (defaults to the last 7 days)
+ * Per area and per partner: cases received, first response and resolution
+ * times (mean / p90, minutes), rejection rate, reopens and SLA breaches, each
+ * with deltas against the window of the same length before it.
+ * Access: client
+ */
+router.get('/dashboard/scorecards', authenticate, authorize('client'), async (req, res) => {
+  try {
+    const window = resolveScorecardRange(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error });
+    }
+
+    const scorecards = await buildScorecards(req.user._id, window);
+    res.json({ success: true, data: scorecards });
+  } catch (error) {
+    console.error('[Client API] Dashboard scorecards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build scorecards',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Scorecards as a CSV download for monthly reviews
+ * GET /api/client/dashboard/scorecards/export
+ * Query params: ?from=&to= (same as /dashboard/scorecards)
+ * Access: client
+ */
+router.get('/dashboard/scorecards/export', authenticate, authorize('client'), async (req, res) => {
+  try {
+    const window = resolveScorecardRange(req.query);
+    if (window.error) {
+      return res.status(400).json({ success: false, message: window.error });
+    }
+
+    const scorecards = await buildScorecards(req.user._id, window);
+    const day = date => date.toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="scorecards-${day(window.range.from)}-to-${day(window.range.to)}.csv"`);
+    res.send(scorecardsToCsv(scorecards));
+  } catch (error) {
+    console.error('[Client API] Scorecard export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export scorecards',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
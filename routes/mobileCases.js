@@ -2,83 +2,30 @@ import express from 'express';
 import multer from 'multer';
 import mongoose from 'mongoose';
 import Alert from '../models/Alert.js';
-import Area from '../models/Area.js';
-import Notification from '../models/Notification.js';
-import { authenticate } from '../middleware/auth.js';
-import { putobject } from '../utils/s3.js'; // Fix import path
+import { authenticate, optionalAuthenticate } from '../middleware/auth.js';
+import { listCategories, getCategory, validateFormData } from '../services/caseCategoryService.js';
+import {
+    describeFeedbackOptions,
+    confirmResolution,
+    rateCase,
+    reopenCase
+} from '../services/caseFeedbackService.js';
+import { timelineForRole } from '../services/caseTimelineService.js';
+import { MAX_MEDIA_FILE_SIZE, storeCaseMedia, signCaseMedia, discardUploadedFiles } from '../services/caseMediaService.js';
+import { parseReporting } from '../services/reporterPrivacyService.js';
+import { startSos, closeSos, sosRoom } from '../services/sosService.js';
+import { openCase } from '../services/caseService.js';
+import { routeCaseLocation } from '../services/caseRoutingService.js';
 
 const router = express.Router();
 
-// Memory storage for file uploads
+// Disk storage (OS temp dir) for file uploads: up to 5 videos would not fit in
+// memory. caseMediaService reads them one at a time and enforces per-kind size limits.
 const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit per file
+    storage: multer.diskStorage({}),
+    limits: { fileSize: MAX_MEDIA_FILE_SIZE, files: 5 }
 });
 
-// ─────────────────────────────────────────────────────────────────────────────
-// STATIC DATA FOR MOBILE APP 
-// ─────────────────────────────────────────────────────────────────────────────
-
-// List of all case types to draw the cards in Mobile App
-const CASE_TYPES = [
-    { id: 'robbery', name: 'Robbery', description: 'Report an armed robbery or holdup' },
-    { id: 'unidentified_emergency', name: 'Emergency / Unknown Incident', description: 'Report dead bodies, suspicious objects, etc.' },
-    { id: 'snatching', name: 'Snatching', description: 'Report a chain, bag, or mobile snatching incident' },
-    { id: 'theft', name: 'Theft', description: 'Report a home, shop, or vehicle theft' },
-    { id: 'harassment', name: 'Harassment / Suspicious Activity', description: 'Report stalking or suspicious persons' },
-    { id: 'accident', name: 'Accident', description: 'Report a road accident or hit & run' },
-    { id: 'camera_issue', name: 'Camera / Safety Issue', description: 'Report blind spots or non-working cameras' }
-];
-
-// Dynamic Form definitions for each category
-const CASE_FORMS = {
-    'robbery': [
-        { name: 'incidentTitle', label: 'Incident Title', type: 'text', required: true, placeholder: 'e.g. Armed robbery at store' },
-        { name: 'robberyWeaponUsed', label: 'Weapon Used?', type: 'select', options: ['No', 'Yes'], required: true },
-        { name: 'robberyInjury', label: 'Injury Happened?', type: 'select', options: ['No', 'Yes'], required: true },
-        { name: 'robberySuspectCount', label: 'Suspect Count', type: 'number', required: false }
-    ],
-    'unidentified_emergency': [
-        { name: 'emergencyType', label: 'Emergency Type', type: 'select', options: ['Dead Body', 'Unconscious Person', 'Suspicious Object', 'Unknown Person', 'Other'], required: true }
-    ],
-    'snatching': [
-        { name: 'snatchingType', label: 'Snatching Type', type: 'select', options: ['Mobile', 'Chain', 'Bag', 'Other'], required: true },
-        { name: 'itemStolen', label: 'Item Stolen', type: 'text', required: true },
-        { name: 'estimatedValue', label: 'Estimated Value (₹)', type: 'number', required: false },
-        { name: 'numberOfAttackers', label: 'Number of Attackers', type: 'number', required: false },
-        { name: 'weaponUsed', label: 'Weapon Used?', type: 'select', options: ['No', 'Yes'], required: false },
-        { name: 'vehicleUsed', label: 'Vehicle Used by Attacker', type: 'select', options: ['Bike', 'Car', 'On foot'], required: false },
-        { name: 'injuryHappened', label: 'Injury Happened?', type: 'select', options: ['No', 'Yes'], required: false }
-    ],
-    'theft': [
-        { name: 'theftType', label: 'Theft Type', type: 'select', options: ['Vehicle', 'House', 'Shop', 'Pickpocket'], required: true },
-        { name: 'itemStolen', label: 'Item Stolen', type: 'text', required: true },
-        { name: 'estimatedValue', label: 'Estimated Value (₹)', type: 'number', required: false },
-        { name: 'cctvNearby', label: 'CCTV Nearby?', type: 'select', options: ['No', 'Yes'], required: false },
-        { name: 'suspectSeen', label: 'Suspect Seen?', type: 'select', options: ['No', 'Yes'], required: false },
-        { name: 'vehicleType', label: 'Vehicle Type (If vehicle theft)', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } },
-        { name: 'numberPlate', label: 'Number Plate', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } },
-        { name: 'vehicleColor', label: 'Color', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } }
-    ],
-    'harassment': [
-        { name: 'incidentType', label: 'Incident Type', type: 'select', options: ['Harassment', 'Stalking', 'Suspicious person', 'Suspicious vehicle'], required: true },
-        { name: 'personDescription', label: 'Person Description', type: 'textarea', required: false, placeholder: 'Height, clothes, visible marks...' },
-        { name: 'vehicleDescription', label: 'Vehicle Description (If any)', type: 'textarea', required: false, placeholder: 'Type, color, number plate...' },
-        { name: 'repeatedIncident', label: 'Repeated Incident?', type: 'select', options: ['No', 'Yes'], required: false }
-    ],
-    'accident': [
-        { name: 'accidentType', label: 'Accident Type', type: 'select', options: ['Bike', 'Car', 'Hit & run'], required: true },
-        { name: 'injuries', label: 'Injuries?', type: 'select', options: ['No', 'Yes'], required: true },
-        { name: 'ambulanceRequired', label: 'Ambulance Required?', type: 'select', options: ['No', 'Yes'], required: false },
-        { name: 'vehiclesInvolved', label: 'Vehicles Involved', type: 'text', required: false, placeholder: 'e.g. 1 Car, 1 Bike' },
-        { name: 'roadBlocked', label: 'Road Blocked?', type: 'select', options: ['No', 'Yes'], required: false }
-    ],
-    'camera_issue': [
-        { name: 'issueType', label: 'Issue Type', type: 'select', options: ['Camera not working', 'No camera', 'Blind spot', 'Street light not working'], required: true },
-        { name: 'sinceWhen', label: 'Since When', type: 'text', required: false, placeholder: 'e.g. 2 days, Since yesterday' }
-    ]
-};
-
 // ─────────────────────────────────────────────────────────────────────────────
 //  MOBILE APP SPECIFIC ROUTES
 // ─────────────────────────────────────────────────────────────────────────────
@@ -86,41 +33,54 @@ const CASE_FORMS = {
 /**
  * 1️⃣ Get Case Types
  * GET /api/mobile/cases/types
+ * Categories come from the caller's client (built-in catalogue when no token / none stored)
  */
-router.get('/types', (req, res) => {
-    res.json({
-        success: true,
-        data: CASE_TYPES
-    });
+router.get('/types', optionalAuthenticate, async (req, res) => {
+    try {
+        const categories = await listCategories(req.clientId);
+
+        res.json({
+            success: true,
+            data: categories.map(c => ({ id: c.key, name: c.name, description: c.description }))
+        });
+    } catch (error) {
+        console.error('[MobileCases] GET /types error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch case types', error: error.message });
+    }
 });
 
 /**
  * 2️⃣ Get Case Form Fields
  * GET /api/mobile/cases/form/:caseType
  */
-router.get('/form/:caseType', (req, res) => {
-    const { caseType } = req.params;
-    const formFields = CASE_FORMS[caseType];
+router.get('/form/:caseType', optionalAuthenticate, async (req, res) => {
+    try {
+        const { caseType } = req.params;
+        const category = await getCategory(req.clientId, caseType);
 
-    if (!formFields) {
-        return res.status(404).json({ success: false, message: 'Invalid case type' });
-    }
+        if (!category) {
+            return res.status(404).json({ success: false, message: 'Invalid case type' });
+        }
 
-    res.json({
-        success: true,
-        data: {
-            caseType,
-            title: CASE_TYPES.find(c => c.id === caseType)?.name || caseType,
-            commonFields: [
-                { name: 'location', label: 'Address / Landmark', type: 'text', required: true },
-                { name: 'latitude', label: 'Latitude', type: 'number', required: false }, // Typically auto fetched by GPS
-                { name: 'longitude', label: 'Longitude', type: 'number', required: false }, // Typically auto fetched by GPS
-                { name: 'dateTime', label: 'Date & Time', type: 'datetime-local', required: true },
-                { name: 'description', label: 'Description', type: 'textarea', required: true }
-            ],
-            specificFields: formFields
-        }
-    });
+        res.json({
+            success: true,
+            data: {
+                caseType: category.key,
+                title: category.name,
+                commonFields: [
+                    { name: 'location', label: 'Address / Landmark', type: 'text', required: true },
+                    { name: 'latitude', label: 'Latitude', type: 'number', required: false }, // Typically auto fetched by GPS
+                    { name: 'longitude', label: 'Longitude', type: 'number', required: false }, // Typically auto fetched by GPS
+                    { name: 'dateTime', label: 'Date & Time', type: 'datetime-local', required: true },
+                    { name: 'description', label: 'Description', type: 'textarea', required: true }
+                ],
+                specificFields: category.formFields || []
+            }
+        });
+    } catch (error) {
+        console.error('[MobileCases] GET /form error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch case form', error: error.message });
+    }
 });
 
 /**
@@ -134,73 +94,64 @@ router.post('/create', authenticate, async (req, res) => {
         }
 
         // body includes common form fields + specific form data
-        const { caseType, location, description, latitude, longitude, dateTime, ...specificFormData } = req.body;
+        const {
+            caseType, location, description, latitude, longitude, dateTime,
+            anonymous, onBehalfOf,
+            ...specificFormData
+        } = req.body;
 
         if (!caseType || !description) {
             return res.status(400).json({ success: false, message: 'caseType and description are required' });
         }
 
-        // ── GEO ROUTING (Copied perfectly from web logic in alerts.js) ───────────
-        let locationPoint = undefined;
-        let matchedArea = null;
-        let assignedPartnerId = null;
-        let resolvedClientId = req.user.clientId;
-        let routedAreaId = null;
+        // Anonymous / on-behalf reporting (identity redaction: services/reporterPrivacyService.js)
+        const { reporting, error: reportingError } = parseReporting({ anonymous, onBehalfOf });
+        if (reportingError) {
+            return res.status(400).json({ success: false, message: reportingError });
+        }
 
         const lng = parseFloat(longitude);
         const lat = parseFloat(latitude);
-        const userClientId = req.user.clientId?._id || req.user.clientId;
-
-        if (!isNaN(lng) && !isNaN(lat)) {
-            locationPoint = { type: 'Point', coordinates: [lng, lat] };
-            const clientFilter = userClientId ? { clientId: userClientId } : {};
-
-            matchedArea = await Area.findOne({
-                ...clientFilter,
-                boundary: { $geoIntersects: { $geometry: locationPoint } }
-            }).lean();
-
-            if (matchedArea) {
-                resolvedClientId = matchedArea.clientId || resolvedClientId;
-                assignedPartnerId = matchedArea.partnerId || null;
-                routedAreaId = matchedArea._id;
-            } else {
-                const nearestArea = await Area.findOne({
-                    ...clientFilter,
-                    boundary: { $near: { $geometry: locationPoint, $maxDistance: 50000 } }
-                }).lean();
-
-                if (nearestArea) {
-                    resolvedClientId = nearestArea.clientId || resolvedClientId;
-                    assignedPartnerId = nearestArea.partnerId || null;
-                    routedAreaId = nearestArea._id;
-                }
-            }
+        const point = !isNaN(lng) && !isNaN(lat) ? { type: 'Point', coordinates: [lng, lat] } : null;
+
+        // The case belongs to the client whose area covers the point (the
+        // reporter's own client, or any client for reporters without one)
+        const reporterClientId = req.user.clientId?._id || req.user.clientId || null;
+        const { area } = point ? await routeCaseLocation(reporterClientId, point) : { area: null };
+        const caseClientId = area?.clientId || reporterClientId;
+
+        // ── FORM VALIDATION (against that client's category definition) ─────
+        const category = await getCategory(caseClientId, caseType);
+        if (!category) {
+            return res.status(400).json({ success: false, message: 'Invalid case type for the client covering this location' });
         }
 
-        // ── CREATE ALERT ──────────────────────────────────────────────────
-        const typeName = CASE_TYPES.find(c => c.id === caseType)?.name || caseType;
-        const alertTitle = specificFormData.incidentTitle || `New ${typeName} Case`;
+        const { errors: formErrors, values: formValues } = validateFormData(category.formFields, specificFormData);
+        if (formErrors.length) {
+            return res.status(400).json({ success: false, message: 'Invalid form data', errors: formErrors });
+        }
 
-        const alert = await Alert.create({
-            title: alertTitle,
+        // ── OPEN CASE (same routing as POST /api/alerts/user) ───────────────
+        const opened = await openCase({
+            reporterId: req.user._id,
+            clientId: caseClientId,
+            point,
+            title: formValues.incidentTitle || `New ${category.name} Case`,
             message: description,
             priority: 'high',
-            type: 'USER', // Ensure this is a citizen case
-            clientId: resolvedClientId,
-            userId: req.user._id,
-            createdBy: req.user._id,
+            category: category.key,
             metadata: {
-                type: caseType,
+                ...formValues,
                 locationString: location,
                 dateTime,
-                ...specificFormData,
-                media: [] // To be populated later by upload API
+                type: category.key
             },
-            ...(locationPoint && { location: locationPoint }),
-            ...(routedAreaId && { areaId: routedAreaId }),
-            ...(assignedPartnerId && { assignedPartnerId, routedPartnerId: assignedPartnerId })
+            reporting
         });
+        if (opened.error) {
+            return res.status(opened.status).json({ success: false, message: opened.error });
+        }
+        const { alert, route, clusterParent, camera } = opened;
 
         res.status(201).json({
             success: true,
@@ -208,8 +159,10 @@ router.post('/create', authenticate, async (req, res) => {
             data: {
                 caseId: alert._id,
                 routing: {
-                    areaMatched: matchedArea?.name || null,
-                    partnerAssigned: !!assignedPartnerId
+                    areaMatched: route.area?.name || null,
+                    partnerAssigned: !!alert.assignedPartnerId,
+                    linkedToCaseId: clusterParent?._id || null,
+                    cameraId: camera?._id || null
                 }
             }
         });
@@ -220,17 +173,99 @@ router.post('/create', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * 🚨 SOS Panic Button
+ * POST /api/mobile/cases/sos
+ * Body: { latitude, longitude, accuracy?, note? }
+ *
+ * Creates a critical case routed like any other report and opens a live session:
+ * the app then streams `sos:location` over the chat Socket.IO server (see
+ * services/sosService.js). Pressing again while live returns the open session.
+ */
+router.post('/sos', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Only users can trigger SOS' });
+        }
+
+        const lat = parseFloat(req.body.latitude);
+        const lng = parseFloat(req.body.longitude);
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+        }
+        const accuracy = parseFloat(req.body.accuracy);
+        const note = typeof req.body.note === 'string' ? req.body.note.trim().substring(0, 1000) : '';
+
+        const started = await startSos(req.user, {
+            lat,
+            lng,
+            accuracy: isNaN(accuracy) ? null : accuracy,
+            note
+        });
+        if (started.error) {
+            return res.status(started.status).json({ success: false, message: started.error });
+        }
+        const { alert, area, resumed } = started;
+
+        res.status(resumed ? 200 : 201).json({
+            success: true,
+            message: resumed ? 'SOS already active' : 'SOS sent. Help is on the way.',
+            data: {
+                caseId: alert._id,
+                room: sosRoom(alert._id),
+                ackDeadline: alert.sos.ackDeadline,
+                routing: {
+                    areaMatched: area?.name || null,
+                    partnerAssigned: !!alert.assignedPartnerId
+                }
+            }
+        });
+    } catch (error) {
+        console.error('[MobileCases] POST /sos error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send SOS', error: error.message });
+    }
+});
+
+/**
+ * 🚨 Close SOS ("I'm safe")
+ * POST /api/mobile/cases/sos/:caseId/close
+ */
+router.post('/sos/:caseId/close', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.caseId)) {
+            return res.status(404).json({ success: false, message: 'SOS not found' });
+        }
+
+        const alert = await Alert.findOne({ _id: req.params.caseId, userId: req.user._id, 'sos.active': true });
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'No live SOS for this case' });
+        }
+
+        await closeSos(alert, req.user, req.body.note);
+        res.json({ success: true, message: 'SOS closed', data: { caseId: alert._id, endedAt: alert.sos.endedAt } });
+    } catch (error) {
+        console.error('[MobileCases] POST /sos/:caseId/close error:', error);
+        res.status(500).json({ success: false, message: 'Failed to close SOS', error: error.message });
+    }
+});
+
 /**
  * 4️⃣ Upload Media for a specific Case
  * POST /api/mobile/cases/upload-media
  * FormData: caseId, media (files)
+ *
+ * File type is sniffed from content and checked against the allow-list in
+ * services/caseMediaService.js. Each file is reported back as uploaded or rejected.
  */
 router.post('/upload-media', authenticate, upload.array('media', 5), async (req, res) => {
     try {
         const { caseId } = req.body;
 
-        if (!caseId) {
-            return res.status(400).json({ success: false, message: 'caseId is required' });
+        if (!caseId || !mongoose.Types.ObjectId.isValid(caseId)) {
+            return res.status(400).json({ success: false, message: 'A valid caseId is required' });
         }
 
         if (!req.files || req.files.length === 0) {
@@ -243,37 +278,25 @@ router.post('/upload-media', authenticate, upload.array('media', 5), async (req,
             return res.status(404).json({ success: false, message: 'Case not found or unauthorized' });
         }
 
-        const uploadedUrls = [];
-
-        // Upload to S3/R2 iteratively
-        for (const file of req.files) {
-            try {
-                // Determine file extension
-                const ext = file.originalname.split('.').pop();
-                const fileName = `cases/${alert._id}/${Date.now()}_${Math.random().toString(36).substring(7)}.${ext}`;
-                const fileUrl = await putobject(fileName, file.buffer, file.mimetype);
-                uploadedUrls.push(fileUrl);
-            } catch (uploadError) {
-                console.error(`[Upload] Failed for file ${file.originalname}:`, uploadError);
-            }
+        const { uploaded, rejected } = await storeCaseMedia(alert, req.files, req.user);
+        if (uploaded.length) {
+            await alert.save();
         }
 
-        // Save newly uploaded URLs to the alert metadata
-        const existingMedia = alert.metadata.media || [];
-        alert.metadata.media = [...existingMedia, ...uploadedUrls];
-        alert.markModified('metadata'); // Tell Mongoose Mixed type was updated
-
-        await alert.save();
-
-        res.json({
-            success: true,
-            message: `${uploadedUrls.length} file(s) uploaded successfully`,
-            data: { mediaUrls: uploadedUrls }
+        res.status(uploaded.length ? 201 : 400).json({
+            success: uploaded.length > 0,
+            message: `${uploaded.length} file(s) uploaded${rejected.length ? `, ${rejected.length} rejected` : ''}`,
+            data: {
+                media: await signCaseMedia(uploaded),
+                rejected
+            }
         });
 
     } catch (error) {
         console.error('[MobileCases] POST /upload-media error:', error);
         res.status(500).json({ success: false, message: 'Failed to upload media', error: error.message });
+    } finally {
+        await discardUploadedFiles(req.files);
     }
 });
 
@@ -308,16 +331,17 @@ router.get('/:caseId', authenticate, async (req, res) => {
             return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
-        // Return the full alert, excluding the huge timeline array to save mobile bandwidth
-        const alert = await Alert.findOne({ _id: req.params.caseId, userId: req.user._id, type: 'USER' })
-            .select('-timeline')
-            .lean();
+        const alert = await Alert.findOne({ _id: req.params.caseId, userId: req.user._id, type: 'USER' }).lean();
 
         if (!alert) {
             return res.status(404).json({ success: false, message: 'Case not found' });
         }
 
-        res.json({ success: true, data: { caseDetail: alert } });
+        // Timeline is needed for the reopen window but omitted to save mobile bandwidth
+        const feedbackOptions = await describeFeedbackOptions(alert);
+        const { timeline, ...caseDetail } = alert;
+
+        res.json({ success: true, data: { caseDetail, feedbackOptions } });
     } catch (error) {
         res.status(500).json({ success: false, message: 'Failed to fetch case details', error: error.message });
     }
@@ -346,7 +370,8 @@ router.get('/:caseId/timeline', authenticate, async (req, res) => {
             success: true,
             data: {
                 currentStatus: alert.status,
-                timeline: alert.timeline || []
+                // Internal and client-only entries never reach the citizen
+                timeline: await timelineForRole(alert.timeline, 'user')
             }
         });
     } catch (error) {
@@ -354,4 +379,155 @@ router.get('/:caseId/timeline', authenticate, async (req, res) => {
     }
 });
 
+/**
+ * Case Media (signed, short-lived URLs)
+ * GET /api/mobile/cases/:caseId/media
+ */
+router.get('/:caseId/media', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+        if (!mongoose.Types.ObjectId.isValid(req.params.caseId)) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+
+        const alert = await Alert.findOne({ _id: req.params.caseId, userId: req.user._id, type: 'USER' })
+            .select('media')
+            .lean();
+
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+
+        res.json({ success: true, data: { media: await signCaseMedia(alert.media) } });
+    } catch (error) {
+        console.error('[MobileCases] GET /:caseId/media error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch case media', error: error.message });
+    }
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  CITIZEN FEEDBACK — Confirm / Rate / Reopen (closed cases only)
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Citizen's own case + what they may do with it
+async function loadOwnCase(req) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.caseId)) return {};
+    const alert = await Alert.findOne({ _id: req.params.caseId, userId: req.user._id, type: 'USER' });
+    if (!alert) return {};
+    return { alert, options: await describeFeedbackOptions(alert) };
+}
+
+/**
+ * 8️⃣ Confirm Resolution
+ * POST /api/mobile/cases/:caseId/confirm
+ */
+router.post('/:caseId/confirm', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const { alert, options } = await loadOwnCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        if (!options.closed) {
+            return res.status(422).json({ success: false, message: 'Only closed cases can be confirmed' });
+        }
+        if (!options.canConfirm) {
+            return res.status(409).json({ success: false, message: 'Case outcome already confirmed' });
+        }
+
+        await confirmResolution(alert, req.user);
+        res.json({ success: true, message: 'Thank you for confirming', data: { feedback: alert.feedback } });
+    } catch (error) {
+        console.error('[MobileCases] POST /:caseId/confirm error:', error);
+        res.status(500).json({ success: false, message: 'Failed to confirm case', error: error.message });
+    }
+});
+
+/**
+ * 9️⃣ Rate Case Handling
+ * POST /api/mobile/cases/:caseId/rate
+ * Body: { rating: 1-5, comment? }
+ */
+router.post('/:caseId/rate', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const rating = Number(req.body.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ success: false, message: 'Rating must be a whole number from 1 to 5' });
+        }
+        const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+        if (comment.length > 1000) {
+            return res.status(400).json({ success: false, message: 'Comment cannot exceed 1000 characters' });
+        }
+
+        const { alert, options } = await loadOwnCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        if (!options.canRate) {
+            return res.status(422).json({ success: false, message: 'You can rate a case once it has been closed' });
+        }
+
+        await rateCase(alert, { rating, comment }, req.user);
+        res.json({ success: true, message: 'Thank you for your feedback', data: { feedback: alert.feedback } });
+    } catch (error) {
+        console.error('[MobileCases] POST /:caseId/rate error:', error);
+        res.status(500).json({ success: false, message: 'Failed to rate case', error: error.message });
+    }
+});
+
+/**
+ * 🔟 Request Reopen
+ * POST /api/mobile/cases/:caseId/reopen
+ * Body: { reason }
+ * Allowed within the client's reopen window (settings.cases.reopenWindowDays) after closure.
+ */
+router.post('/:caseId/reopen', authenticate, async (req, res) => {
+    try {
+        if (req.user.role !== 'user') {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (reason.length < 10) {
+            return res.status(400).json({ success: false, message: 'Please describe why the case should be reopened (minimum 10 characters)' });
+        }
+
+        const { alert, options } = await loadOwnCase(req);
+        if (!alert) {
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        if (!options.closed) {
+            return res.status(422).json({ success: false, message: 'Case is still open' });
+        }
+        if (!options.canReopen) {
+            return res.status(422).json({
+                success: false,
+                message: alert.feedback?.confirmedAt
+                    ? 'You confirmed this case outcome, so it can no longer be reopened'
+                    : 'The reopen window for this case has passed',
+                reopenUntil: options.reopenUntil
+            });
+        }
+
+        const reopened = await reopenCase(alert, { reason }, req.user);
+        res.json({
+            success: true,
+            message: `Case reopened and moved to "${reopened.status}"`,
+            data: { status: reopened.status, caseId: alert._id, parentCaseId: alert.parentAlertId || null }
+        });
+    } catch (error) {
+        console.error('[MobileCases] POST /:caseId/reopen error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reopen case', error: error.message });
+    }
+});
+
 export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import multer from 'multer';
 import { OAuth2Client } from 'google-auth-library';
@@ -7,8 +8,32 @@ import { authenticate, authorize } from '../middleware/auth.js';
 import Client from '../models/Client.js';
 import Area from '../models/Area.js';
 import { uploadToS3, getobject } from '../utils/s3.js';
+import {
+  parseLocationPing,
+  recordPartnerLocation,
+  findNearestOnDutyPartners,
+  buildOfficerLiveMap,
+  getPartnerTrail,
+  DEFAULT_NEAREST_LIMIT,
+  MAX_NEAREST_LIMIT,
+  DEFAULT_NEAREST_MAX_METERS
+} from '../services/partnerLocationService.js';
 
 const router = express.Router();
+
+// Client whose officers a live-location request reads: the client itself, or
+// ?clientId= for admins (within their tenant) and super admins
+function locationClientId(req) {
+  const clientId = req.user.role === 'client' ? req.user._id : req.query.clientId;
+  if (!clientId || !mongoose.Types.ObjectId.isValid(clientId)) {
+    return { status: 400, message: 'clientId is required' };
+  }
+  const allowed = req.tenantFilter?.clientId?.$in;
+  if (req.user.role === 'admin' && !(allowed || []).some(id => String(id) === String(clientId))) {
+    return { status: 403, message: 'Client is outside your tenant' };
+  }
+  return { clientId };
+}
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 // Multer — memory storage for optional profile picture uploads
@@ -344,6 +369,119 @@ router.get('/all', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/partners/me/location
+// @desc    Location ping from an on-duty partner (REST alternative to the
+//          `partner:location` socket event). Body: { latitude, longitude,
+//          accuracy?, heading?, speed?, timestamp? }
+// @access  Private (partner, on duty)
+router.post('/me/location', authenticate, authorize('partner'), async (req, res) => {
+  try {
+    const { ping, error } = parseLocationPing(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const result = await recordPartnerLocation(req.user._id, ping, { source: 'rest' });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, message: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: result.recorded ? 'Location recorded' : 'Location received too soon after the last one; not stored',
+      data: result
+    });
+  } catch (error) {
+    console.error('Partner location ping error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET /api/partners/live-map
+// @desc    "Where are my officers": on-duty officers at their last live position
+//          (GeoJSON FeatureCollection; stale positions flagged). ?clientId= for admins
+// @access  Private (client, admin, super_admin)
+router.get('/live-map', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+  try {
+    const scope = locationClientId(req);
+    if (!scope.clientId) {
+      return res.status(scope.status).json({ success: false, message: scope.message });
+    }
+
+    const data = await buildOfficerLiveMap(scope.clientId);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Officer live map error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET /api/partners/nearest?latitude=&longitude=&limit=5&maxDistance=20000
+// @desc    Nearest N on-duty officers to a point by live location. ?clientId= for admins
+// @access  Private (client, admin, super_admin)
+router.get('/nearest', authenticate, authorize('client', 'admin', 'super_admin'), async (req, res) => {
+  try {
+    const scope = locationClientId(req);
+    if (!scope.clientId) {
+      return res.status(scope.status).json({ success: false, message: scope.message });
+    }
+
+    const lat = parseFloat(req.query.latitude);
+    const lng = parseFloat(req.query.longitude);
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({ success: false, message: 'Valid latitude and longitude are required' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_NEAREST_LIMIT, 1), MAX_NEAREST_LIMIT);
+    const maxDistance = parseFloat(req.query.maxDistance);
+    const partners = await findNearestOnDutyPartners(scope.clientId, { type: 'Point', coordinates: [lng, lat] }, {
+      limit,
+      maxDistanceMeters: maxDistance > 0 ? maxDistance : DEFAULT_NEAREST_MAX_METERS
+    });
+
+    res.json({
+      success: true,
+      data: { partners, total: partners.length }
+    });
+  } catch (error) {
+    console.error('Nearest officers error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// @route   GET /api/partners/:partnerId/trail?from=&to=
+// @desc    Recent location trail of an officer (last hour by default; pings
+//          are kept 24 h) as a GeoJSON LineString Feature
+// @access  Private (client, admin, super_admin; partner for their own trail)
+router.get('/:partnerId/trail', authenticate, authorize('client', 'admin', 'super_admin', 'partner'), async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(partnerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid partnerId' });
+    }
+    if (req.user.role === 'partner' && String(req.user._id) !== String(partnerId)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const partner = await Partner.findOne({ _id: partnerId, ...req.tenantFilter }).select('_id').lean();
+    if (!partner) {
+      return res.status(404).json({ success: false, message: 'Partner not found' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+    if ([from, to].some(d => d && isNaN(d))) {
+      return res.status(400).json({ success: false, message: 'from and to must be valid dates' });
+    }
+
+    const data = await getPartnerTrail(partner._id, { from, to });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Partner trail error:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // @route   PATCH /api/partners/:partnerId/approve
 // @desc    Approve a partner (admin/client)
 // @access  Private (admin, super_admin, client)
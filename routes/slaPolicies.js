@@ -0,0 +1,222 @@
+/**
+ * SLA Policy Routes
+ *
+ * GET    /api/sla-policies        — Client's SLA policies
+ * GET    /api/sla-policies/:id    — Single policy
+ * POST   /api/sla-policies        — Create a policy
+ * PUT    /api/sla-policies/:id    — Update a policy
+ * DELETE /api/sla-policies/:id    — Delete a policy
+ *
+ * Policies apply to cases created after they are saved; existing cases keep
+ * the targets snapshotted at creation.
+ *
+ * Access: client only — every query is scoped to clientId = token._id.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import SlaPolicy from '../models/SlaPolicy.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { resolveWorkflow, getWorkflowStatuses } from '../services/workflowService.js';
+
+const router = express.Router();
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const REROUTE_OPTIONS = ['supervisor', 'backup', 'none'];
+
+// ─── Helper: validate + normalise a policy body ──────────────────────────────
+async function buildPolicy(clientId, body) {
+    const priority = body.priority || null;
+    if (priority && !PRIORITIES.includes(priority)) {
+        return { error: `Invalid priority. Valid priorities: ${PRIORITIES.join(', ')}` };
+    }
+
+    const category = body.category ? String(body.category).toLowerCase().trim() : null;
+
+    if (!Array.isArray(body.targets) || body.targets.length === 0) {
+        return { error: 'At least one target is required' };
+    }
+
+    // Targets must name statuses that exist in the workflow these cases follow
+    const workflowStatuses = getWorkflowStatuses(await resolveWorkflow(clientId, category));
+    const targets = [];
+    for (const t of body.targets) {
+        const status = (t?.status || '').trim();
+        const withinMinutes = Number(t?.withinMinutes);
+        if (!workflowStatuses.includes(status)) {
+            return { error: `Unknown target status "${status}". Valid statuses: ${workflowStatuses.join(', ')}` };
+        }
+        if (!Number.isFinite(withinMinutes) || withinMinutes < 1) {
+            return { error: `Target "${status}" needs withinMinutes of at least 1` };
+        }
+        targets.push({ status, withinMinutes });
+    }
+
+    const rerouteTo = body.escalation?.rerouteTo ?? 'supervisor';
+    if (!REROUTE_OPTIONS.includes(rerouteTo)) {
+        return { error: `Invalid escalation.rerouteTo. Valid options: ${REROUTE_OPTIONS.join(', ')}` };
+    }
+
+    return {
+        policy: {
+            priority,
+            category,
+            targets,
+            escalation: {
+                raisePriority: body.escalation?.raisePriority ?? true,
+                rerouteTo
+            }
+        }
+    };
+}
+
+/**
+ * GET /api/sla-policies
+ */
+router.get('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const policies = await SlaPolicy.find({ clientId: req.user._id })
+            .sort({ priority: 1, category: 1 })
+            .lean();
+
+        res.json({ success: true, data: { policies, total: policies.length } });
+    } catch (error) {
+        console.error('[SlaPolicies] GET / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch SLA policies', error: error.message });
+    }
+});
+
+/**
+ * GET /api/sla-policies/:id
+ */
+router.get('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid policy id' });
+        }
+
+        const policy = await SlaPolicy.findOne({ _id: req.params.id, clientId: req.user._id }).lean();
+        if (!policy) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        res.json({ success: true, data: { policy } });
+    } catch (error) {
+        console.error('[SlaPolicies] GET /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch SLA policy', error: error.message });
+    }
+});
+
+/**
+ * POST /api/sla-policies
+ * Body: { name, priority?, category?, targets: [{ status, withinMinutes }], escalation?: { raisePriority, rerouteTo } }
+ */
+router.post('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!req.body.name || !req.body.name.trim()) {
+            return res.status(400).json({ success: false, message: 'Policy name is required' });
+        }
+
+        const { policy, error } = await buildPolicy(req.user._id, req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const existing = await SlaPolicy.exists({
+            clientId: req.user._id,
+            priority: policy.priority,
+            category: policy.category
+        });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'A policy for this priority and category already exists'
+            });
+        }
+
+        const created = await SlaPolicy.create({
+            ...policy,
+            name: req.body.name.trim(),
+            clientId: req.user._id,
+            isActive: req.body.isActive ?? true
+        });
+
+        res.status(201).json({ success: true, message: 'SLA policy created successfully', data: { policy: created } });
+    } catch (error) {
+        console.error('[SlaPolicies] POST / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create SLA policy', error: error.message });
+    }
+});
+
+/**
+ * PUT /api/sla-policies/:id
+ */
+router.put('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid policy id' });
+        }
+
+        const existing = await SlaPolicy.findOne({ _id: req.params.id, clientId: req.user._id });
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        const merged = existing.toObject();
+        const { policy, error } = await buildPolicy(req.user._id, {
+            priority: req.body.priority !== undefined ? req.body.priority : merged.priority,
+            category: req.body.category !== undefined ? req.body.category : merged.category,
+            targets: req.body.targets ?? merged.targets,
+            escalation: { ...merged.escalation, ...(req.body.escalation || {}) }
+        });
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const clash = await SlaPolicy.exists({
+            _id: { $ne: existing._id },
+            clientId: req.user._id,
+            priority: policy.priority,
+            category: policy.category
+        });
+        if (clash) {
+            return res.status(409).json({
+                success: false,
+                message: 'A policy for this priority and category already exists'
+            });
+        }
+
+        Object.assign(existing, policy);
+        if (req.body.name !== undefined) existing.name = req.body.name.trim();
+        if (req.body.isActive !== undefined) existing.isActive = Boolean(req.body.isActive);
+
+        await existing.save();
+        res.json({ success: true, message: 'SLA policy updated', data: { policy: existing } });
+    } catch (error) {
+        console.error('[SlaPolicies] PUT /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update SLA policy', error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/sla-policies/:id
+ */
+router.delete('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid policy id' });
+        }
+
+        const deleted = await SlaPolicy.findOneAndDelete({ _id: req.params.id, clientId: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'SLA policy not found' });
+        }
+
+        res.json({ success: true, message: 'SLA policy deleted successfully' });
+    } catch (error) {
+        console.error('[SlaPolicies] DELETE /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete SLA policy', error: error.message });
+    }
+});
+
+export default router;
@@ -1,7 +1,10 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Admin from '../models/Admin.js';
 import Client from '../models/Client.js';
 import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import { revealReporter } from '../services/reporterPrivacyService.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -395,5 +398,81 @@ router.post('/assign-user-to-client', async (req, res) => {
   }
 });
 
+// Reveal the reporter of an anonymous case — every call is audit-logged
+router.post('/cases/:alertId/reveal-reporter', async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length < 10) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason (minimum 10 characters) is required to reveal a reporter'
+      });
+    }
+    if (reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'The reason cannot exceed 500 characters'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.alertId)) {
+      return res.status(400).json({ success: false, message: 'Invalid case id' });
+    }
+
+    const result = await revealReporter(req.params.alertId, { actor: req.user, reason, ip: req.ip });
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Case not found' });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        caseId: result.alert._id,
+        anonymous: !!result.alert.reporting?.anonymous,
+        onBehalfOf: result.alert.reporting?.onBehalfOf || null,
+        reporter: result.reporter
+      }
+    });
+  } catch (error) {
+    console.error('[SuperAdmin] POST /cases/:alertId/reveal-reporter error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
+// Audit trail of privileged access (?targetId=&action=)
+router.get('/audit-logs', async (req, res) => {
+  try {
+    const { targetId, action, page = 1, limit = 50 } = req.query;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+    const filter = {};
+    if (targetId && mongoose.Types.ObjectId.isValid(targetId)) filter.targetId = targetId;
+    if (action) filter.action = action;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: { logs, total, page: pageNum, limit: pageSize }
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      message: error.message 
+    });
+  }
+});
+
 export default router;
 
@@ -0,0 +1,196 @@
+/**
+ * Case Workflow Routes
+ *
+ * GET    /api/workflows            — Client's stored workflows + the built-in default
+ * GET    /api/workflows/default    — Built-in default workflow (template for new ones)
+ * GET    /api/workflows/:id        — Single workflow
+ * POST   /api/workflows            — Create a workflow (client default or per category)
+ * PUT    /api/workflows/:id        — Replace a workflow's name/states/transitions
+ * DELETE /api/workflows/:id        — Delete (cases fall back to client default / built-in flow)
+ *
+ * Access: client only — every query is scoped to clientId = token._id.
+ */
+
+import express from 'express';
+import mongoose from 'mongoose';
+import CaseWorkflow from '../models/CaseWorkflow.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { DEFAULT_WORKFLOW, validateWorkflowDefinition } from '../services/workflowService.js';
+
+const router = express.Router();
+
+// ─── Helper: normalise request body into a storable definition ───────────────
+function buildDefinition(body) {
+    const states = Array.isArray(body.states)
+        ? body.states.map(s => ({
+            name: (s?.name || '').trim(),
+            isClosed: Boolean(s?.isClosed),
+            rejected: Boolean(s?.rejected)
+        }))
+        : body.states;
+    const transitions = Array.isArray(body.transitions)
+        ? body.transitions.map(t => ({
+            from: (t?.from || '').trim(),
+            to: (t?.to || '').trim(),
+            roles: t?.roles ?? ['partner', 'admin']
+        }))
+        : body.transitions;
+
+    return {
+        initialState: (body.initialState || '').trim(),
+        reopenState: body.reopenState ? String(body.reopenState).trim() : null,
+        states,
+        transitions
+    };
+}
+
+/**
+ * GET /api/workflows
+ */
+router.get('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const workflows = await CaseWorkflow.find({ clientId: req.user._id })
+            .sort({ category: 1, createdAt: 1 })
+            .lean();
+
+        res.json({ success: true, data: { workflows, defaultWorkflow: DEFAULT_WORKFLOW } });
+    } catch (error) {
+        console.error('[Workflows] GET / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch workflows', error: error.message });
+    }
+});
+
+/**
+ * GET /api/workflows/default
+ */
+router.get('/default', authenticate, authorize('client'), (req, res) => {
+    res.json({ success: true, data: { workflow: DEFAULT_WORKFLOW } });
+});
+
+/**
+ * GET /api/workflows/:id
+ */
+router.get('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid workflow id' });
+        }
+
+        const workflow = await CaseWorkflow.findOne({ _id: req.params.id, clientId: req.user._id }).lean();
+        if (!workflow) {
+            return res.status(404).json({ success: false, message: 'Workflow not found' });
+        }
+
+        res.json({ success: true, data: { workflow } });
+    } catch (error) {
+        console.error('[Workflows] GET /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch workflow', error: error.message });
+    }
+});
+
+/**
+ * POST /api/workflows
+ * Body: { name, category?, initialState, reopenState?, states: [{ name, isClosed, rejected? }], transitions: [{ from, to, roles }] }
+ */
+router.post('/', authenticate, authorize('client'), async (req, res) => {
+    try {
+        const { name, category } = req.body;
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Workflow name is required' });
+        }
+
+        const definition = buildDefinition(req.body);
+        const validationError = validateWorkflowDefinition(definition);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const normalizedCategory = category ? category.toLowerCase().trim() : null;
+        const existing = await CaseWorkflow.findOne({ clientId: req.user._id, category: normalizedCategory });
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: normalizedCategory
+                    ? `A workflow for category "${normalizedCategory}" already exists`
+                    : 'A default workflow already exists for this client'
+            });
+        }
+
+        const workflow = await CaseWorkflow.create({
+            clientId: req.user._id,
+            category: normalizedCategory,
+            name: name.trim(),
+            ...definition
+        });
+
+        res.status(201).json({ success: true, message: 'Workflow created successfully', data: { workflow } });
+    } catch (error) {
+        console.error('[Workflows] POST / error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create workflow', error: error.message });
+    }
+});
+
+/**
+ * PUT /api/workflows/:id
+ * Body: { name?, isActive?, initialState, reopenState?, states, transitions }
+ * Category is fixed after creation — delete and recreate to move a workflow.
+ */
+router.put('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid workflow id' });
+        }
+
+        const workflow = await CaseWorkflow.findOne({ _id: req.params.id, clientId: req.user._id });
+        if (!workflow) {
+            return res.status(404).json({ success: false, message: 'Workflow not found' });
+        }
+
+        const definition = buildDefinition({
+            initialState: req.body.initialState ?? workflow.initialState,
+            reopenState: req.body.reopenState !== undefined ? req.body.reopenState : workflow.reopenState,
+            states: req.body.states ?? workflow.states.map(s => s.toObject()),
+            transitions: req.body.transitions ?? workflow.transitions.map(t => t.toObject())
+        });
+        const validationError = validateWorkflowDefinition(definition);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        if (req.body.name !== undefined) workflow.name = req.body.name.trim();
+        if (req.body.isActive !== undefined) workflow.isActive = Boolean(req.body.isActive);
+        workflow.initialState = definition.initialState;
+        workflow.reopenState = definition.reopenState;
+        workflow.states = definition.states;
+        workflow.transitions = definition.transitions;
+
+        await workflow.save();
+        res.json({ success: true, message: 'Workflow updated', data: { workflow } });
+    } catch (error) {
+        console.error('[Workflows] PUT /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update workflow', error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/workflows/:id
+ */
+router.delete('/:id', authenticate, authorize('client'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid workflow id' });
+        }
+
+        const deleted = await CaseWorkflow.findOneAndDelete({ _id: req.params.id, clientId: req.user._id });
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Workflow not found' });
+        }
+
+        res.json({ success: true, message: 'Workflow deleted successfully' });
+    } catch (error) {
+        console.error('[Workflows] DELETE /:id error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete workflow', error: error.message });
+    }
+});
+
+export default router;
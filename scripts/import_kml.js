@@ -32,6 +32,7 @@ dotenv.config({ path: path.join(backendRoot, '.env') });
 import Area from '../models/Area.js';
 import Camera from '../models/Camera.js';
 import Client from '../models/Client.js';
+import { findContainingAreaId } from '../services/cameraService.js';
 
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/brahmakosh';
 
@@ -134,7 +135,8 @@ async function importKML() {
             {
                 path: path.join(backendRoot, '..', '..', 'CAMERA LAYER.kml'),
                 city: 'Bangalore',
-                type: 'camera'
+                type: 'camera',
+                clientId: BANGALORE_CLIENT_ID
             }
         ];
 
@@ -142,8 +144,8 @@ async function importKML() {
         let totalCameras = 0;
 
         for (const fileDef of files) {
-            // MULTI-TENANT SAFETY: Skip area files that have no clientId
-            if (fileDef.type === 'area' && !fileDef.clientId) {
+            // MULTI-TENANT SAFETY: Skip files that have no clientId
+            if (!fileDef.clientId) {
                 console.warn(`\n\u23ED\uFE0F  Skipping ${fileDef.city} KML — no client registered for this city.`);
                 continue;
             }
@@ -199,10 +201,14 @@ async function importKML() {
 
                         // ── Camera (Point) ───────────────────────────────────────
                     } else if (fileDef.type === 'camera' && geomType === 'Point') {
+                        const location = { type: 'Point', coordinates: cleaned };
                         await Camera.create({
                             name,
                             city: fileDef.city,
-                            location: { type: 'Point', coordinates: cleaned },
+                            clientId: fileDef.clientId,
+                            // Areas are imported first, so the containing one exists
+                            areaId: await findContainingAreaId(fileDef.clientId, location),
+                            location,
                             radius: 300, // 300m surveillance radius
                             description: properties.description || ''
                         });
@@ -0,0 +1,136 @@
+/**
+ * scripts/migrate_cases_to_alerts.js
+ *
+ * One-time migration: converts documents of the retired Case model into
+ * citizen cases (Alert, type USER) so /api/cases and /api/alerts read the
+ * same data.
+ *
+ *   title / description      → title / message
+ *   userId                   → userId + createdBy
+ *   clientId, assignedAreaId → clientId, areaId (resolved from the location when missing)
+ *   partnerId                → assignedPartnerId + routedPartnerId
+ *   status                   → workflow status of the client (see caseService.workflowStatusForLegacy)
+ *   attendedNote/attendedAt  → timeline entry on the mapped status
+ *
+ * Each Alert keeps `legacyCaseId`, so the script can be re-run safely; Case
+ * documents are left in place. Cases whose location lies outside every
+ * client's areas cannot carry a tenant and are reported, not converted.
+ *
+ * USAGE:
+ *   node scripts/migrate_cases_to_alerts.js            # convert
+ *   node scripts/migrate_cases_to_alerts.js --dry-run  # report only
+ */
+
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import Case from '../models/Case.js';
+import Alert from '../models/Alert.js';
+import { resolveWorkflow, isClosedStatus } from '../services/workflowService.js';
+import { workflowStatusForLegacy } from '../services/caseService.js';
+import { routeCaseLocation } from '../services/caseRoutingService.js';
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/brahmakosh';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+function toAlert(doc, { clientId, areaId, workflow }) {
+    const status = workflowStatusForLegacy(workflow, doc.status);
+    const timeline = [{
+        status: workflow.initialState,
+        note: 'Case reported by citizen',
+        timestamp: doc.createdAt,
+        updatedBy: doc.userId,
+        updatedByName: 'Citizen',
+        basisType: null
+    }];
+    if (status !== workflow.initialState) {
+        timeline.push({
+            status,
+            basisType: 'Migrated Status',
+            note: doc.attendedNote || `Status "${doc.status}" carried over from the previous case system`,
+            timestamp: doc.attendedAt || doc.updatedAt || doc.createdAt,
+            updatedBy: doc.partnerId || null,
+            updatedByName: 'Officer'
+        });
+    }
+
+    return {
+        title: (doc.title || 'Citizen Case').substring(0, 200),
+        message: (doc.description || doc.title || 'Case reported by user').substring(0, 1000),
+        priority: 'high',
+        type: 'USER',
+        status,
+        isActive: !isClosedStatus(workflow, status),
+        clientId,
+        userId: doc.userId,
+        createdBy: doc.userId,
+        metadata: {},
+        location: doc.location,
+        areaId,
+        assignedPartnerId: doc.partnerId || null,
+        routedPartnerId: doc.partnerId || null,
+        timeline,
+        legacyCaseId: doc._id,
+        createdAt: doc.createdAt,
+        updatedAt: doc.updatedAt || doc.createdAt
+    };
+}
+
+async function main() {
+    await mongoose.connect(MONGODB_URI);
+    console.log(`✅ MongoDB connected${DRY_RUN ? ' (dry run)' : ''}\n`);
+
+    const migrated = new Set((await Alert.find({ legacyCaseId: { $ne: null } }).distinct('legacyCaseId')).map(String));
+    const stats = { total: 0, skipped: 0, converted: 0, noTenant: [] };
+    const workflows = new Map();
+
+    for await (const doc of Case.find({}).lean().cursor()) {
+        stats.total++;
+        if (migrated.has(String(doc._id))) {
+            stats.skipped++;
+            continue;
+        }
+
+        let { clientId, assignedAreaId: areaId } = doc;
+        if (!clientId || !areaId) {
+            const { area } = doc.location?.coordinates?.length
+                ? await routeCaseLocation(clientId, doc.location)
+                : { area: null };
+            clientId = clientId || area?.clientId || null;
+            areaId = areaId || area?._id || null;
+        }
+        if (!clientId) {
+            stats.noTenant.push(doc._id);
+            continue;
+        }
+
+        const key = String(clientId);
+        if (!workflows.has(key)) workflows.set(key, await resolveWorkflow(clientId));
+        const alert = toAlert(doc, { clientId, areaId, workflow: workflows.get(key) });
+
+        if (!DRY_RUN) {
+            // Raw insert keeps the original createdAt / updatedAt
+            await Alert.collection.insertOne(new Alert(alert).toObject({ depopulate: true }));
+        }
+        stats.converted++;
+        console.log(`  ${doc._id} "${doc.title}" ${doc.status} → ${alert.status}`);
+    }
+
+    console.log(`\n📋 Cases: ${stats.total} | converted: ${stats.converted} | already migrated: ${stats.skipped} | no tenant: ${stats.noTenant.length}`);
+    if (stats.noTenant.length) {
+        console.log(`⚠️  Outside every client's areas (not converted): ${stats.noTenant.join(', ')}`);
+    }
+
+    await mongoose.disconnect();
+}
+
+main().catch(async (err) => {
+    console.error('❌ Migration failed:', err);
+    await mongoose.disconnect();
+    process.exit(1);
+});
@@ -0,0 +1,338 @@
+import mongoose from 'mongoose';
+import Area from '../models/Area.js';
+import Alert from '../models/Alert.js';
+import Client from '../models/Client.js';
+import { relinkCameras } from './cameraService.js';
+import {
+    toPolygons,
+    isRingClosed,
+    signedRingArea,
+    findSelfIntersections,
+    pointInRing,
+    bboxOf,
+    bboxesIntersect,
+    estimateOverlap
+} from '../utils/geometry.js';
+
+// Shared area below this is treated as digitising noise along a common edge
+export const OVERLAP_TOLERANCE_SQ_METERS = 1000;
+
+/**
+ * 'block' rejects a boundary save that overlaps another area; 'flag' saves it with a warning.
+ */
+export async function getOverlapPolicy(clientId) {
+    const client = await Client.findById(clientId).select('settings.areas').lean();
+    return client?.settings?.areas?.overlapPolicy || 'block';
+}
+
+const describeOverlap = overlap =>
+    `Overlaps ${overlap.areaId ? 'existing area' : 'feature'} "${overlap.name}" by ~${overlap.areaSqMeters} m²`;
+
+// Property names tried (in order) for an area's name when no nameField is given
+const NAME_PROPERTIES = ['name', 'Name', 'NAME', 'pincode', 'Pincode', 'PINCODE', 'title'];
+
+/**
+ * Clean and validate one boundary geometry:
+ * drop altitude and repeated points, close open rings, fix winding order
+ * (RFC 7946: shells counter-clockwise, holes clockwise) and reject rings that
+ * are too short, out of range, self-intersecting or holes outside their shell.
+ *
+ * Returns { geometry, errors, warnings } — geometry is null when errors is non-empty.
+ */
+export function normaliseBoundary(input) {
+    const errors = [];
+    const warnings = [];
+
+    let geometry = input;
+    if (geometry?.type === 'GeometryCollection') {
+        const members = geometry.geometries || [];
+        const polygons = members.flatMap(g => toPolygons(g));
+        if (polygons.length < members.length) warnings.push('Non-polygon geometries in the collection were dropped');
+        geometry = { type: 'MultiPolygon', coordinates: polygons };
+    }
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+        return { geometry: null, errors: [`Boundary must be a Polygon or MultiPolygon (got ${geometry?.type || 'nothing'})`], warnings };
+    }
+
+    const polygons = toPolygons(geometry);
+    if (!Array.isArray(polygons) || !polygons.length) {
+        return { geometry: null, errors: ['Boundary has no coordinates'], warnings };
+    }
+
+    const cleaned = polygons.map((polygon, p) => (polygon || []).map((rawRing, r) => {
+        const label = `${polygons.length > 1 ? `Polygon ${p + 1}, ` : ''}${r === 0 ? 'outer ring' : `hole ${r}`}`;
+        const ring = [];
+        for (const position of rawRing || []) {
+            const [lng, lat] = position || [];
+            if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+                errors.push(`${label}: non-numeric coordinate`);
+                return ring;
+            }
+            if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+                errors.push(`${label}: coordinate [${lng}, ${lat}] is not WGS84 longitude/latitude`);
+                return ring;
+            }
+            const prev = ring[ring.length - 1];
+            if (!prev || prev[0] !== lng || prev[1] !== lat) ring.push([lng, lat]);
+        }
+
+        if (ring.length && !isRingClosed(ring)) {
+            ring.push([...ring[0]]);
+            warnings.push(`${label} was not closed; closing point added`);
+        }
+        if (ring.length < 4) {
+            errors.push(`${label} needs at least 3 distinct points`);
+            return ring;
+        }
+
+        const crossings = findSelfIntersections(ring, 3);
+        if (crossings.length) {
+            errors.push(`${label} intersects itself near ${crossings.map(c => `[${c[0]}, ${c[1]}]`).join(', ')}`);
+        }
+
+        const area = signedRingArea(ring);
+        if (area === 0) {
+            errors.push(`${label} has zero area`);
+        } else if ((r === 0) !== (area > 0)) {
+            ring.reverse();
+            warnings.push(`${label} winding order corrected`);
+        }
+        return ring;
+    }));
+
+    if (!errors.length) {
+        cleaned.forEach((polygon, p) => {
+            polygon.slice(1).forEach((hole, h) => {
+                if (hole.some(pt => pointInRing(pt, polygon[0]) === -1)) {
+                    errors.push(`${polygons.length > 1 ? `Polygon ${p + 1}, ` : ''}hole ${h + 1} lies outside the outer ring`);
+                }
+            });
+        });
+    }
+
+    if (errors.length) return { geometry: null, errors, warnings };
+    return {
+        geometry: cleaned.length === 1
+            ? { type: 'Polygon', coordinates: cleaned[0] }
+            : { type: 'MultiPolygon', coordinates: cleaned },
+        errors,
+        warnings
+    };
+}
+
+/**
+ * Existing Areas of the client whose boundary shares more than the tolerance with `geometry`.
+ * Only areas of the same level are compared — a beat is meant to sit inside its station.
+ * Returns [{ areaId, name, areaSqMeters }].
+ */
+export async function findOverlappingAreas(clientId, geometry, { excludeIds = [], level = 'beat' } = {}) {
+    const candidates = await Area.find({
+        clientId,
+        _id: { $nin: excludeIds },
+        ...(level === 'beat' ? { level: { $in: ['beat', null] } } : { level }),
+        boundary: { $geoIntersects: { $geometry: geometry } }
+    }).select('name boundary').lean();
+
+    const overlaps = [];
+    for (const candidate of candidates) {
+        const { areaSqMeters } = estimateOverlap(geometry, candidate.boundary);
+        if (areaSqMeters > OVERLAP_TOLERANCE_SQ_METERS) {
+            overlaps.push({ areaId: candidate._id, name: candidate.name, areaSqMeters });
+        }
+    }
+    return overlaps;
+}
+
+function featureName(properties, nameField) {
+    const keys = nameField ? [nameField] : NAME_PROPERTIES;
+    for (const key of keys) {
+        const value = properties?.[key];
+        if (value !== undefined && value !== null && String(value).trim()) return String(value).trim().substring(0, 200);
+    }
+    return null;
+}
+
+/**
+ * Parse-time view of an upload: every feature with its cleaned geometry, the
+ * action a commit would take (create / update) and the problems blocking it.
+ * Nothing is written.
+ *
+ * @param {object[]} features - GeoJSON features from parseBoundaryFile
+ * @param {{ clientId, city, level?, nameField?, replaceExisting?, overlapPolicy? }} options
+ */
+export async function previewBoundaries(features, { clientId, city, level = 'beat', nameField, replaceExisting = false, overlapPolicy = 'block' }) {
+    const existing = await Area.find({ clientId, city }).select('name').lean();
+    const existingByName = new Map(existing.map(a => [a.name.toLowerCase(), a._id]));
+
+    const items = features.map((feature, index) => {
+        const properties = feature.properties || {};
+        const { geometry, errors, warnings } = normaliseBoundary(feature.geometry);
+
+        let name = featureName(properties, nameField);
+        if (!name) {
+            name = `Area ${index + 1}`;
+            warnings.push(`No ${nameField || 'name'} property; named "${name}"`);
+        }
+
+        const existingAreaId = existingByName.get(name.toLowerCase()) || null;
+        if (existingAreaId && !replaceExisting) {
+            errors.push(`An area named "${name}" already exists in ${city}; set replaceExisting to update its boundary`);
+        }
+
+        return {
+            index,
+            name,
+            description: typeof properties.description === 'string' ? properties.description : '',
+            action: existingAreaId ? 'update' : 'create',
+            existingAreaId,
+            geometry,
+            errors,
+            warnings,
+            overlaps: []
+        };
+    });
+
+    // Duplicate names inside the file
+    const seen = new Map();
+    for (const item of items) {
+        const key = item.name.toLowerCase();
+        if (seen.has(key)) item.errors.push(`Duplicate name — also used by feature ${seen.get(key) + 1}`);
+        else seen.set(key, item.index);
+    }
+
+    const valid = items.filter(i => i.geometry);
+
+    // Overlaps between features of the same file
+    const boxes = new Map(valid.map(i => [i.index, bboxOf(toPolygons(i.geometry).map(p => p[0]))]));
+    for (let a = 0; a < valid.length; a++) {
+        for (let b = a + 1; b < valid.length; b++) {
+            if (!bboxesIntersect(boxes.get(valid[a].index), boxes.get(valid[b].index))) continue;
+            const { areaSqMeters } = estimateOverlap(valid[a].geometry, valid[b].geometry);
+            if (areaSqMeters > OVERLAP_TOLERANCE_SQ_METERS) {
+                valid[a].overlaps.push({ featureIndex: valid[b].index, name: valid[b].name, areaSqMeters });
+                valid[b].overlaps.push({ featureIndex: valid[a].index, name: valid[a].name, areaSqMeters });
+            }
+        }
+    }
+
+    // Overlaps with stored areas — areas this upload replaces are compared as their new shape above
+    const replacedIds = valid.filter(i => i.existingAreaId && replaceExisting).map(i => i.existingAreaId);
+    for (const item of valid) {
+        try {
+            const stored = await findOverlappingAreas(clientId, item.geometry, { excludeIds: replacedIds, level });
+            item.overlaps.push(...stored);
+        } catch (err) {
+            item.errors.push(`Boundary rejected by the geo index: ${err.message}`);
+        }
+    }
+
+    for (const item of items) {
+        const target = overlapPolicy === 'flag' ? item.warnings : item.errors;
+        target.push(...item.overlaps.map(describeOverlap));
+    }
+
+    const invalid = items.filter(i => i.errors.length).length;
+    return {
+        items,
+        summary: {
+            total: items.length,
+            valid: items.length - invalid,
+            invalid,
+            create: items.filter(i => !i.errors.length && i.action === 'create').length,
+            update: items.filter(i => !i.errors.length && i.action === 'update').length
+        }
+    };
+}
+
+/**
+ * Write the valid items of a preview in one transaction — either every
+ * boundary lands or none does.
+ */
+export async function commitBoundaries(preview, { clientId, city, level = 'beat' }) {
+    const ready = preview.items.filter(i => !i.errors.length);
+    const created = [];
+    const updated = [];
+
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            created.length = 0;
+            updated.length = 0;
+            for (const item of ready) {
+                if (item.action === 'update') {
+                    await Area.updateOne(
+                        { _id: item.existingAreaId, clientId },
+                        { $set: { boundary: item.geometry, ...(item.description ? { description: item.description } : {}) } },
+                        { session, runValidators: true }
+                    );
+                    updated.push(item.existingAreaId);
+                } else {
+                    const [area] = await Area.create([{
+                        name: item.name,
+                        city,
+                        level,
+                        clientId,
+                        boundary: item.geometry,
+                        description: item.description
+                    }], { session });
+                    created.push(area._id);
+                }
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    // Cameras follow the new shapes; a failure here must not undo the import
+    try {
+        for (const item of ready) {
+            await relinkCameras(clientId, { areaIds: item.existingAreaId ? [item.existingAreaId] : [], boundary: item.geometry });
+        }
+    } catch (err) {
+        console.error(`[Areas] Camera relink after import failed for client ${clientId}:`, err.message);
+    }
+
+    return { created, updated, skipped: preview.items.length - ready.length };
+}
+
+/**
+ * Replace one Area's boundary after validating it against the client's other areas.
+ * Returns { area, errors, warnings, overlaps }; the area is only saved when errors is empty.
+ */
+export async function updateAreaBoundary(area, boundary) {
+    const { geometry, errors, warnings } = normaliseBoundary(boundary);
+    if (!geometry) return { area, errors, warnings, overlaps: [] };
+
+    let overlaps = [];
+    try {
+        overlaps = await findOverlappingAreas(area.clientId, geometry, { excludeIds: [area._id], level: area.level });
+        const target = (await getOverlapPolicy(area.clientId)) === 'flag' ? warnings : errors;
+        target.push(...overlaps.map(describeOverlap));
+    } catch (err) {
+        errors.push(`Boundary rejected by the geo index: ${err.message}`);
+    }
+    if (errors.length) return { area, errors, warnings, overlaps };
+
+    area.boundary = geometry;
+    await area.save();
+    await relinkCameras(area.clientId, { areaIds: [area._id], boundary: geometry })
+        .catch(err => console.error(`[Areas] Camera relink failed for area ${area._id}:`, err.message));
+    return { area, errors, warnings, overlaps };
+}
+
+/**
+ * Delete an Area unless open cases are still routed to it or it has child areas.
+ * Returns { deleted, openCases, children }.
+ */
+export async function deleteArea(area) {
+    const [openCases, children] = await Promise.all([
+        Alert.countDocuments({ areaId: area._id, isActive: true }),
+        Area.countDocuments({ parentId: area._id })
+    ]);
+    if (openCases || children) return { deleted: false, openCases, children };
+
+    await Area.deleteOne({ _id: area._id });
+    await relinkCameras(area.clientId, { areaIds: [area._id] })
+        .catch(err => console.error(`[Areas] Camera relink failed for deleted area ${area._id}:`, err.message));
+    return { deleted: true, openCases: 0, children: 0 };
+}
@@ -0,0 +1,225 @@
+import Area from '../models/Area.js';
+import Client from '../models/Client.js';
+import { toPolygons, bboxOf, convexHull, scanlineCrossings } from '../utils/geometry.js';
+
+// Cells along the longer side of the city; more is sharper and slower
+export const DEFAULT_GRID_CELLS = 150;
+export const MAX_GRID_CELLS = 300;
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * City outline for gap detection: the client's own outline when set, otherwise
+ * the convex hull of every area vertex (gaps on the city edge are then missed).
+ */
+function resolveOutline(client, areas) {
+    if (client?.cityBoundaryGeometry?.type) {
+        return { outline: client.cityBoundaryGeometry, outlineSource: 'client' };
+    }
+    const points = areas.flatMap(a => toPolygons(a.boundary).flatMap(p => p[0]));
+    const hull = convexHull(points);
+    return hull
+        ? { outline: { type: 'Polygon', coordinates: [hull] }, outlineSource: 'convex_hull' }
+        : { outline: null, outlineSource: null };
+}
+
+// Merge grid cells ([col, row]) into rectangles: runs along each row, stacked
+// while the next row has the same run
+export function cellsToGeometry(cells, grid) {
+    const rows = new Map();
+    for (const [i, j] of cells) {
+        if (!rows.has(j)) rows.set(j, []);
+        rows.get(j).push(i);
+    }
+
+    const rectangles = [];
+    let open = new Map(); // "firstCol,lastCol" → rectangle still growing upwards
+    for (const j of [...rows.keys()].sort((a, b) => a - b)) {
+        const cols = rows.get(j).sort((a, b) => a - b);
+        const next = new Map();
+        let start = cols[0];
+        for (let k = 1; k <= cols.length; k++) {
+            if (k < cols.length && cols[k] === cols[k - 1] + 1) continue;
+            const key = `${start},${cols[k - 1]}`;
+            const rect = open.get(key);
+            if (rect && rect.lastRow === j - 1) {
+                rect.lastRow = j;
+                open.delete(key);
+                next.set(key, rect);
+            } else {
+                next.set(key, { first: start, last: cols[k - 1], firstRow: j, lastRow: j });
+            }
+            start = cols[k];
+        }
+        rectangles.push(...open.values());
+        open = next;
+    }
+    rectangles.push(...open.values());
+
+    return {
+        type: 'MultiPolygon',
+        coordinates: rectangles.map(({ first, last, firstRow, lastRow }) => {
+            const x0 = grid.minX + first * grid.dx;
+            const x1 = grid.minX + (last + 1) * grid.dx;
+            const y0 = grid.minY + firstRow * grid.dy;
+            const y1 = grid.minY + (lastRow + 1) * grid.dy;
+            return [[[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]]];
+        })
+    };
+}
+
+const cellArea = (grid, row) => {
+    const lat = (grid.minY + (row + 0.5) * grid.dy) * Math.PI / 180;
+    return grid.dx * METERS_PER_DEGREE * Math.cos(lat) * grid.dy * METERS_PER_DEGREE;
+};
+
+export const sumArea = (cells, grid) => Math.round(cells.reduce((sum, [, j]) => sum + cellArea(grid, j), 0));
+
+// Mark the columns whose centre lies inside the geometry on one grid row
+export function markRow(geometry, lat, grid, onCell) {
+    const xs = scanlineCrossings(geometry, lat);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+        const first = Math.max(0, Math.ceil((xs[k] - grid.minX) / grid.dx - 0.5));
+        const last = Math.min(grid.cols - 1, Math.floor((xs[k + 1] - grid.minX) / grid.dx - 0.5));
+        for (let i = first; i <= last; i++) onCell(i);
+    }
+}
+
+/**
+ * Where a client's Areas overlap each other, where the city is not covered by
+ * any Area, and which Areas have nobody assigned (no owner and no active
+ * roster entry) — as GeoJSON features.
+ * Overlaps and gaps are rasterised on a grid, so their shapes and areas are
+ * approximate to one cell.
+ */
+export async function buildCoverageReport(clientId, { gridCells = DEFAULT_GRID_CELLS, level = 'beat' } = {}) {
+    const [client, areas] = await Promise.all([
+        Client.findById(clientId).select('cityBoundary cityBoundaryGeometry').lean(),
+        // One level at a time — zones are supposed to overlap the beats inside them
+        Area.find({ clientId, ...(level === 'beat' ? { level: { $in: ['beat', null] } } : { level }) })
+            .select('name city partnerId roster boundary')
+            .lean()
+    ]);
+
+    const { outline, outlineSource } = resolveOutline(client, areas);
+    const features = [];
+
+    // Unassigned areas need no grid
+    const unassigned = areas.filter(a => !a.partnerId && !(a.roster || []).some(e => e.active !== false));
+    for (const area of unassigned) {
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'unassigned', areaId: area._id, name: area.name, city: area.city },
+            geometry: area.boundary
+        });
+    }
+
+    const summary = {
+        city: client?.cityBoundary || null,
+        level,
+        outlineSource,
+        areas: areas.length,
+        unassignedAreas: unassigned.length,
+        overlaps: 0,
+        overlapAreaSqMeters: 0,
+        gaps: 0,
+        gapAreaSqMeters: 0,
+        cellSizeMeters: null
+    };
+    if (!outline) return { summary, features };
+
+    // ── Grid over the outline ────────────────────────────────────────────────
+    const [minX, minY, maxX, maxY] = bboxOf(toPolygons(outline).map(p => p[0]));
+    const midLat = ((minY + maxY) / 2) * Math.PI / 180;
+    const widthMeters = (maxX - minX) * METERS_PER_DEGREE * Math.cos(midLat);
+    const heightMeters = (maxY - minY) * METERS_PER_DEGREE;
+    const cellMeters = Math.max(widthMeters, heightMeters) / Math.min(Math.max(gridCells, 10), MAX_GRID_CELLS);
+    const grid = {
+        minX,
+        minY,
+        dx: cellMeters / (METERS_PER_DEGREE * Math.cos(midLat)),
+        dy: cellMeters / METERS_PER_DEGREE
+    };
+    grid.cols = Math.max(1, Math.ceil((maxX - minX) / grid.dx));
+    grid.rows = Math.max(1, Math.ceil((maxY - minY) / grid.dy));
+    summary.cellSizeMeters = Math.round(cellMeters);
+
+    const boxes = areas.map(a => bboxOf(toPolygons(a.boundary).map(p => p[0])));
+    const overlapCells = new Map(); // "areaIdx,areaIdx" → [[col,row]]
+    const gapCells = new Set();     // "col,row"
+
+    for (let j = 0; j < grid.rows; j++) {
+        const lat = minY + (j + 0.5) * grid.dy;
+
+        const inCity = new Uint8Array(grid.cols);
+        markRow(outline, lat, grid, i => { inCity[i] = 1; });
+
+        const owners = new Array(grid.cols);
+        areas.forEach((area, idx) => {
+            if (lat < boxes[idx][1] || lat > boxes[idx][3]) return;
+            markRow(area.boundary, lat, grid, (i) => {
+                if (!owners[i]) owners[i] = [];
+                owners[i].push(idx);
+            });
+        });
+
+        for (let i = 0; i < grid.cols; i++) {
+            const hit = owners[i];
+            if (hit && hit.length > 1) {
+                const key = hit.join(',');
+                if (!overlapCells.has(key)) overlapCells.set(key, []);
+                overlapCells.get(key).push([i, j]);
+            } else if (!hit && inCity[i]) {
+                gapCells.add(`${i},${j}`);
+            }
+        }
+    }
+
+    // ── Overlaps: one feature per set of overlapping areas ───────────────────
+    for (const [key, cells] of overlapCells) {
+        const involved = key.split(',').map(Number).map(idx => areas[idx]);
+        const areaSqMeters = sumArea(cells, grid);
+        summary.overlaps++;
+        summary.overlapAreaSqMeters += areaSqMeters;
+        features.push({
+            type: 'Feature',
+            properties: {
+                kind: 'overlap',
+                areaIds: involved.map(a => a._id),
+                names: involved.map(a => a.name),
+                areaSqMeters
+            },
+            geometry: cellsToGeometry(cells, grid)
+        });
+    }
+
+    // ── Gaps: one feature per connected uncovered region ─────────────────────
+    const visited = new Set();
+    for (const start of gapCells) {
+        if (visited.has(start)) continue;
+        const cells = [];
+        const queue = [start];
+        visited.add(start);
+        while (queue.length) {
+            const [i, j] = queue.pop().split(',').map(Number);
+            cells.push([i, j]);
+            for (const next of [`${i + 1},${j}`, `${i - 1},${j}`, `${i},${j + 1}`, `${i},${j - 1}`]) {
+                if (gapCells.has(next) && !visited.has(next)) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            }
+        }
+
+        const areaSqMeters = sumArea(cells, grid);
+        summary.gaps++;
+        summary.gapAreaSqMeters += areaSqMeters;
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'gap', areaSqMeters },
+            geometry: cellsToGeometry(cells, grid)
+        });
+    }
+
+    return { summary, features };
+}
@@ -0,0 +1,174 @@
+import mongoose from 'mongoose';
+import Area from '../models/Area.js';
+import Alert from '../models/Alert.js';
+import { toPolygons, pointInRing } from '../utils/geometry.js';
+import { relinkCameras } from './cameraService.js';
+
+// Top to bottom; a child is always strictly below its parent
+export const AREA_LEVELS = ['zone', 'station', 'beat'];
+
+const levelIndex = level => AREA_LEVELS.indexOf(level);
+
+/**
+ * Ids of the given areas plus every area below them.
+ */
+export async function getSubtreeIds(rootIds) {
+    if (!rootIds.length) return [];
+    const descendants = await Area.find({ ancestors: { $in: rootIds } }).distinct('_id');
+    return [...new Map([...rootIds, ...descendants].map(id => [String(id), id])).values()];
+}
+
+/**
+ * Areas whose cases a partner oversees: where they are supervisor (fixed or on
+ * the roster) or serve a zone / station — together with everything below them.
+ * Only areas of the partner's own client count.
+ */
+export async function getJurisdictionAreaIds(partnerId, clientId) {
+    if (!clientId) return [];
+    const roots = await Area.find({
+        clientId,
+        $or: [
+            { supervisorPartnerId: partnerId },
+            { roster: { $elemMatch: { partnerId, role: 'supervisor', active: { $ne: false } } } },
+            { level: { $in: ['zone', 'station'] }, partnerId },
+            { level: { $in: ['zone', 'station'] }, roster: { $elemMatch: { partnerId, active: { $ne: false } } } }
+        ]
+    }).distinct('_id');
+    return getSubtreeIds(roots);
+}
+
+/**
+ * Move an area under a new parent (or to the top with parent = null) and/or
+ * change its level. Rewrites the ancestor paths of the whole subtree.
+ *
+ * Returns { error } or { area, warnings, descendantsUpdated }.
+ */
+export async function setAreaParent(area, parent, level = area.level) {
+    if (!AREA_LEVELS.includes(level)) {
+        return { error: `level must be one of: ${AREA_LEVELS.join(', ')}` };
+    }
+
+    const warnings = [];
+    if (parent) {
+        if (String(parent.clientId) !== String(area.clientId)) {
+            return { error: 'Parent area belongs to another client' };
+        }
+        if (String(parent._id) === String(area._id) || (parent.ancestors || []).some(id => String(id) === String(area._id))) {
+            return { error: 'An area cannot be placed under itself or one of its descendants' };
+        }
+        const parentLevel = parent.level || 'beat';
+        if (levelIndex(parentLevel) >= levelIndex(level)) {
+            return { error: `A ${level} cannot sit under a ${parentLevel}` };
+        }
+
+        // Children are expected to lie inside their parent — flag, don't block
+        const outside = toPolygons(area.boundary).some(polygon =>
+            polygon[0].some(pt => !toPolygons(parent.boundary).some(pp => pointInRing(pt, pp[0]) !== -1))
+        );
+        if (outside) warnings.push(`Boundary extends outside parent "${parent.name}"`);
+    }
+
+    const blockingChild = await Area.exists({
+        parentId: area._id,
+        level: { $in: AREA_LEVELS.slice(0, levelIndex(level) + 1) }
+    });
+    if (blockingChild) {
+        return { error: `This area has children at or above the ${level} level` };
+    }
+
+    const oldPathLength = (area.ancestors || []).length + 1;
+    area.parentId = parent?._id || null;
+    area.ancestors = parent ? [...(parent.ancestors || []), parent._id] : [];
+    area.depth = area.ancestors.length;
+    area.level = level;
+    await area.save();
+
+    // Descendants keep their path below this area and take the new path above it
+    const prefix = [...area.ancestors, area._id];
+    const descendants = await Area.find({ ancestors: area._id }).select('ancestors').lean();
+    if (descendants.length) {
+        await Area.bulkWrite(descendants.map((d) => {
+            const ancestors = [...prefix, ...d.ancestors.slice(oldPathLength)];
+            return {
+                updateOne: {
+                    filter: { _id: d._id },
+                    update: { $set: { ancestors, depth: ancestors.length } }
+                }
+            };
+        }));
+    }
+
+    // A camera belongs to the deepest area around it, which may now be a different one
+    await relinkCameras(area.clientId, { boundary: area.boundary })
+        .catch(err => console.error(`[Areas] Camera relink failed for area ${area._id}:`, err.message));
+
+    return { area, warnings, descendantsUpdated: descendants.length };
+}
+
+/**
+ * The client's area tree with case counts per area and rolled up to every
+ * ancestor, plus totals per level.
+ */
+export async function buildHierarchyRollup(clientId) {
+    const [areas, counts] = await Promise.all([
+        Area.find({ clientId }).select('name city level parentId ancestors partnerId').sort({ depth: 1, name: 1 }).lean(),
+        Alert.aggregate([
+            { $match: { clientId: new mongoose.Types.ObjectId(String(clientId)), type: 'USER', parentAlertId: null, areaId: { $ne: null } } },
+            {
+                $group: {
+                    _id: '$areaId',
+                    total: { $sum: 1 },
+                    open: { $sum: { $cond: ['$isActive', 1, 0] } },
+                    slaBreached: { $sum: { $cond: [{ $and: ['$isActive', '$sla.breached'] }, 1, 0] } }
+                }
+            }
+        ])
+    ]);
+
+    const empty = () => ({ total: 0, open: 0, slaBreached: 0 });
+    const add = (into, from) => {
+        into.total += from.total;
+        into.open += from.open;
+        into.slaBreached += from.slaBreached;
+    };
+
+    const ancestorsOf = new Map(areas.map(a => [String(a._id), a.ancestors || []]));
+    const nodes = new Map(areas.map(a => [String(a._id), {
+        areaId: a._id,
+        name: a.name,
+        city: a.city,
+        level: a.level || 'beat',
+        parentId: a.parentId || null,
+        partnerId: a.partnerId || null,
+        counts: empty(),
+        rollup: empty(),
+        children: []
+    }]));
+
+    for (const row of counts) {
+        const node = nodes.get(String(row._id));
+        if (!node) continue;
+        add(node.counts, row);
+        add(node.rollup, row);
+        for (const ancestorId of ancestorsOf.get(String(row._id))) {
+            const ancestor = nodes.get(String(ancestorId));
+            if (ancestor) add(ancestor.rollup, row);
+        }
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+        const parent = node.parentId && nodes.get(String(node.parentId));
+        if (parent) parent.children.push(node);
+        else roots.push(node);
+    }
+
+    // Each case counts once per level: under the area of that level that contains it
+    const byLevel = Object.fromEntries(AREA_LEVELS.map(level => [level, { areas: 0, ...empty() }]));
+    for (const node of nodes.values()) {
+        byLevel[node.level].areas++;
+        add(byLevel[node.level], node.rollup);
+    }
+
+    return { tree: roots, byLevel };
+}
@@ -0,0 +1,293 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Area from '../models/Area.js';
+import Camera from '../models/Camera.js';
+import { toPolygons, bboxOf, haversineMeters } from '../utils/geometry.js';
+import { cellsToGeometry, markRow, sumArea } from './areaCoverageService.js';
+import { CAMERA_ISSUE_CATEGORY } from './cameraService.js';
+
+export const DEFAULT_BLIND_SPOT_CELL_METERS = 250;
+const MIN_CELL_METERS = 50;
+const MAX_CELL_METERS = 2000;
+// Cells are enlarged past the requested size rather than exceed this many
+const MAX_GRID_CELLS = 250000;
+
+// camera_issue reports saying there is nothing watching the spot
+const BLIND_SPOT_ISSUE_TYPES = ['Blind spot', 'No camera'];
+const LOGGED_BASIS_TYPE = 'Blind Spot Logged for Review';
+
+// A citizen blind-spot report or an officer's "logged for review" outweighs one ordinary case
+const REPORT_WEIGHT = 3;
+const LOGGED_WEIGHT = 5;
+
+const METERS_PER_DEGREE = 111320;
+
+function buildGrid(areas, requestedMeters) {
+    const [minX, minY, maxX, maxY] = bboxOf(areas.flatMap(a => toPolygons(a.boundary).map(p => p[0])));
+    const cosLat = Math.cos(((minY + maxY) / 2) * Math.PI / 180);
+    const widthMeters = (maxX - minX) * METERS_PER_DEGREE * cosLat;
+    const heightMeters = (maxY - minY) * METERS_PER_DEGREE;
+
+    let cellMeters = Math.min(Math.max(Number(requestedMeters) || DEFAULT_BLIND_SPOT_CELL_METERS, MIN_CELL_METERS), MAX_CELL_METERS);
+    cellMeters = Math.max(cellMeters, Math.sqrt((widthMeters * heightMeters) / MAX_GRID_CELLS));
+
+    const grid = {
+        minX,
+        minY,
+        maxX,
+        maxY,
+        dx: cellMeters / (METERS_PER_DEGREE * cosLat),
+        dy: cellMeters / METERS_PER_DEGREE,
+        cellMeters
+    };
+    grid.cols = Math.max(1, Math.ceil((maxX - minX) / grid.dx));
+    grid.rows = Math.max(1, Math.ceil((maxY - minY) / grid.dy));
+    return grid;
+}
+
+const cellCentre = (grid, i, j) => [grid.minX + (i + 0.5) * grid.dx, grid.minY + (j + 0.5) * grid.dy];
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Cells a camera's circle touches: the point of the cell closest to the camera
+// lies within its radius. The cell holding the camera always counts.
+function markCameraCoverage(grid, cameras, covered) {
+    for (const camera of cameras) {
+        const [lng, lat] = camera.location.coordinates;
+        const radius = camera.radius || 0;
+        const reachX = Math.ceil(radius / (grid.dx * METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180))) + 1;
+        const reachY = Math.ceil(radius / (grid.dy * METERS_PER_DEGREE)) + 1;
+        const ci = Math.floor((lng - grid.minX) / grid.dx);
+        const cj = Math.floor((lat - grid.minY) / grid.dy);
+
+        for (let j = Math.max(0, cj - reachY); j <= Math.min(grid.rows - 1, cj + reachY); j++) {
+            for (let i = Math.max(0, ci - reachX); i <= Math.min(grid.cols - 1, ci + reachX); i++) {
+                const x0 = grid.minX + i * grid.dx;
+                const y0 = grid.minY + j * grid.dy;
+                const closest = [clamp(lng, x0, x0 + grid.dx), clamp(lat, y0, y0 + grid.dy)];
+                if (haversineMeters([lng, lat], closest) <= radius) covered[j * grid.cols + i] = 1;
+            }
+        }
+    }
+}
+
+// Case counts per grid cell, binned by MongoDB over the location index
+async function caseCountsByCell(match, grid) {
+    const rows = await Alert.aggregate([
+        {
+            $match: {
+                ...match,
+                location: {
+                    $geoWithin: {
+                        $geometry: {
+                            type: 'Polygon',
+                            coordinates: [[
+                                [grid.minX, grid.minY], [grid.maxX, grid.minY], [grid.maxX, grid.maxY],
+                                [grid.minX, grid.maxY], [grid.minX, grid.minY]
+                            ]]
+                        }
+                    }
+                }
+            }
+        },
+        {
+            $group: {
+                _id: {
+                    i: { $floor: { $divide: [{ $subtract: [{ $arrayElemAt: ['$location.coordinates', 0] }, grid.minX] }, grid.dx] } },
+                    j: { $floor: { $divide: [{ $subtract: [{ $arrayElemAt: ['$location.coordinates', 1] }, grid.minY] }, grid.dy] } }
+                },
+                cases: { $sum: 1 },
+                blindSpotReports: {
+                    $sum: {
+                        $cond: [
+                            {
+                                $and: [
+                                    { $eq: ['$metadata.type', CAMERA_ISSUE_CATEGORY] },
+                                    { $in: ['$metadata.issueType', BLIND_SPOT_ISSUE_TYPES] }
+                                ]
+                            },
+                            1,
+                            0
+                        ]
+                    }
+                },
+                loggedForReview: {
+                    $sum: { $cond: [{ $in: [LOGGED_BASIS_TYPE, { $ifNull: ['$timeline.basisType', []] }] }, 1, 0] }
+                }
+            }
+        }
+    ]);
+    // Points on the far edge of the box floor to one past the last cell
+    return new Map(rows
+        .filter(r => r._id.i >= 0 && r._id.i < grid.cols && r._id.j >= 0 && r._id.j < grid.rows)
+        .map(r => [r._id.j * grid.cols + r._id.i, r]));
+}
+
+/**
+ * Candidate camera sites for one client: parts of its areas no working camera
+ * covers, ranked by the cases reported there.
+ *
+ * Areas and camera radii are rasterised on a grid (`cellMeters` across); an
+ * uncovered cell scores its case count plus extra weight for "Blind spot" /
+ * "No camera" reports and cases logged for blind-spot review. Touching scored
+ * cells are merged into one candidate.
+ *
+ * @param {object} match - Alert filter from buildAnalyticsMatch (time range, category, status)
+ * @returns {{ summary, features }} GeoJSON features: kind 'blind_spot' (ranked) and,
+ *          with includeUncovered, one 'uncovered' feature for everything without coverage
+ */
+export async function buildBlindSpotMap(clientId, match, {
+    cellMeters = DEFAULT_BLIND_SPOT_CELL_METERS,
+    level = 'beat',
+    limit = 20,
+    includeDegraded = false,
+    includeUncovered = false
+} = {}) {
+    const clientObjId = new mongoose.Types.ObjectId(String(clientId));
+    const [areas, cameras] = await Promise.all([
+        Area.find({ clientId: clientObjId, ...(level === 'beat' ? { level: { $in: ['beat', null] } } : { level }) })
+            .select('name level boundary')
+            .lean(),
+        // Broken cameras leave their spot uncovered unless the caller counts them anyway
+        Camera.find({ clientId: clientObjId, ...(includeDegraded ? {} : { status: 'working' }) })
+            .select('location radius')
+            .lean()
+    ]);
+
+    const summary = {
+        level,
+        areas: areas.length,
+        cameras: cameras.length,
+        cellSizeMeters: null,
+        areaSqMeters: 0,
+        coveredSqMeters: 0,
+        coveredPercent: null,
+        cases: 0,
+        casesUncovered: 0,
+        candidates: 0
+    };
+    if (!areas.length) return { summary, features: [] };
+
+    const grid = buildGrid(areas, cellMeters);
+    summary.cellSizeMeters = Math.round(grid.cellMeters);
+
+    // Which area (first match) each cell centre falls in
+    const owner = new Int32Array(grid.cols * grid.rows).fill(-1);
+    const boxes = areas.map(a => bboxOf(toPolygons(a.boundary).map(p => p[0])));
+    for (let j = 0; j < grid.rows; j++) {
+        const lat = grid.minY + (j + 0.5) * grid.dy;
+        areas.forEach((area, idx) => {
+            if (lat < boxes[idx][1] || lat > boxes[idx][3]) return;
+            markRow(area.boundary, lat, grid, (i) => {
+                if (owner[j * grid.cols + i] === -1) owner[j * grid.cols + i] = idx;
+            });
+        });
+    }
+
+    const covered = new Uint8Array(grid.cols * grid.rows);
+    markCameraCoverage(grid, cameras, covered);
+
+    const counts = await caseCountsByCell({ ...match, clientId: clientObjId }, grid);
+
+    const inAreaCells = [];
+    const coveredCells = [];
+    const uncoveredCells = [];
+    const scored = new Map();
+    for (let j = 0; j < grid.rows; j++) {
+        for (let i = 0; i < grid.cols; i++) {
+            const k = j * grid.cols + i;
+            const count = counts.get(k);
+            if (count) summary.cases += count.cases;
+            if (owner[k] === -1) continue;
+
+            inAreaCells.push([i, j]);
+            if (covered[k]) {
+                coveredCells.push([i, j]);
+                continue;
+            }
+            uncoveredCells.push([i, j]);
+            if (!count) continue;
+
+            summary.casesUncovered += count.cases;
+            scored.set(k, {
+                i,
+                j,
+                areaIdx: owner[k],
+                cases: count.cases,
+                blindSpotReports: count.blindSpotReports,
+                loggedForReview: count.loggedForReview,
+                score: count.cases + REPORT_WEIGHT * count.blindSpotReports + LOGGED_WEIGHT * count.loggedForReview
+            });
+        }
+    }
+    summary.areaSqMeters = sumArea(inAreaCells, grid);
+    summary.coveredSqMeters = sumArea(coveredCells, grid);
+    summary.coveredPercent = summary.areaSqMeters
+        ? Math.round((summary.coveredSqMeters / summary.areaSqMeters) * 1000) / 10
+        : null;
+
+    // Touching scored cells (8 neighbours) form one candidate
+    const candidates = [];
+    const seen = new Set();
+    for (const [key, start] of scored) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const cells = [];
+        const stack = [start];
+        while (stack.length) {
+            const cell = stack.pop();
+            cells.push(cell);
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let di = -1; di <= 1; di++) {
+                    const ni = cell.i + di;
+                    const nj = cell.j + dj;
+                    if (ni < 0 || nj < 0 || ni >= grid.cols || nj >= grid.rows) continue;
+                    const next = nj * grid.cols + ni;
+                    if (scored.has(next) && !seen.has(next)) {
+                        seen.add(next);
+                        stack.push(scored.get(next));
+                    }
+                }
+            }
+        }
+
+        const total = field => cells.reduce((sum, c) => sum + c[field], 0);
+        const score = total('score');
+        // Score-weighted centre of the cells — where a new camera would see the most
+        const centre = cells.reduce(([x, y], c) => {
+            const [cx, cy] = cellCentre(grid, c.i, c.j);
+            return [x + cx * c.score / score, y + cy * c.score / score];
+        }, [0, 0]);
+        const involved = [...new Set(cells.map(c => c.areaIdx))].map(idx => areas[idx]);
+
+        candidates.push({
+            cells: cells.map(c => [c.i, c.j]),
+            properties: {
+                kind: 'blind_spot',
+                score,
+                cases: total('cases'),
+                blindSpotReports: total('blindSpotReports'),
+                loggedForReview: total('loggedForReview'),
+                areaSqMeters: sumArea(cells.map(c => [c.i, c.j]), grid),
+                suggestedCameraLocation: centre.map(v => Math.round(v * 1e6) / 1e6),
+                areas: involved.map(a => ({ areaId: a._id, name: a.name, level: a.level || 'beat' }))
+            }
+        });
+    }
+    candidates.sort((a, b) => b.properties.score - a.properties.score);
+    summary.candidates = candidates.length;
+
+    const features = candidates.slice(0, limit).map((candidate, index) => ({
+        type: 'Feature',
+        properties: { rank: index + 1, ...candidate.properties },
+        geometry: cellsToGeometry(candidate.cells, grid)
+    }));
+    if (includeUncovered && uncoveredCells.length) {
+        features.push({
+            type: 'Feature',
+            properties: { kind: 'uncovered', areaSqMeters: sumArea(uncoveredCells, grid) },
+            geometry: cellsToGeometry(uncoveredCells, grid)
+        });
+    }
+
+    return { summary, features };
+}
@@ -0,0 +1,315 @@
+import mongoose from 'mongoose';
+import Camera from '../models/Camera.js';
+import Area from '../models/Area.js';
+import Client from '../models/Client.js';
+
+export const CAMERA_STATUSES = Camera.schema.path('status').enumValues;
+export const CAMERA_ISSUE_CATEGORY = 'camera_issue';
+
+// A camera_issue report attaches to the nearest camera of its client within this distance
+export const CAMERA_ISSUE_MATCH_METERS = Number(process.env.CAMERA_ISSUE_MATCH_METERS) || 250;
+
+// Case detail lists cameras this close to the incident unless the client configures otherwise
+export const DEFAULT_NEARBY_CAMERA_METERS = 300;
+export const MAX_CAMERA_RADIUS_METERS = 5000;
+
+export const FOOTAGE_REQUEST_STATUSES = ['requested', 'received', 'not_available'];
+
+const STATUS_HISTORY_LIMIT = 50;
+
+const actorName = actor => actor?.name || actor?.organizationName || actor?.email || 'Officer';
+
+const CONTACT_FIELDS = ['name', 'organisation', 'phone', 'email'];
+
+function parseContact(input, label) {
+    if (input === undefined) return { value: undefined };
+    if (input === null) return { value: {} };
+    if (typeof input !== 'object' || Array.isArray(input)) return { error: `${label} must be an object` };
+
+    const value = {};
+    for (const field of CONTACT_FIELDS) {
+        if (input[field] === undefined || input[field] === null) continue;
+        value[field] = String(input[field]).trim().substring(0, 200);
+    }
+    if (value.email && !/^\S+@\S+\.\S+$/.test(value.email)) return { error: `${label}.email is not a valid email` };
+    return { value };
+}
+
+/**
+ * Validate a camera create / update body.
+ * Location comes as { latitude, longitude } or a GeoJSON Point in `location`.
+ *
+ * Returns { values } or { error }; with `partial` only the given fields are set.
+ */
+export function parseCameraInput(body = {}, { partial = false } = {}) {
+    const values = {};
+
+    if (body.name !== undefined || !partial) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return { error: 'name is required' };
+        values.name = name.substring(0, 200);
+    }
+
+    let coordinates = null;
+    if (body.location?.type === 'Point') {
+        coordinates = body.location.coordinates;
+    } else if (body.latitude !== undefined || body.longitude !== undefined) {
+        coordinates = [parseFloat(body.longitude), parseFloat(body.latitude)];
+    }
+    if (coordinates) {
+        const [lng, lat] = coordinates.map(Number);
+        if (!Number.isFinite(lng) || !Number.isFinite(lat) || lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+            return { error: 'latitude and longitude must be valid WGS84 coordinates' };
+        }
+        values.location = { type: 'Point', coordinates: [lng, lat] };
+    } else if (!partial) {
+        return { error: 'latitude and longitude are required' };
+    }
+
+    if (body.radius !== undefined) {
+        const radius = Number(body.radius);
+        if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_CAMERA_RADIUS_METERS) {
+            return { error: `radius must be between 1 and ${MAX_CAMERA_RADIUS_METERS} metres` };
+        }
+        values.radius = radius;
+    }
+    if (body.status !== undefined) {
+        if (!CAMERA_STATUSES.includes(body.status)) return { error: `status must be one of: ${CAMERA_STATUSES.join(', ')}` };
+        values.status = body.status;
+    }
+    for (const field of ['description', 'city']) {
+        if (body[field] !== undefined) values[field] = String(body[field] ?? '').trim();
+    }
+    for (const [field, label] of [['owner', 'owner'], ['maintenanceContact', 'maintenanceContact']]) {
+        const { value, error } = parseContact(body[field], label);
+        if (error) return { error };
+        if (value !== undefined) values[field] = value;
+    }
+
+    return { values };
+}
+
+/**
+ * Deepest Area of the client whose boundary contains the point, or null.
+ */
+export async function findContainingAreaId(clientId, point) {
+    if (!clientId || !point) return null;
+    const area = await Area.findOne({
+        clientId,
+        boundary: { $geoIntersects: { $geometry: point } }
+    }).sort({ depth: -1 }).select('_id').lean();
+    return area?._id || null;
+}
+
+/**
+ * Record a status change on a camera document (not saved).
+ */
+export function setCameraStatus(camera, status, { note = '', alertId = null, user = null } = {}) {
+    if (camera.status === status) return false;
+
+    camera.statusHistory.unshift({
+        status,
+        previousStatus: camera.status,
+        note,
+        alertId,
+        changedBy: user?._id || null,
+        changedByRole: user?.role || null,
+        at: new Date()
+    });
+    if (camera.statusHistory.length > STATUS_HISTORY_LIMIT) {
+        camera.statusHistory.splice(STATUS_HISTORY_LIMIT);
+    }
+    camera.status = status;
+    camera.statusChangedAt = new Date();
+    return true;
+}
+
+/**
+ * Attach a new "camera_issue" report to the nearest camera of its client and
+ * mark that camera for inspection. Sets alert.cameraId before the alert is
+ * saved; returns the camera or null.
+ */
+export async function attachCameraIssue(alert) {
+    if (alert.metadata?.type !== CAMERA_ISSUE_CATEGORY || !alert.location?.coordinates?.length || !alert.clientId) {
+        return null;
+    }
+
+    const camera = await Camera.findOne({
+        clientId: alert.clientId,
+        location: {
+            $near: {
+                $geometry: alert.location,
+                $maxDistance: CAMERA_ISSUE_MATCH_METERS
+            }
+        }
+    });
+    if (!camera) return null;
+
+    alert.cameraId = camera._id;
+    const issue = alert.metadata?.issueType ? ` (${alert.metadata.issueType})` : '';
+    if (setCameraStatus(camera, 'needs_inspection', { note: `Citizen report${issue}`, alertId: alert._id })) {
+        await camera.save();
+        console.log(`[Cameras] "${camera.name}" flagged for inspection by report ${alert._id}`);
+    }
+    return camera;
+}
+
+/**
+ * Re-resolve the containing Area of every camera that was linked to `area` or
+ * lies inside `boundary` — after an area is reshaped, imported or deleted.
+ * Returns the number of cameras whose link changed.
+ */
+export async function relinkCameras(clientId, { areaIds = [], boundary = null } = {}) {
+    const or = [];
+    if (areaIds.length) or.push({ areaId: { $in: areaIds.map(id => new mongoose.Types.ObjectId(String(id))) } });
+    if (boundary) or.push({ location: { $geoWithin: { $geometry: boundary } } });
+    if (!clientId || !or.length) return 0;
+
+    const cameras = await Camera.find({ clientId, $or: or }).select('location areaId').lean();
+    const updates = [];
+    for (const camera of cameras) {
+        const areaId = await findContainingAreaId(clientId, camera.location);
+        if (String(areaId) !== String(camera.areaId)) {
+            updates.push({ updateOne: { filter: { _id: camera._id }, update: { $set: { areaId } } } });
+        }
+    }
+    if (updates.length) await Camera.bulkWrite(updates);
+    return updates.length;
+}
+
+// ── CCTV evidence ───────────────────────────────────────────────────────────
+
+export async function getNearbyCameraMeters(clientId) {
+    const client = clientId
+        ? await Client.findById(clientId).select('settings.cases').lean()
+        : null;
+    return client?.settings?.cases?.nearbyCameraMeters ?? DEFAULT_NEARBY_CAMERA_METERS;
+}
+
+/**
+ * Cameras of the case's client that may have recorded the incident: those whose
+ * coverage radius contains the point and those within `maxDistance`, nearest first.
+ * Each carries the case's footage request for it, if any.
+ */
+export async function findNearbyCameras(alert, { maxDistance } = {}) {
+    if (!alert.location?.coordinates?.length || !alert.clientId) return [];
+    const distance = maxDistance ?? await getNearbyCameraMeters(alert.clientId);
+
+    const cameras = await Camera.aggregate([
+        {
+            $geoNear: {
+                near: alert.location,
+                distanceField: 'distanceMeters',
+                maxDistance: Math.max(distance, MAX_CAMERA_RADIUS_METERS),
+                query: { clientId: new mongoose.Types.ObjectId(String(alert.clientId)) },
+                spherical: true
+            }
+        },
+        {
+            $match: {
+                $expr: {
+                    $or: [
+                        { $lte: ['$distanceMeters', distance] },
+                        { $lte: ['$distanceMeters', { $ifNull: ['$radius', 0] }] }
+                    ]
+                }
+            }
+        },
+        { $project: { name: 1, status: 1, radius: 1, location: 1, areaId: 1, maintenanceContact: 1, distanceMeters: 1 } }
+    ]);
+
+    const requests = new Map((alert.footageRequests || []).map(r => [String(r.cameraId), r]));
+    return cameras.map(camera => ({
+        cameraId: camera._id,
+        name: camera.name,
+        status: camera.status,
+        location: camera.location,
+        areaId: camera.areaId,
+        radius: camera.radius,
+        distanceMeters: Math.round(camera.distanceMeters),
+        coversIncident: camera.distanceMeters <= (camera.radius || 0),
+        maintenanceContact: camera.maintenanceContact || {},
+        footageRequest: requests.get(String(camera._id)) || null
+    }));
+}
+
+function footageTimelineEntry(alert, basisType, note, actor) {
+    return {
+        status: alert.status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: actor?._id || null,
+        updatedByName: actorName(actor),
+        visibility: 'internal'
+    };
+}
+
+const parseWindowDate = (value) => {
+    if (value === undefined || value === null || value === '') return { date: null };
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: `Invalid date: ${value}` } : { date };
+};
+
+/**
+ * Log a footage request for `camera` on the case (document not saved).
+ * Returns { request } or { error, status }.
+ */
+export function requestFootage(alert, camera, { note = '', from, to } = {}, actor) {
+    if (String(camera.clientId) !== String(alert.clientId)) {
+        return { status: 422, error: 'Camera belongs to another client' };
+    }
+    if (alert.footageRequests.some(r => String(r.cameraId) === String(camera._id))) {
+        return { status: 409, error: 'Footage was already requested from this camera; update that request instead' };
+    }
+
+    const windowFrom = parseWindowDate(from);
+    const windowTo = parseWindowDate(to);
+    const dateError = windowFrom.error || windowTo.error;
+    if (dateError) return { status: 400, error: dateError };
+    if (windowFrom.date && windowTo.date && windowFrom.date > windowTo.date) {
+        return { status: 400, error: 'from must be before to' };
+    }
+
+    alert.footageRequests.push({
+        cameraId: camera._id,
+        cameraName: camera.name,
+        windowFrom: windowFrom.date,
+        windowTo: windowTo.date,
+        note: String(note || '').trim().substring(0, 1000),
+        requestedBy: actor?._id || null,
+        requestedByName: actorName(actor),
+        updatedBy: actor?._id || null
+    });
+    alert.timeline.push(footageTimelineEntry(alert, 'CCTV Footage Requested', `Footage requested from camera "${camera.name}"`, actor));
+    return { request: alert.footageRequests[alert.footageRequests.length - 1] };
+}
+
+/**
+ * Move a footage request to received / not_available (document not saved).
+ * Returns { request } or { error, status }.
+ */
+export function updateFootageRequest(alert, requestId, { status, note } = {}, actor) {
+    if (!FOOTAGE_REQUEST_STATUSES.includes(status)) {
+        return { status: 400, error: `status must be one of: ${FOOTAGE_REQUEST_STATUSES.join(', ')}` };
+    }
+    const request = alert.footageRequests.id(requestId);
+    if (!request) return { status: 404, error: 'Footage request not found' };
+
+    const previous = request.status;
+    request.status = status;
+    if (typeof note === 'string' && note.trim()) request.note = note.trim().substring(0, 1000);
+    request.updatedBy = actor?._id || null;
+    request.updatedAt = new Date();
+
+    if (previous !== status) {
+        const label = { requested: 'requested again', received: 'received', not_available: 'not available' }[status];
+        alert.timeline.push(footageTimelineEntry(
+            alert,
+            status === 'received' ? 'CCTV Footage Received' : 'CCTV Footage Update',
+            `Footage from camera "${request.cameraName}" ${label}`,
+            actor
+        ));
+    }
+    return { request };
+}
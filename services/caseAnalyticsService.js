@@ -0,0 +1,394 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Area from '../models/Area.js';
+import { geometryAreaSqMeters } from '../utils/geometry.js';
+import { ROSTER_TIMEZONE } from './rosterService.js';
+import { getSubtreeIds } from './areaHierarchyService.js';
+
+export const DEFAULT_CELL_METERS = 500;
+export const MIN_CELL_METERS = 100;
+export const MAX_CELL_METERS = 20000;
+
+// A cell is a hotspot when its count is this many standard deviations above its area's baseline
+export const DEFAULT_HOTSPOT_Z = 3;
+export const DEFAULT_HOTSPOT_MIN_CASES = 5;
+
+const METERS_PER_DEGREE = 111320;
+const SQRT3 = Math.sqrt(3);
+
+const toObjectId = id => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * $match for analytics over citizen cases of the caller's tenant. Aggregation
+ * does not cast, so ids are converted here.
+ *
+ * @param {object} tenantFilter - req.tenantFilter
+ * @param {{ from?, to?, category?, status?, areaId?, bbox? }} query
+ * @returns {Promise<{ match } | { error }>}
+ */
+export async function buildAnalyticsMatch(tenantFilter, { from, to, category, status, areaId, bbox } = {}) {
+    const match = { type: 'USER', parentAlertId: null, 'location.type': 'Point' };
+
+    if (tenantFilter?.clientId?.$in) match.clientId = { $in: tenantFilter.clientId.$in.map(toObjectId) };
+    else if (tenantFilter?.clientId) match.clientId = toObjectId(tenantFilter.clientId);
+
+    if (from || to) {
+        match.createdAt = {};
+        for (const [key, value] of [['$gte', from], ['$lte', to]]) {
+            if (!value) continue;
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return { error: `Invalid date: ${value}` };
+            match.createdAt[key] = date;
+        }
+    }
+
+    const list = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+    if (category) match['metadata.type'] = { $in: list(category) };
+    if (status) match.status = { $in: list(status) };
+
+    // An area includes everything below it in the hierarchy
+    if (areaId) {
+        if (!mongoose.Types.ObjectId.isValid(areaId)) return { error: 'Invalid areaId' };
+        match.areaId = { $in: (await getSubtreeIds([toObjectId(areaId)])).map(toObjectId) };
+    }
+
+    // minLng,minLat,maxLng,maxLat — goes through the location 2dsphere index
+    if (bbox) {
+        const [minLng, minLat, maxLng, maxLat] = String(bbox).split(',').map(Number);
+        if (![minLng, minLat, maxLng, maxLat].every(Number.isFinite) || minLng >= maxLng || minLat >= maxLat) {
+            return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+        }
+        match.location = {
+            $geoWithin: {
+                $geometry: {
+                    type: 'Polygon',
+                    coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+                }
+            }
+        };
+    }
+
+    return { match };
+}
+
+export function clampCellMeters(value) {
+    const meters = Number(value) || DEFAULT_CELL_METERS;
+    return Math.min(Math.max(meters, MIN_CELL_METERS), MAX_CELL_METERS);
+}
+
+// Degrees → metres at the latitude the cases centre on; keeps cells square on the ground
+async function planarScale(match) {
+    const [row] = await Alert.aggregate([
+        { $match: match },
+        { $group: { _id: null, lat: { $avg: { $arrayElemAt: ['$location.coordinates', 1] } }, count: { $sum: 1 } } }
+    ]);
+    if (!row?.count) return null;
+    return {
+        kx: METERS_PER_DEGREE * Math.cos(row.lat * Math.PI / 180),
+        ky: METERS_PER_DEGREE
+    };
+}
+
+const planarStage = ({ kx, ky }) => ({
+    $set: {
+        _x: { $multiply: [{ $arrayElemAt: ['$location.coordinates', 0] }, kx] },
+        _y: { $multiply: [{ $arrayElemAt: ['$location.coordinates', 1] }, ky] }
+    }
+});
+
+// Square cell [i, j] holding each case
+const gridCellStage = size => ({
+    $set: {
+        _i: { $floor: { $divide: ['$_x', size] } },
+        _j: { $floor: { $divide: ['$_y', size] } }
+    }
+});
+
+// Pointy-top hexagons `width` across the flats. Hex centres form two
+// rectangular lattices offset by half a cell; the nearer candidate wins.
+// Indices are doubled so both lattices stay integers.
+const hexCellStage = (width) => {
+    const rowPeriod = SQRT3 * width; // 3 × the hex radius
+    const sq = expr => ({ $multiply: [expr, expr] });
+    return {
+        $set: {
+            _cell: {
+                $let: {
+                    vars: {
+                        ai: { $round: [{ $divide: ['$_x', width] }, 0] },
+                        aj: { $round: [{ $divide: ['$_y', rowPeriod] }, 0] },
+                        bi: { $floor: { $divide: ['$_x', width] } },
+                        bj: { $floor: { $divide: ['$_y', rowPeriod] } }
+                    },
+                    in: {
+                        $cond: [
+                            {
+                                $lte: [
+                                    {
+                                        $add: [
+                                            sq({ $subtract: ['$_x', { $multiply: ['$$ai', width] }] }),
+                                            sq({ $subtract: ['$_y', { $multiply: ['$$aj', rowPeriod] }] })
+                                        ]
+                                    },
+                                    {
+                                        $add: [
+                                            sq({ $subtract: ['$_x', { $multiply: [{ $add: ['$$bi', 0.5] }, width] }] }),
+                                            sq({ $subtract: ['$_y', { $multiply: [{ $add: ['$$bj', 0.5] }, rowPeriod] }] })
+                                        ]
+                                    }
+                                ]
+                            },
+                            [{ $multiply: ['$$ai', 2] }, { $multiply: ['$$aj', 2] }],
+                            [{ $add: [{ $multiply: ['$$bi', 2] }, 1] }, { $add: [{ $multiply: ['$$bj', 2] }, 1] }]
+                        ]
+                    }
+                }
+            }
+        }
+    };
+};
+
+const ring = (points, { kx, ky }) => {
+    const coords = points.map(([x, y]) => [x / kx, y / ky]);
+    coords.push([...coords[0]]);
+    return coords;
+};
+
+function squareGeometry(i, j, size, scale) {
+    const x = i * size;
+    const y = j * size;
+    return {
+        type: 'Polygon',
+        coordinates: [ring([[x, y], [x + size, y], [x + size, y + size], [x, y + size]], scale)]
+    };
+}
+
+function hexGeometry(i, j, width, scale) {
+    const cx = (i / 2) * width;
+    const cy = (j / 2) * SQRT3 * width;
+    const radius = width / SQRT3;
+    const corners = [];
+    for (let k = 0; k < 6; k++) {
+        const angle = (Math.PI / 180) * (60 * k + 30);
+        corners.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+    }
+    return { type: 'Polygon', coordinates: [ring(corners, scale)] };
+}
+
+/**
+ * Case counts binned into square grid cells or hexagons `cellMeters` across.
+ * Returns { summary, features } — one Polygon feature per non-empty cell.
+ */
+export async function buildHeatmap(match, { cellMeters = DEFAULT_CELL_METERS, shape = 'grid' } = {}) {
+    const size = clampCellMeters(cellMeters);
+    const scale = await planarScale(match);
+    if (!scale) return { summary: { shape, cellMeters: size, cases: 0, cells: 0, maxCount: 0 }, features: [] };
+
+    const cellKey = shape === 'hex' ? { i: { $arrayElemAt: ['$_cell', 0] }, j: { $arrayElemAt: ['$_cell', 1] } } : { i: '$_i', j: '$_j' };
+    const rows = await Alert.aggregate([
+        { $match: match },
+        { $project: { location: 1, status: 1, isActive: 1, priority: 1 } },
+        planarStage(scale),
+        shape === 'hex' ? hexCellStage(size) : gridCellStage(size),
+        {
+            $group: {
+                _id: cellKey,
+                count: { $sum: 1 },
+                open: { $sum: { $cond: ['$isActive', 1, 0] } },
+                high: { $sum: { $cond: [{ $in: ['$priority', ['high', 'critical']] }, 1, 0] } }
+            }
+        },
+        { $sort: { count: -1 } }
+    ]);
+
+    const features = rows.map(row => ({
+        type: 'Feature',
+        properties: { cell: `${row._id.i}:${row._id.j}`, count: row.count, open: row.open, highPriority: row.high },
+        geometry: shape === 'hex'
+            ? hexGeometry(row._id.i, row._id.j, size, scale)
+            : squareGeometry(row._id.i, row._id.j, size, scale)
+    }));
+
+    return {
+        summary: {
+            shape,
+            cellMeters: size,
+            cases: rows.reduce((sum, r) => sum + r.count, 0),
+            cells: rows.length,
+            maxCount: rows[0]?.count || 0
+        },
+        features
+    };
+}
+
+/**
+ * Grid cells holding far more cases than their area's baseline, merged into
+ * clusters of touching cells.
+ *
+ * Baseline: an area's cases spread evenly over its boundary, i.e. a cell is
+ * expected to hold area cases × cell area / area size. The excess is scored as
+ * a Poisson z-score, (observed − expected) / √expected. Cases outside every
+ * area have no baseline and are only counted in the summary.
+ */
+export async function findHotspots(match, {
+    cellMeters = DEFAULT_CELL_METERS,
+    minZ = DEFAULT_HOTSPOT_Z,
+    minCases = DEFAULT_HOTSPOT_MIN_CASES
+} = {}) {
+    const size = clampCellMeters(cellMeters);
+    const scale = await planarScale(match);
+    const empty = { summary: { cellMeters: size, minZ, minCases, cases: 0, unrouted: 0, hotCells: 0, clusters: 0 }, features: [] };
+    if (!scale) return empty;
+
+    const rows = await Alert.aggregate([
+        { $match: match },
+        { $project: { location: 1, areaId: 1 } },
+        planarStage(scale),
+        gridCellStage(size),
+        { $group: { _id: { i: '$_i', j: '$_j', areaId: '$areaId' }, count: { $sum: 1 } } }
+    ]);
+
+    const areaTotals = new Map();
+    let unrouted = 0;
+    for (const row of rows) {
+        if (!row._id.areaId) {
+            unrouted += row.count;
+            continue;
+        }
+        const key = String(row._id.areaId);
+        areaTotals.set(key, (areaTotals.get(key) || 0) + row.count);
+    }
+
+    const areas = await Area.find({ _id: { $in: [...areaTotals.keys()] } }).select('name level boundary').lean();
+    const areaById = new Map(areas.map(a => [String(a._id), { name: a.name, level: a.level || 'beat', sqMeters: geometryAreaSqMeters(a.boundary) }]));
+    const cellSqMeters = size * size;
+
+    // Score each (cell, area) pair; a cell split between areas is hot if either part is
+    const hot = new Map();
+    for (const row of rows) {
+        const area = row._id.areaId && areaById.get(String(row._id.areaId));
+        if (!area?.sqMeters || row.count < minCases) continue;
+
+        const expected = areaTotals.get(String(row._id.areaId)) * Math.min(cellSqMeters / area.sqMeters, 1);
+        const zScore = (row.count - expected) / Math.sqrt(expected);
+        if (zScore < minZ) continue;
+
+        const key = `${row._id.i}:${row._id.j}`;
+        const cell = hot.get(key) || { i: row._id.i, j: row._id.j, count: 0, expected: 0, zScore: -Infinity, areaIds: new Set() };
+        cell.count += row.count;
+        cell.expected += expected;
+        cell.zScore = Math.max(cell.zScore, zScore);
+        cell.areaIds.add(String(row._id.areaId));
+        hot.set(key, cell);
+    }
+
+    // Flood-fill touching hot cells (8 neighbours) into clusters
+    const clusters = [];
+    const seen = new Set();
+    for (const [key, start] of hot) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const cells = [];
+        const stack = [start];
+        while (stack.length) {
+            const cell = stack.pop();
+            cells.push(cell);
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    const next = `${cell.i + di}:${cell.j + dj}`;
+                    if (hot.has(next) && !seen.has(next)) {
+                        seen.add(next);
+                        stack.push(hot.get(next));
+                    }
+                }
+            }
+        }
+        clusters.push(cells);
+    }
+
+    const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+    const features = clusters.map((cells) => {
+        const count = cells.reduce((sum, c) => sum + c.count, 0);
+        const expected = cells.reduce((sum, c) => sum + c.expected, 0);
+        const areaIds = [...new Set(cells.flatMap(c => [...c.areaIds]))];
+        return {
+            type: 'Feature',
+            properties: {
+                count,
+                expected: round(expected),
+                ratio: round(count / expected),
+                maxZScore: round(Math.max(...cells.map(c => c.zScore))),
+                cells: cells.length,
+                areas: areaIds.map(id => ({ areaId: id, name: areaById.get(id)?.name || null, level: areaById.get(id)?.level || null }))
+            },
+            geometry: {
+                type: 'MultiPolygon',
+                coordinates: cells.map(c => squareGeometry(c.i, c.j, size, scale).coordinates)
+            }
+        };
+    }).sort((a, b) => b.properties.maxZScore - a.properties.maxZScore);
+
+    return {
+        summary: {
+            cellMeters: size,
+            minZ,
+            minCases,
+            cases: rows.reduce((sum, r) => sum + r.count, 0),
+            unrouted,
+            hotCells: hot.size,
+            clusters: features.length
+        },
+        features
+    };
+}
+
+/**
+ * Day-of-week × hour-of-day case counts per area, in the given time zone.
+ * matrix[day][hour] with day 0 = Sunday (same convention as roster shifts).
+ */
+export async function buildTimeMatrix(match, { timeZone = ROSTER_TIMEZONE } = {}) {
+    const rows = await Alert.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    areaId: '$areaId',
+                    day: { $subtract: [{ $dayOfWeek: { date: '$createdAt', timezone: timeZone } }, 1] },
+                    hour: { $hour: { date: '$createdAt', timezone: timeZone } }
+                },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    const emptyMatrix = () => Array.from({ length: 7 }, () => new Array(24).fill(0));
+    const byArea = new Map();
+    for (const row of rows) {
+        const key = row._id.areaId ? String(row._id.areaId) : null;
+        if (!byArea.has(key)) byArea.set(key, { areaId: row._id.areaId || null, total: 0, matrix: emptyMatrix() });
+        const entry = byArea.get(key);
+        entry.matrix[row._id.day][row._id.hour] += row.count;
+        entry.total += row.count;
+    }
+
+    const areas = await Area.find({ _id: { $in: [...byArea.keys()].filter(Boolean) } }).select('name level').lean();
+    const areaById = new Map(areas.map(a => [String(a._id), a]));
+
+    const result = [...byArea.values()].map((entry) => {
+        const area = entry.areaId && areaById.get(String(entry.areaId));
+        let peak = { day: 0, hour: 0, count: 0 };
+        entry.matrix.forEach((hours, day) => hours.forEach((count, hour) => {
+            if (count > peak.count) peak = { day, hour, count };
+        }));
+        return {
+            areaId: entry.areaId,
+            name: area?.name || 'Outside every area',
+            level: area?.level || null,
+            total: entry.total,
+            peak,
+            matrix: entry.matrix
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    return { timeZone, areas: result };
+}
@@ -0,0 +1,287 @@
+import Alert from '../models/Alert.js';
+import Partner from '../models/Partner.js';
+import Notification from '../models/Notification.js';
+import { io } from './chatWebSocket.js';
+import { resolveWorkflow, getWorkflowStatuses, isClosedStatus } from './workflowService.js';
+import { applySlaPolicy, markSlaProgress } from './slaService.js';
+import { assignWithinArea, routeCaseLocation } from './caseRoutingService.js';
+import { publishCaseEvent } from './caseEventService.js';
+
+const caseRef = id => id.toString().slice(-6).toUpperCase();
+
+const actorName = actor => actor?.name || actor?.organizationName || actor?.email || 'Officer';
+
+/**
+ * Active, approved partner of the given client — or null.
+ */
+export async function findAssignablePartner(partnerId, clientId) {
+    return Partner.findOne({
+        _id: partnerId,
+        clientId,
+        isActive: true,
+        isDeleted: { $ne: true },
+        verificationStatus: 'approved'
+    }).select('name email clientId').lean();
+}
+
+function recordMove(alert, move, actor) {
+    alert.assignmentHistory.push({
+        ...move,
+        by: actor?._id || null,
+        byRole: actor?.role || null,
+        at: new Date()
+    });
+}
+
+// Officer moves are internal; a jurisdiction change is shown to the citizen
+function pushTimeline(alert, basisType, note, actor, visibility = 'internal') {
+    alert.timeline.push({
+        status: alert.status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: actor?._id || null,
+        updatedByName: actorName(actor),
+        visibility
+    });
+}
+
+// Linked duplicate reports always travel with their parent case
+async function syncLinkedReports(alert) {
+    if (!alert.linkedReportCount) return;
+    await Alert.updateMany(
+        { parentAlertId: alert._id },
+        { $set: { assignedPartnerId: alert.assignedPartnerId, areaId: alert.areaId, clientId: alert.clientId } }
+    );
+}
+
+// Live update for the case's rooms and the ones it just left (old officer / area / tenant)
+function publishMove(alert, kind, reason, previous) {
+    return publishCaseEvent('case:assignment_updated', alert, { previous, extra: { kind, reason } });
+}
+
+async function notifyAssignees(alert, { fromPartnerId, toPartnerId, kind, reason }) {
+    const ref = caseRef(alert._id);
+    const recipients = [];
+    if (fromPartnerId && String(fromPartnerId) !== String(toPartnerId)) {
+        recipients.push({
+            id: fromPartnerId,
+            title: `Case #${ref} moved off your queue`,
+            message: `Case #${ref} is no longer assigned to you. Reason: ${reason}`
+        });
+    }
+    if (toPartnerId) {
+        recipients.push({
+            id: toPartnerId,
+            title: `Case #${ref} assigned to you`,
+            message: `"${alert.title}" has been assigned to you. Reason: ${reason}`
+        });
+    }
+    if (!recipients.length) return;
+
+    const data = {
+        alertId: alert._id,
+        kind,
+        fromPartnerId: fromPartnerId || null,
+        toPartnerId: toPartnerId || null,
+        reason
+    };
+
+    try {
+        await Notification.insertMany(recipients.map(r => ({
+            userId: r.id,
+            recipientModel: 'Partner',
+            type: 'case_assignment',
+            title: r.title,
+            message: r.message,
+            data
+        })));
+    } catch (notifErr) {
+        console.warn('[Assignment] Notification creation failed (non-critical):', notifErr.message);
+    }
+
+    if (io) {
+        recipients.forEach(r => io.to(`user:${r.id}`).emit('case:assignment_changed', data));
+    }
+}
+
+/**
+ * Hand a case to another partner of the same client.
+ */
+export async function reassignCase(alert, { toPartner, reason, actor, notify = true }) {
+    const fromPartnerId = alert.assignedPartnerId;
+
+    alert.assignedPartnerId = toPartner._id;
+    recordMove(alert, { kind: 'reassign', fromPartnerId, toPartnerId: toPartner._id, reason }, actor);
+    pushTimeline(alert, 'Case Reassigned', `Reassigned to ${toPartner.name || toPartner.email}. Reason: ${reason}`, actor);
+
+    await alert.save();
+    await syncLinkedReports(alert);
+    await publishMove(alert, 'reassign', reason, { clientId: alert.clientId, assignedPartnerId: fromPartnerId });
+    if (notify) {
+        await notifyAssignees(alert, { fromPartnerId, toPartnerId: toPartner._id, kind: 'reassign', reason });
+    }
+    return alert;
+}
+
+/**
+ * Move every open case of one partner to another (e.g. officer on leave).
+ * Sends one summary notification to each partner instead of one per case.
+ */
+export async function bulkReassignCases({ clientId, fromPartnerId, toPartner, reason, actor }) {
+    const cases = await Alert.find({
+        clientId,
+        assignedPartnerId: fromPartnerId,
+        isActive: true,
+        parentAlertId: null
+    });
+
+    for (const alert of cases) {
+        await reassignCase(alert, { toPartner, reason, actor, notify: false });
+    }
+
+    if (cases.length) {
+        const data = {
+            alertIds: cases.map(c => c._id),
+            kind: 'reassign',
+            fromPartnerId,
+            toPartnerId: toPartner._id,
+            reason
+        };
+        try {
+            await Notification.insertMany([
+                {
+                    userId: fromPartnerId,
+                    recipientModel: 'Partner',
+                    type: 'case_assignment',
+                    title: `${cases.length} case(s) moved off your queue`,
+                    message: `Your open cases were reassigned to ${toPartner.name || toPartner.email}. Reason: ${reason}`,
+                    data
+                },
+                {
+                    userId: toPartner._id,
+                    recipientModel: 'Partner',
+                    type: 'case_assignment',
+                    title: `${cases.length} case(s) assigned to you`,
+                    message: `${cases.length} open case(s) were reassigned to you. Reason: ${reason}`,
+                    data
+                }
+            ]);
+        } catch (notifErr) {
+            console.warn('[Assignment] Bulk notification failed (non-critical):', notifErr.message);
+        }
+        if (io) {
+            [fromPartnerId, toPartner._id].forEach(id => io.to(`user:${id}`).emit('case:assignment_changed', data));
+        }
+    }
+
+    return cases.length;
+}
+
+/**
+ * Move a case to another Area of the same client; the area's on-duty officer takes it over.
+ */
+export async function transferCaseToArea(alert, { area, reason, actor }) {
+    const fromPartnerId = alert.assignedPartnerId;
+    const fromAreaId = alert.areaId;
+
+    const { partnerId, routing } = await assignWithinArea(area, { point: alert.location?.coordinates?.length ? alert.location : null });
+    alert.areaId = area._id;
+    alert.assignedPartnerId = partnerId;
+    alert.routing = routing;
+    recordMove(alert, {
+        kind: 'area_transfer',
+        fromPartnerId,
+        toPartnerId: alert.assignedPartnerId,
+        fromAreaId,
+        toAreaId: area._id,
+        reason
+    }, actor);
+    pushTimeline(
+        alert,
+        'Area Transfer',
+        `Transferred to area "${area.name}"${alert.assignedPartnerId ? '' : ' (no officer assigned yet)'}. Reason: ${reason}`,
+        actor
+    );
+
+    await alert.save();
+    await syncLinkedReports(alert);
+    await publishMove(alert, 'area_transfer', reason, { clientId: alert.clientId, areaId: fromAreaId, assignedPartnerId: fromPartnerId });
+    await notifyAssignees(alert, { fromPartnerId, toPartnerId: alert.assignedPartnerId, kind: 'area_transfer', reason });
+    return alert;
+}
+
+/**
+ * Hand a case over to another client (city). The case is geo-routed inside the
+ * target client's areas, moved into its workflow and re-evaluated against its SLA policies.
+ */
+export async function transferCaseToClient(alert, { client, reason, actor }) {
+    const fromPartnerId = alert.assignedPartnerId;
+    const fromAreaId = alert.areaId;
+    const fromClientId = alert.clientId;
+
+    const point = alert.location?.coordinates?.length ? alert.location : null;
+    const { area, matchType } = point
+        ? await routeCaseLocation(client._id, point)
+        : { area: null, matchType: null };
+
+    alert.clientId = client._id;
+    alert.areaId = area?._id || null;
+    const { partnerId, routing } = await assignWithinArea(area, { point, matchType });
+    alert.assignedPartnerId = partnerId;
+    alert.routedPartnerId = partnerId;
+    alert.routing = routing;
+
+    // Keep the status if the receiving client's workflow knows it, else restart there
+    const workflow = await resolveWorkflow(client._id, alert.metadata?.type);
+    if (!getWorkflowStatuses(workflow).includes(alert.status)) {
+        alert.status = workflow.initialState;
+    }
+    alert.isActive = !isClosedStatus(workflow, alert.status);
+
+    // The receiving client's clock starts at the handover
+    const now = new Date();
+    alert.sla = undefined;
+    if (await applySlaPolicy(alert, { startAt: now })) markSlaProgress(alert, alert.status, workflow, now);
+
+    recordMove(alert, {
+        kind: 'client_transfer',
+        fromPartnerId,
+        toPartnerId: alert.assignedPartnerId,
+        fromAreaId,
+        toAreaId: alert.areaId,
+        fromClientId,
+        toClientId: client._id,
+        reason
+    }, actor);
+    pushTimeline(
+        alert,
+        'Jurisdiction Transfer',
+        `Handed over to ${client.organizationName}${area ? ` (area "${area.name}")` : ''}. Reason: ${reason}`,
+        actor,
+        'citizen'
+    );
+
+    await alert.save();
+    await syncLinkedReports(alert);
+    await publishMove(alert, 'client_transfer', reason, { clientId: fromClientId, areaId: fromAreaId, assignedPartnerId: fromPartnerId });
+    await notifyAssignees(alert, { fromPartnerId, toPartnerId: alert.assignedPartnerId, kind: 'client_transfer', reason });
+
+    try {
+        await Notification.create({
+            userId: client._id,
+            recipientModel: 'Client',
+            type: 'case_assignment',
+            title: `Case #${caseRef(alert._id)} handed over to you`,
+            message: `"${alert.title}" was transferred to your jurisdiction. Reason: ${reason}`,
+            data: { alertId: alert._id, kind: 'client_transfer', fromClientId, reason }
+        });
+    } catch (notifErr) {
+        console.warn('[Assignment] Client notification failed (non-critical):', notifErr.message);
+    }
+    if (io) {
+        io.to(`user:${client._id}`).emit('case:assignment_changed', { alertId: alert._id, kind: 'client_transfer', fromClientId, reason });
+    }
+
+    return { alert, area };
+}
@@ -0,0 +1,327 @@
+import CaseCategory from '../models/CaseCategory.js';
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  BUILT-IN CATEGORY CATALOGUE
+//  Used for clients that have not stored any categories of their own, and as
+//  the template copied by POST /api/case-categories/seed-defaults.
+// ─────────────────────────────────────────────────────────────────────────────
+
+// List of all case types to draw the cards in Mobile App
+const DEFAULT_CASE_TYPES = [
+    { id: 'robbery', name: 'Robbery', description: 'Report an armed robbery or holdup' },
+    { id: 'unidentified_emergency', name: 'Emergency / Unknown Incident', description: 'Report dead bodies, suspicious objects, etc.' },
+    { id: 'snatching', name: 'Snatching', description: 'Report a chain, bag, or mobile snatching incident' },
+    { id: 'theft', name: 'Theft', description: 'Report a home, shop, or vehicle theft' },
+    { id: 'harassment', name: 'Harassment / Suspicious Activity', description: 'Report stalking or suspicious persons' },
+    { id: 'accident', name: 'Accident', description: 'Report a road accident or hit & run' },
+    { id: 'camera_issue', name: 'Camera / Safety Issue', description: 'Report blind spots or non-working cameras' }
+];
+
+// Dynamic Form definitions for each category
+const DEFAULT_CASE_FORMS = {
+    'robbery': [
+        { name: 'incidentTitle', label: 'Incident Title', type: 'text', required: true, placeholder: 'e.g. Armed robbery at store' },
+        { name: 'robberyWeaponUsed', label: 'Weapon Used?', type: 'select', options: ['No', 'Yes'], required: true },
+        { name: 'robberyInjury', label: 'Injury Happened?', type: 'select', options: ['No', 'Yes'], required: true },
+        { name: 'robberySuspectCount', label: 'Suspect Count', type: 'number', required: false }
+    ],
+    'unidentified_emergency': [
+        { name: 'emergencyType', label: 'Emergency Type', type: 'select', options: ['Dead Body', 'Unconscious Person', 'Suspicious Object', 'Unknown Person', 'Other'], required: true }
+    ],
+    'snatching': [
+        { name: 'snatchingType', label: 'Snatching Type', type: 'select', options: ['Mobile', 'Chain', 'Bag', 'Other'], required: true },
+        { name: 'itemStolen', label: 'Item Stolen', type: 'text', required: true },
+        { name: 'estimatedValue', label: 'Estimated Value (₹)', type: 'number', required: false },
+        { name: 'numberOfAttackers', label: 'Number of Attackers', type: 'number', required: false },
+        { name: 'weaponUsed', label: 'Weapon Used?', type: 'select', options: ['No', 'Yes'], required: false },
+        { name: 'vehicleUsed', label: 'Vehicle Used by Attacker', type: 'select', options: ['Bike', 'Car', 'On foot'], required: false },
+        { name: 'injuryHappened', label: 'Injury Happened?', type: 'select', options: ['No', 'Yes'], required: false }
+    ],
+    'theft': [
+        { name: 'theftType', label: 'Theft Type', type: 'select', options: ['Vehicle', 'House', 'Shop', 'Pickpocket'], required: true },
+        { name: 'itemStolen', label: 'Item Stolen', type: 'text', required: true },
+        { name: 'estimatedValue', label: 'Estimated Value (₹)', type: 'number', required: false },
+        { name: 'cctvNearby', label: 'CCTV Nearby?', type: 'select', options: ['No', 'Yes'], required: false },
+        { name: 'suspectSeen', label: 'Suspect Seen?', type: 'select', options: ['No', 'Yes'], required: false },
+        { name: 'vehicleType', label: 'Vehicle Type (If vehicle theft)', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } },
+        { name: 'numberPlate', label: 'Number Plate', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } },
+        { name: 'vehicleColor', label: 'Color', type: 'text', required: false, condition: { field: 'theftType', value: 'Vehicle' } }
+    ],
+    'harassment': [
+        { name: 'incidentType', label: 'Incident Type', type: 'select', options: ['Harassment', 'Stalking', 'Suspicious person', 'Suspicious vehicle'], required: true },
+        { name: 'personDescription', label: 'Person Description', type: 'textarea', required: false, placeholder: 'Height, clothes, visible marks...' },
+        { name: 'vehicleDescription', label: 'Vehicle Description (If any)', type: 'textarea', required: false, placeholder: 'Type, color, number plate...' },
+        { name: 'repeatedIncident', label: 'Repeated Incident?', type: 'select', options: ['No', 'Yes'], required: false }
+    ],
+    'accident': [
+        { name: 'accidentType', label: 'Accident Type', type: 'select', options: ['Bike', 'Car', 'Hit & run'], required: true },
+        { name: 'injuries', label: 'Injuries?', type: 'select', options: ['No', 'Yes'], required: true },
+        { name: 'ambulanceRequired', label: 'Ambulance Required?', type: 'select', options: ['No', 'Yes'], required: false },
+        { name: 'vehiclesInvolved', label: 'Vehicles Involved', type: 'text', required: false, placeholder: 'e.g. 1 Car, 1 Bike' },
+        { name: 'roadBlocked', label: 'Road Blocked?', type: 'select', options: ['No', 'Yes'], required: false }
+    ],
+    'camera_issue': [
+        { name: 'issueType', label: 'Issue Type', type: 'select', options: ['Camera not working', 'No camera', 'Blind spot', 'Street light not working'], required: true },
+        { name: 'sinceWhen', label: 'Since When', type: 'text', required: false, placeholder: 'e.g. 2 days, Since yesterday' }
+    ]
+};
+
+/**
+ * Category-based basis types for partner status updates.
+ * Basis types are case-category specific to ensure operational clarity.
+ */
+const DEFAULT_CATEGORY_BASIS_TYPES = {
+    robbery: [
+        'Eyewitness Account Recorded',
+        'CCTV Footage Reviewed',
+        'FIR Lodged',
+        'Suspect Identified',
+        'Suspect Apprehended',
+        'Vehicle Traced',
+        'Forensic Evidence Collected',
+        'Victim Statement Recorded',
+        'Case Under Investigation'
+    ],
+    unidentified_emergency: [
+        'Scene Assessed by Officers',
+        'Medical Assessment Completed',
+        'Ambulance Dispatched',
+        'Forensic Team Dispatched',
+        'Identity of Person Confirmed',
+        'Object Identified as Safe',
+        'Object Identified as Threat',
+        'Area Cordoned Off',
+        'Case Referred to Specialists'
+    ],
+    snatching: [
+        'Eyewitness Account Recorded',
+        'CCTV Footage Reviewed',
+        'Victim Statement Recorded',
+        'FIR Lodged',
+        'Suspect Traced via CCTV',
+        'Suspect Apprehended',
+        'Stolen Item Recovered',
+        'Vehicle Number Traced',
+        'Case Under Investigation'
+    ],
+    theft: [
+        'Scene Inspected by Officers',
+        'CCTV Evidence Collected',
+        'Victim Statement Recorded',
+        'Forensic Evidence Collected',
+        'FIR Lodged',
+        'Suspect Identified',
+        'Suspect Apprehended',
+        'Item Partially Recovered',
+        'Item Fully Recovered',
+        'Insurance Notified'
+    ],
+    harassment: [
+        'Individual Apprehended',
+        'Scene Monitored by Officers',
+        'Victim Statement Recorded',
+        'CCTV Evidence Collected',
+        'Suspect Under Surveillance',
+        'FIR Lodged',
+        'Restraining Notice Issued',
+        'Case Transferred to Cyber Cell',
+        'Case Under Investigation'
+    ],
+    accident: [
+        'Accident Scene Secured',
+        'Medical Assistance Provided',
+        'Ambulance Dispatched',
+        'FIR Registered',
+        'Vehicles Involved Inspected',
+        'Traffic Restored',
+        'Hit & Run Investigation Started',
+        'Insurance Notified',
+        'Victim Hospitalized',
+        'Scene Cleared'
+    ],
+    camera_issue: [
+        'Technical Team Dispatched',
+        'Camera Restored and Functional',
+        'New Camera Installation Initiated',
+        'Street Light Repaired',
+        'Maintenance Request Filed',
+        'Blind Spot Logged for Review',
+        'Temporary Patrol Assigned',
+        'Issue Under Continuous Observation'
+    ]
+};
+
+// Default basis types for unknown categories
+export const DEFAULT_BASIS_TYPES = [
+    'Site Inspection Completed',
+    'Evidence Collected',
+    'Witness Statement Recorded',
+    'FIR Lodged',
+    'Case Under Investigation',
+    'Action Initiated',
+    'Case Resolved'
+];
+
+export const DEFAULT_CASE_CATEGORIES = DEFAULT_CASE_TYPES.map((type, index) => ({
+    key: type.id,
+    name: type.name,
+    description: type.description,
+    formFields: DEFAULT_CASE_FORMS[type.id] || [],
+    basisTypes: DEFAULT_CATEGORY_BASIS_TYPES[type.id] || [],
+    sortOrder: index
+}));
+
+export const FORM_FIELD_TYPES = ['text', 'textarea', 'select', 'number', 'date', 'datetime-local'];
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  LOOKUPS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Active categories for a client, in display order.
+ * Falls back to the built-in catalogue when the client has none stored.
+ */
+export async function listCategories(clientId) {
+    if (clientId) {
+        const stored = await CaseCategory.find({ clientId, isActive: true })
+            .sort({ sortOrder: 1, name: 1 })
+            .lean();
+        if (stored.length) return stored;
+
+        // Client has a catalogue but every entry is disabled → nothing to offer
+        const hasAny = await CaseCategory.exists({ clientId });
+        if (hasAny) return [];
+    }
+    return DEFAULT_CASE_CATEGORIES;
+}
+
+export async function getCategory(clientId, key) {
+    if (!key) return null;
+    const normalizedKey = String(key).toLowerCase().trim();
+    const categories = await listCategories(clientId);
+    return categories.find(c => c.key === normalizedKey) || null;
+}
+
+/**
+ * Basis types a partner may choose for a case of this category.
+ */
+export async function getBasisTypes(clientId, key) {
+    const category = await getCategory(clientId, key);
+    return category?.basisTypes?.length ? category.basisTypes : DEFAULT_BASIS_TYPES;
+}
+
+/**
+ * { [categoryKey]: basisTypes[] } for every active category of the client.
+ */
+export async function getBasisTypesByCategory(clientId) {
+    const categories = await listCategories(clientId);
+    return categories.reduce((acc, c) => {
+        acc[c.key] = c.basisTypes?.length ? c.basisTypes : DEFAULT_BASIS_TYPES;
+        return acc;
+    }, {});
+}
+
+/**
+ * Copy the built-in catalogue into a client's own categories (skips keys they already have).
+ * Returns the number of categories created.
+ */
+export async function seedDefaultCategories(clientId) {
+    const existingKeys = await CaseCategory.find({ clientId }).distinct('key');
+    const missing = DEFAULT_CASE_CATEGORIES.filter(c => !existingKeys.includes(c.key));
+    if (missing.length) {
+        await CaseCategory.insertMany(missing.map(c => ({ ...c, clientId })));
+    }
+    return missing.length;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+//  VALIDATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate form field definitions submitted by a client admin.
+ * Returns an error message, or null when the definition is usable.
+ */
+export function validateFormFieldDefinitions(fields) {
+    if (!Array.isArray(fields)) return 'formFields must be an array';
+
+    const names = new Set();
+    for (const field of fields) {
+        if (!field?.name || !field?.label) {
+            return 'Every form field needs a name and a label';
+        }
+        if (names.has(field.name)) {
+            return `Duplicate form field "${field.name}"`;
+        }
+        names.add(field.name);
+
+        if (!FORM_FIELD_TYPES.includes(field.type)) {
+            return `Field "${field.name}" has invalid type. Valid types: ${FORM_FIELD_TYPES.join(', ')}`;
+        }
+        if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            return `Select field "${field.name}" needs at least one option`;
+        }
+    }
+
+    // show-if rules may only point at fields defined earlier in the form
+    const seen = new Set();
+    for (const field of fields) {
+        if (field.condition?.field && !seen.has(field.condition.field)) {
+            return `Field "${field.name}" has a condition on unknown or later field "${field.condition.field}"`;
+        }
+        seen.add(field.name);
+    }
+
+    return null;
+}
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate submitted form data against a category's form fields.
+ *
+ * Fields hidden by their `condition` (show-if) rule are neither required nor kept.
+ * Number fields are coerced to numbers. Keys not declared by the form are dropped.
+ *
+ * @returns {{ errors: string[], values: object }}
+ */
+export function validateFormData(formFields, data = {}) {
+    const errors = [];
+    const values = {};
+
+    for (const field of formFields || []) {
+        const visible = !field.condition?.field
+            || String(values[field.condition.field] ?? '') === String(field.condition.value);
+        if (!visible) continue;
+
+        const value = data?.[field.name];
+        if (isEmptyValue(value)) {
+            if (field.required) errors.push(`${field.label} is required`);
+            continue;
+        }
+        values[field.name] = value;
+
+        if (field.type === 'number') {
+            const num = Number(value);
+            if (!Number.isFinite(num)) {
+                errors.push(`${field.label} must be a number`);
+                continue;
+            }
+            values[field.name] = num;
+        } else if (field.type === 'select') {
+            if (!(field.options || []).includes(value)) {
+                errors.push(`${field.label} must be one of: ${(field.options || []).join(', ')}`);
+            }
+        } else if (field.type === 'date' || field.type === 'datetime-local') {
+            if (Number.isNaN(new Date(value).getTime())) {
+                errors.push(`${field.label} must be a valid date`);
+            }
+        } else if (typeof value !== 'string') {
+            errors.push(`${field.label} must be text`);
+        }
+    }
+
+    return { errors, values };
+}
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Client from '../models/Client.js';
+import Notification from '../models/Notification.js';
+import { resolveWorkflow } from './workflowService.js';
+import { applySlaPolicy, markSlaProgress } from './slaService.js';
+
+const DEFAULT_DUPLICATE_RADIUS_METERS = 200;
+const DEFAULT_DUPLICATE_WINDOW_MINUTES = 30;
+
+const caseRef = id => id.toString().slice(-6).toUpperCase();
+
+async function getDuplicateSettings(clientId) {
+    const client = clientId
+        ? await Client.findById(clientId).select('settings.cases').lean()
+        : null;
+    return {
+        radiusMeters: client?.settings?.cases?.duplicateRadiusMeters ?? DEFAULT_DUPLICATE_RADIUS_METERS,
+        windowMinutes: client?.settings?.cases?.duplicateWindowMinutes ?? DEFAULT_DUPLICATE_WINDOW_MINUTES
+    };
+}
+
+/**
+ * Nearest open, same-category parent case within the client's duplicate
+ * radius/time window. Uses the Alert `location` 2dsphere index via $geoNear.
+ */
+export async function findClusterParent(alert) {
+    const category = alert.metadata?.type;
+    if (!alert.location?.coordinates?.length || !category || !alert.clientId) return null;
+
+    const { radiusMeters, windowMinutes } = await getDuplicateSettings(alert.clientId);
+    if (!radiusMeters || !windowMinutes) return null; // detection disabled for this client
+
+    const reportedAt = alert.createdAt || new Date();
+    const [parent] = await Alert.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: alert.location.coordinates },
+                key: 'location',
+                distanceField: 'distanceMeters',
+                maxDistance: radiusMeters,
+                spherical: true,
+                query: {
+                    _id: { $ne: alert._id },
+                    clientId: new mongoose.Types.ObjectId(alert.clientId.toString()),
+                    type: 'USER',
+                    isActive: true,
+                    parentAlertId: null,
+                    'metadata.type': category,
+                    createdAt: { $gte: new Date(reportedAt.getTime() - windowMinutes * 60 * 1000) }
+                }
+            }
+        },
+        { $limit: 1 },
+        { $project: { _id: 1, status: 1, assignedPartnerId: 1, areaId: 1, distanceMeters: 1 } }
+    ]);
+
+    return parent || null;
+}
+
+function clusterTimelineEntry(status, note, actor, basisType = 'Linked Report') {
+    return {
+        status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: actor?._id || null,
+        updatedByName: actor ? (actor.name || actor.email || 'Officer') : 'System',
+        visibility: 'internal'
+    };
+}
+
+/**
+ * For a new (unsaved) citizen report: link it under a matching parent case if
+ * one exists. The report inherits the parent's assignment; the parent gets a
+ * timeline entry and its linked count bumped. Returns the parent or null.
+ */
+export async function linkToExistingCluster(alert) {
+    const parent = await findClusterParent(alert);
+    if (!parent) return null;
+
+    alert.parentAlertId = parent._id;
+    alert.linkMethod = 'auto';
+    alert.assignedPartnerId = parent.assignedPartnerId || alert.assignedPartnerId;
+    alert.status = parent.status;
+
+    const note = `Related report #${caseRef(alert._id)} auto-linked (${Math.round(parent.distanceMeters)} m away)`;
+    await Alert.updateOne(
+        { _id: parent._id },
+        { $inc: { linkedReportCount: 1 }, $push: { timeline: clusterTimelineEntry(parent.status, note) } }
+    );
+
+    console.log(`[Cluster] Report ${alert._id} linked to parent ${parent._id} (${Math.round(parent.distanceMeters)} m)`);
+    return parent;
+}
+
+/**
+ * Manually link existing reports under `parent`. Reports that were parents
+ * themselves bring their own linked reports along.
+ */
+export async function mergeReports(parent, reports, actor) {
+    const reportIds = reports.map(r => r._id);
+    const previousParentIds = [...new Set(reports
+        .map(r => r.parentAlertId?.toString())
+        .filter(id => id && id !== parent._id.toString()))];
+
+    // Flatten: children of merged reports move to the new parent
+    await Alert.updateMany(
+        { parentAlertId: { $in: reportIds } },
+        { $set: { parentAlertId: parent._id, assignedPartnerId: parent.assignedPartnerId } }
+    );
+    await Alert.updateMany(
+        { _id: { $in: reportIds } },
+        {
+            $set: {
+                parentAlertId: parent._id,
+                linkMethod: 'manual',
+                linkedReportCount: 0,
+                status: parent.status,
+                isActive: parent.isActive,
+                assignedPartnerId: parent.assignedPartnerId
+            }
+        }
+    );
+
+    // Reports taken from another cluster leave that parent's count stale
+    for (const previousParentId of previousParentIds) {
+        const remaining = await Alert.countDocuments({ parentAlertId: previousParentId });
+        await Alert.updateOne({ _id: previousParentId }, { $set: { linkedReportCount: remaining } });
+    }
+
+    const linkedReportCount = await Alert.countDocuments({ parentAlertId: parent._id });
+    const note = `Merged report${reports.length > 1 ? 's' : ''} ${reports.map(r => `#${caseRef(r._id)}`).join(', ')} into this case`;
+
+    await Alert.updateOne(
+        { _id: parent._id },
+        { $set: { linkedReportCount }, $push: { timeline: clusterTimelineEntry(parent.status, note, actor) } }
+    );
+    return linkedReportCount;
+}
+
+/**
+ * Detach a linked report from its parent; it becomes an independent case again.
+ * It stays with the parent's area and officer, and its SLA clock starts now.
+ */
+export async function unmergeReport(report, actor) {
+    const parent = await Alert.findById(report.parentAlertId);
+
+    report.parentAlertId = null;
+    report.linkMethod = null;
+    if (parent) {
+        report.areaId = parent.areaId;
+        report.assignedPartnerId = parent.assignedPartnerId;
+    }
+
+    const now = new Date();
+    const workflow = await resolveWorkflow(report.clientId, report.metadata?.type);
+    report.sla = undefined;
+    if (await applySlaPolicy(report, { startAt: now })) markSlaProgress(report, report.status, workflow, now);
+
+    if (parent) {
+        report.timeline.push(clusterTimelineEntry(report.status, `Unlinked from case #${caseRef(parent._id)}`, actor, 'Report Unlinked'));
+    }
+    await report.save();
+
+    if (parent) {
+        parent.linkedReportCount = Math.max((parent.linkedReportCount || 0) - 1, 0);
+        parent.timeline.push(clusterTimelineEntry(parent.status, `Report #${caseRef(report._id)} unlinked from this case`, actor, 'Report Unlinked'));
+        await parent.save();
+    }
+}
+
+/**
+ * Mirror a parent status change onto its linked reports and notify each
+ * reporting citizen. `entry` is the timeline entry just added to the parent.
+ */
+export async function propagateStatusToLinkedReports(parent, entry) {
+    if (!parent.linkedReportCount) return 0;
+
+    const reports = await Alert.find({ parentAlertId: parent._id }).select('_id userId').lean();
+    if (!reports.length) return 0;
+
+    await Alert.updateMany(
+        { parentAlertId: parent._id },
+        {
+            $set: { status: parent.status, isActive: parent.isActive },
+            $push: { timeline: entry }
+        }
+    );
+
+    const notifications = reports
+        .filter(r => r.userId)
+        .map(r => ({
+            userId: r.userId,
+            type: 'case_update',
+            title: `Case Status: ${parent.status}`,
+            message: `Your case #${caseRef(r._id)} has been updated to "${parent.status}". Officer Note: ${(entry.note || '').substring(0, 100)}`,
+            data: {
+                alertId: r._id,
+                parentAlertId: parent._id,
+                status: parent.status,
+                basisType: entry.basisType
+            }
+        }));
+
+    if (notifications.length) {
+        try {
+            await Notification.insertMany(notifications);
+        } catch (notifErr) {
+            console.warn('[Cluster] Linked report notifications failed (non-critical):', notifErr.message);
+        }
+    }
+
+    return reports.length;
+}
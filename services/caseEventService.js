@@ -0,0 +1,122 @@
+import Area from '../models/Area.js';
+import Client from '../models/Client.js';
+import { io } from './chatWebSocket.js';
+
+/**
+ * Scoped Socket.IO rooms for case events.
+ *
+ *   tenant:<clientId>  — the client's dashboard and the admins of that client
+ *   tenants:all        — super admins
+ *   area:<areaId>      — officers who own, serve or supervise the area; an event
+ *                        also reaches every ancestor area (station, zone)
+ *   user:<partnerId>   — the assigned officer (everyone's personal room)
+ *
+ * Citizens join none of these; they hear about their own cases through
+ * notifications and their user room.
+ */
+
+export const SUPER_ADMIN_ROOM = 'tenants:all';
+export const tenantRoom = clientId => `tenant:${clientId}`;
+export const areaRoom = areaId => `area:${areaId}`;
+export const partnerRoom = partnerId => `user:${partnerId}`;
+
+// Areas a partner works: owner, supervisor or any roster entry
+async function partnerAreaIds(partnerId) {
+    return Area.find({
+        $or: [
+            { partnerId },
+            { supervisorPartnerId: partnerId },
+            { roster: { $elemMatch: { partnerId, active: { $ne: false } } } }
+        ]
+    }).distinct('_id');
+}
+
+/**
+ * Rooms a connected socket belongs to, from its verified JWT identity.
+ */
+export async function caseRoomsForSocket({ userId, userType, user }) {
+    if (userType === 'super_admin') return [SUPER_ADMIN_ROOM];
+    if (userType === 'admin') {
+        const clientIds = await Client.find({ adminId: userId }).distinct('_id');
+        return clientIds.map(tenantRoom);
+    }
+    if (userType === 'client') return [tenantRoom(userId)];
+    if (userType === 'partner') {
+        return (await partnerAreaIds(user?._id || userId)).map(areaRoom);
+    }
+    return [];
+}
+
+/**
+ * Join the socket to its case rooms now and on `case:rooms:refresh` (after a
+ * roster or area change, without reconnecting).
+ */
+export function registerCaseRoomHandlers(socket) {
+    let joined = [];
+
+    const sync = async () => {
+        const rooms = await caseRoomsForSocket(socket);
+        joined.filter(r => !rooms.includes(r)).forEach(r => socket.leave(r));
+        socket.join(rooms);
+        joined = rooms;
+        return rooms;
+    };
+
+    sync().catch(err => console.error('[CaseEvents] Room join failed:', err.message));
+
+    socket.on('case:rooms:refresh', async (data, callback) => {
+        try {
+            const rooms = await sync();
+            callback?.({ success: true, rooms });
+        } catch (error) {
+            console.error('[CaseEvents] case:rooms:refresh error:', error.message);
+            callback?.({ success: false, message: 'Failed to refresh case rooms' });
+        }
+    });
+}
+
+// Rooms that must hear about a case: its tenant, its area chain and its officer
+async function roomsForCase({ clientId, areaId, assignedPartnerId }) {
+    const rooms = [SUPER_ADMIN_ROOM];
+    if (clientId) rooms.push(tenantRoom(clientId));
+    if (assignedPartnerId) rooms.push(partnerRoom(assignedPartnerId));
+    if (areaId) {
+        const area = await Area.findById(areaId).select('ancestors').lean();
+        [areaId, ...(area?.ancestors || [])].forEach(id => rooms.push(areaRoom(id)));
+    }
+    return rooms;
+}
+
+const summary = alert => ({
+    alertId: alert._id,
+    title: alert.title,
+    category: alert.metadata?.type || null,
+    priority: alert.priority,
+    status: alert.status,
+    isActive: alert.isActive,
+    clientId: alert.clientId,
+    areaId: alert.areaId || null,
+    assignedPartnerId: alert.assignedPartnerId || null,
+    location: alert.location?.coordinates?.length ? alert.location : null,
+    slaBreached: !!alert.sla?.breached,
+    updatedAt: alert.updatedAt
+});
+
+/**
+ * Publish a case event to the rooms of the case only — never a global broadcast.
+ *
+ * `previous` ({ clientId, areaId, assignedPartnerId }) adds the rooms the case
+ * just left, so the old tenant / area / officer drop it from their view.
+ * `payload` replaces the default summary (merged with `extra`).
+ */
+export async function publishCaseEvent(event, alert, { previous = null, payload = null, extra = {} } = {}) {
+    if (!io) return;
+    try {
+        const rooms = await roomsForCase(alert);
+        if (previous) rooms.push(...await roomsForCase(previous));
+
+        io.to([...new Set(rooms.map(String))]).emit(event, { ...(payload || summary(alert)), ...extra });
+    } catch (err) {
+        console.error(`[CaseEvents] Publishing ${event} for case ${alert._id} failed:`, err.message);
+    }
+}
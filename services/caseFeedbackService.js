@@ -0,0 +1,228 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Client from '../models/Client.js';
+import Notification from '../models/Notification.js';
+import { io } from './chatWebSocket.js';
+import { resolveWorkflow, isClosedStatus, getReopenStatus } from './workflowService.js';
+import { propagateStatusToLinkedReports } from './caseClusterService.js';
+import { emitCaseEvent } from './caseService.js';
+import { applySlaPolicy, markSlaProgress } from './slaService.js';
+
+const DEFAULT_REOPEN_WINDOW_DAYS = 7;
+
+const caseRef = id => id.toString().slice(-6).toUpperCase();
+
+export async function getReopenWindowDays(clientId) {
+    const client = clientId
+        ? await Client.findById(clientId).select('settings.cases').lean()
+        : null;
+    return client?.settings?.cases?.reopenWindowDays ?? DEFAULT_REOPEN_WINDOW_DAYS;
+}
+
+/**
+ * When the case entered its current status — the first entry of the trailing
+ * run of timeline entries that carry that status.
+ */
+export function closedAtOf(alert) {
+    const timeline = alert.timeline || [];
+    let closedAt = null;
+    for (let i = timeline.length - 1; i >= 0 && timeline[i].status === alert.status; i--) {
+        closedAt = timeline[i].timestamp;
+    }
+    return closedAt ? new Date(closedAt) : new Date(alert.updatedAt || Date.now());
+}
+
+/**
+ * What the citizen can do with their case right now. Works on lean docs.
+ */
+export async function describeFeedbackOptions(alert) {
+    const workflow = await resolveWorkflow(alert.clientId, alert.metadata?.type);
+    const closed = isClosedStatus(workflow, alert.status);
+    if (!closed) {
+        return { closed: false, canConfirm: false, canRate: false, canReopen: false, reopenUntil: null };
+    }
+
+    const windowDays = await getReopenWindowDays(alert.clientId);
+    const reopenUntil = windowDays > 0
+        ? new Date(closedAtOf(alert).getTime() + windowDays * 24 * 60 * 60 * 1000)
+        : null;
+    const confirmed = Boolean(alert.feedback?.confirmedAt);
+
+    return {
+        closed: true,
+        canConfirm: !confirmed,
+        canRate: true,
+        canReopen: !confirmed && !!reopenUntil && reopenUntil.getTime() > Date.now(),
+        reopenUntil
+    };
+}
+
+function citizenTimelineEntry(status, basisType, note, user) {
+    return {
+        status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: user?._id || null,
+        updatedByName: 'Citizen'
+    };
+}
+
+async function notifyCaseTeam(alert, { title, message, data, event }) {
+    const recipients = [{ id: alert.clientId, model: 'Client' }];
+    if (alert.assignedPartnerId) recipients.push({ id: alert.assignedPartnerId, model: 'Partner' });
+
+    try {
+        await Notification.insertMany(recipients.map(r => ({
+            userId: r.id,
+            recipientModel: r.model,
+            type: 'case_update',
+            title,
+            message,
+            data
+        })));
+    } catch (notifErr) {
+        console.warn('[Feedback] Notification creation failed (non-critical):', notifErr.message);
+    }
+
+    if (io) {
+        recipients.forEach(r => io.to(`user:${r.id}`).emit(event, data));
+    }
+}
+
+/**
+ * Citizen accepts the outcome. Closes the reopen option for good.
+ */
+export async function confirmResolution(alert, user) {
+    alert.feedback.confirmedAt = new Date();
+    alert.timeline.push(citizenTimelineEntry(alert.status, 'Citizen Confirmed', 'Citizen confirmed the case outcome', user));
+    await alert.save();
+    return alert;
+}
+
+/**
+ * Rate the officer's handling (1–5). Credited to the assignee and area at rating
+ * time; re-rating overwrites the previous score.
+ */
+export async function rateCase(alert, { rating, comment }, user) {
+    const previous = alert.feedback.rating;
+
+    alert.feedback.rating = rating;
+    alert.feedback.comment = comment || '';
+    alert.feedback.ratedAt = new Date();
+    alert.feedback.ratedPartnerId = alert.assignedPartnerId || null;
+    alert.feedback.ratedAreaId = alert.areaId || null;
+    alert.timeline.push(citizenTimelineEntry(
+        alert.status,
+        'Citizen Rating',
+        `Citizen rated the handling ${rating}/5${previous ? ` (was ${previous}/5)` : ''}${comment ? `: ${comment}` : ''}`,
+        user
+    ));
+    await alert.save();
+
+    await notifyCaseTeam(alert, {
+        title: `Case #${caseRef(alert._id)} rated ${rating}/5`,
+        message: comment ? `Citizen feedback: ${comment.substring(0, 100)}` : 'The citizen rated the handling of this case.',
+        data: { alertId: alert._id, rating },
+        event: 'case:rated'
+    });
+    return alert;
+}
+
+/**
+ * Put a closed case back into its workflow (at the workflow's reopenState).
+ * `report` is the citizen's own case; when it is a linked report, the parent
+ * case is reopened and the status flows back down to every linked report.
+ */
+export async function reopenCase(report, { reason }, user) {
+    const target = report.parentAlertId
+        ? (await Alert.findById(report.parentAlertId)) || report
+        : report;
+
+    const workflow = await resolveWorkflow(target.clientId, target.metadata?.type);
+    const fromStatus = target.status;
+    const reopenStatus = getReopenStatus(workflow);
+    const note = `Case reopened by citizen${target !== report ? ` (via linked report #${caseRef(report._id)})` : ''}. Reason: ${reason}`;
+    const entry = citizenTimelineEntry(reopenStatus, 'Citizen Reopen', note, user);
+
+    report.feedback.reopenCount = (report.feedback.reopenCount || 0) + 1;
+    report.feedback.reopenRequests.push({ reason, fromStatus: report.status, at: new Date() });
+
+    // A parent may already have been reopened through another linked report
+    const reopened = isClosedStatus(workflow, target.status);
+    if (reopened) {
+        target.status = reopenStatus;
+        target.isActive = !isClosedStatus(workflow, reopenStatus);
+        target.timeline.push(entry);
+
+        // Fresh SLA clock from the reopen; targets up to the reopen state count as met
+        const now = new Date();
+        if (await applySlaPolicy(target, { startAt: now })) markSlaProgress(target, reopenStatus, workflow, now);
+    }
+    await target.save();
+    if (target !== report) await report.save();
+    if (!reopened) return target;
+
+    await propagateStatusToLinkedReports(target, entry);
+    await emitCaseEvent('case_status_updated', target);
+
+    await notifyCaseTeam(target, {
+        title: `Case #${caseRef(target._id)} reopened`,
+        message: `The citizen reopened this case (was "${fromStatus}"). Reason: ${reason.substring(0, 100)}`,
+        data: { alertId: target._id, reportId: report._id, status: target.status, previousStatus: fromStatus },
+        event: 'case:reopened'
+    });
+
+    console.log(`[Feedback] Case ${target._id} reopened by citizen ${user?._id} (${fromStatus} → ${target.status})`);
+    return target;
+}
+
+/**
+ * Average rating, count and 1–5 distribution per partner or per area.
+ */
+export async function getRatingSummary(clientFilter, groupBy = 'partner') {
+    const key = groupBy === 'area' ? '$feedback.ratedAreaId' : '$feedback.ratedPartnerId';
+    const from = groupBy === 'area' ? 'areas' : 'partners';
+
+    const match = { ...clientFilter, 'feedback.rating': { $ne: null } };
+    if (match.clientId && !match.clientId.$in) {
+        match.clientId = new mongoose.Types.ObjectId(match.clientId.toString());
+    }
+
+    return Alert.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: key,
+                averageRating: { $avg: '$feedback.rating' },
+                ratingCount: { $sum: 1 },
+                ratings: { $push: '$feedback.rating' },
+                lastRatedAt: { $max: '$feedback.ratedAt' }
+            }
+        },
+        { $lookup: { from, localField: '_id', foreignField: '_id', as: 'ref' } },
+        {
+            $project: {
+                _id: 0,
+                id: '$_id',
+                name: { $ifNull: [{ $arrayElemAt: ['$ref.name', 0] }, 'Unassigned'] },
+                averageRating: { $round: ['$averageRating', 2] },
+                ratingCount: 1,
+                lastRatedAt: 1,
+                distribution: {
+                    $arrayToObject: {
+                        $map: {
+                            input: [1, 2, 3, 4, 5],
+                            as: 'star',
+                            in: {
+                                k: { $toString: '$$star' },
+                                v: { $size: { $filter: { input: '$ratings', cond: { $eq: ['$$this', '$$star'] } } } }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        { $sort: { averageRating: -1, ratingCount: -1 } }
+    ]);
+}
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { putObjectBuffer, getobject } from '../utils/s3.js';
+import { sniffMediaType, extractExif, createImageThumbnail } from '../utils/media.js';
+
+// Allowed types per kind, checked against the sniffed type — never the file name
+export const MEDIA_RULES = {
+    image: {
+        types: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+        maxSize: 10 * 1024 * 1024
+    },
+    video: {
+        types: ['video/mp4', 'video/quicktime', 'video/webm', 'video/3gpp'],
+        maxSize: 50 * 1024 * 1024
+    },
+    audio: {
+        types: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/wav', 'audio/ogg', 'audio/amr', 'audio/webm'],
+        maxSize: 20 * 1024 * 1024
+    }
+};
+
+export const MAX_MEDIA_FILE_SIZE = Math.max(...Object.values(MEDIA_RULES).map(r => r.maxSize));
+
+// Signed read URLs are short-lived; clients re-fetch the list when they expire
+export const MEDIA_URL_TTL_SECONDS = 300;
+
+// EXIF further than this from the report (or taken this long before it) is flagged
+const CORROBORATION_MAX_DISTANCE_METERS = 1000;
+const CORROBORATION_MAX_AGE_MINUTES = 24 * 60;
+
+const distanceMeters = (a, b) => {
+    const rad = d => d * Math.PI / 180;
+    const dLat = rad(b.lat - a.lat);
+    const dLng = rad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Sniff + allow-list a multer file. Returns { error } or { mime, ext, kind }.
+ */
+export function inspectMediaFile(file) {
+    const sniffed = sniffMediaType(file.buffer);
+    if (!sniffed) {
+        return { error: 'Unrecognised file content' };
+    }
+
+    // WebM carries audio-only recordings too; trust the declared kind for that container only
+    if (sniffed.mime === 'video/webm' && file.mimetype?.startsWith('audio/')) {
+        sniffed.mime = 'audio/webm';
+    }
+
+    const kind = Object.keys(MEDIA_RULES).find(k => MEDIA_RULES[k].types.includes(sniffed.mime));
+    if (!kind) {
+        return { error: `File type ${sniffed.mime} is not allowed` };
+    }
+    if (file.size > MEDIA_RULES[kind].maxSize) {
+        return { error: `${kind} files cannot exceed ${MEDIA_RULES[kind].maxSize / (1024 * 1024)}MB` };
+    }
+    return { ...sniffed, kind };
+}
+
+/**
+ * Compare EXIF capture place/time with the report.
+ */
+function corroborate(alert, exif) {
+    const result = { distanceMeters: null, minutesBeforeReport: null, consistent: null };
+    const [lng, lat] = alert.location?.coordinates || [];
+
+    if (exif.gps && lat !== undefined && lng !== undefined) {
+        result.distanceMeters = Math.round(distanceMeters(exif.gps, { lat, lng }));
+    }
+    if (exif.capturedAt) {
+        result.minutesBeforeReport = Math.round(((alert.createdAt || new Date()).getTime() - exif.capturedAt.getTime()) / 60000);
+    }
+
+    const checks = [];
+    if (result.distanceMeters !== null) checks.push(result.distanceMeters <= CORROBORATION_MAX_DISTANCE_METERS);
+    if (result.minutesBeforeReport !== null) checks.push(Math.abs(result.minutesBeforeReport) <= CORROBORATION_MAX_AGE_MINUTES);
+    if (checks.length) result.consistent = checks.every(Boolean);
+
+    return result;
+}
+
+/**
+ * Delete the temp files multer's disk storage wrote for a request.
+ */
+export async function discardUploadedFiles(files) {
+    await Promise.all((files || []).filter(f => f.path).map(f => fs.unlink(f.path).catch(() => {})));
+}
+
+/**
+ * Validate, fingerprint and store uploaded files on a case (alert.media).
+ * Files come from disk storage and are read one at a time, so a request never
+ * holds more than one file in memory. Every file ends up in either `uploaded`
+ * or `rejected` with a reason. The caller saves the alert and discards the temp files.
+ */
+export async function storeCaseMedia(alert, files, actor) {
+    const uploaded = [];
+    const rejected = [];
+    const knownHashes = new Set((alert.media || []).map(m => m.hash));
+
+    for (const diskFile of files || []) {
+        const file = { ...diskFile, buffer: diskFile.buffer || await fs.readFile(diskFile.path) };
+        const inspected = inspectMediaFile(file);
+        if (inspected.error) {
+            rejected.push({ fileName: file.originalname, reason: inspected.error });
+            continue;
+        }
+
+        const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        if (knownHashes.has(hash)) {
+            rejected.push({ fileName: file.originalname, reason: 'This file is already attached to the case' });
+            continue;
+        }
+
+        const baseKey = `cases/${alert._id}/media/${Date.now()}_${hash.slice(0, 16)}`;
+        try {
+            const key = await putObjectBuffer(`${baseKey}.${inspected.ext}`, file.buffer, inspected.mime);
+
+            const exif = inspected.mime === 'image/jpeg' ? extractExif(file.buffer) : { capturedAt: null, gps: null };
+
+            // A missing thumbnail never fails the upload
+            let thumbnailKey = null;
+            if (inspected.kind === 'image') {
+                try {
+                    const thumbnail = await createImageThumbnail(file.buffer, inspected.ext);
+                    thumbnailKey = await putObjectBuffer(`${baseKey}_thumb.jpg`, thumbnail, 'image/jpeg');
+                } catch (thumbErr) {
+                    console.warn(`[Media] Thumbnail skipped for ${file.originalname}:`, thumbErr.message);
+                }
+            }
+
+            const record = {
+                key,
+                thumbnailKey,
+                kind: inspected.kind,
+                contentType: inspected.mime,
+                size: file.size,
+                hash,
+                originalName: file.originalname,
+                capturedAt: exif.capturedAt,
+                gps: exif.gps || undefined,
+                corroboration: corroborate(alert, exif),
+                uploadedBy: actor?._id || null,
+                uploadedAt: new Date()
+            };
+            alert.media.push(record);
+            knownHashes.add(hash);
+            uploaded.push(alert.media[alert.media.length - 1]);
+        } catch (uploadError) {
+            console.error(`[Media] Upload failed for ${file.originalname}:`, uploadError.message);
+            rejected.push({ fileName: file.originalname, reason: 'Storage upload failed, please retry' });
+        }
+    }
+
+    return { uploaded, rejected };
+}
+
+/**
+ * Media records with short-lived signed URLs (original + thumbnail).
+ */
+export async function signCaseMedia(records, expiresIn = MEDIA_URL_TTL_SECONDS) {
+    const sign = async (key) => {
+        if (!key) return null;
+        try {
+            return await getobject(key, expiresIn);
+        } catch (err) {
+            console.warn(`[Media] Could not sign ${key}:`, err.message);
+            return null;
+        }
+    };
+
+    return Promise.all((records || []).map(async (m) => {
+        const { key, thumbnailKey, ...rest } = m.toObject ? m.toObject() : m;
+        return {
+            ...rest,
+            url: await sign(key),
+            thumbnailUrl: await sign(thumbnailKey),
+            expiresIn
+        };
+    }));
+}
@@ -0,0 +1,244 @@
+import mongoose from 'mongoose';
+import Area from '../models/Area.js';
+import Alert from '../models/Alert.js';
+import Client from '../models/Client.js';
+import Partner from '../models/Partner.js';
+import { onDutyRoster } from './rosterService.js';
+import { findNearestOnDutyPartners } from './partnerLocationService.js';
+import { haversineMeters } from '../utils/geometry.js';
+
+// Points outside every polygon go to the nearest area within this distance
+export const NEAREST_AREA_MAX_METERS = 50000;
+
+// nearest_on_duty also considers officers rostered in areas this close to the case
+const NEARBY_OFFICER_RADIUS_METERS = 10000;
+
+export const DEFAULT_ROUTING_STRATEGY = 'on_duty';
+
+/**
+ * Resolve the Area for a GeoJSON point inside one client's jurisdiction:
+ * the deepest polygon containing the point (a beat before its station or zone),
+ * else the nearest area within 50km.
+ *
+ * Returns { area, matchType: 'exact' | 'nearest' | null }.
+ */
+export async function routeCaseLocation(clientId, point) {
+    const clientFilter = clientId ? { clientId } : {};
+
+    const exact = await Area.findOne({
+        ...clientFilter,
+        boundary: { $geoIntersects: { $geometry: point } }
+    }).sort({ depth: -1 }).lean();
+    if (exact) return { area: exact, matchType: 'exact' };
+
+    const nearest = await Area.findOne({
+        ...clientFilter,
+        boundary: { $near: { $geometry: point, $maxDistance: NEAREST_AREA_MAX_METERS } }
+    }).lean();
+    if (nearest) return { area: nearest, matchType: 'nearest' };
+
+    return { area: null, matchType: null };
+}
+
+// ── Strategies ──────────────────────────────────────────────────────────────
+// Each gets (area, { point, now }) and returns { partnerId, reason, candidates }
+// or null when it has nobody to offer (the area owner is used instead).
+
+// On-duty primaries/backups who can take cases; supervisors only when nobody else is on
+async function eligibleOnDuty(area, now) {
+    const onDuty = onDutyRoster(area, now);
+    const workers = onDuty.filter(e => e.role !== 'supervisor');
+    const ids = [...new Set((workers.length ? workers : onDuty).map(e => String(e.partnerId?._id || e.partnerId)))];
+    if (!ids.length) return [];
+
+    const active = await Partner.find({
+        _id: { $in: ids },
+        isActive: true,
+        isDeleted: { $ne: true },
+        verificationStatus: 'approved'
+    }).select('_id').lean();
+    const activeIds = new Set(active.map(p => String(p._id)));
+    return ids.filter(id => activeIds.has(id));
+}
+
+async function openCaseCounts(partnerIds) {
+    const rows = await Alert.aggregate([
+        { $match: { assignedPartnerId: { $in: partnerIds.map(id => new mongoose.Types.ObjectId(String(id))) }, isActive: true, parentAlertId: null } },
+        { $group: { _id: '$assignedPartnerId', open: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(r => [String(r._id), r.open]));
+}
+
+const STRATEGIES = {
+    area_owner: async (area) => area.partnerId
+        ? { partnerId: area.partnerId, reason: `Area owner of "${area.name}"`, candidates: [] }
+        : null,
+
+    // First eligible on-duty officer — primaries before backups (roster order)
+    on_duty: async (area, { now }) => {
+        const ids = await eligibleOnDuty(area, now);
+        if (!ids.length) return null;
+        return {
+            partnerId: ids[0],
+            reason: `On-duty officer of "${area.name}"`,
+            candidates: ids.map(id => ({ partnerId: id }))
+        };
+    },
+
+    least_loaded: async (area, { now }) => {
+        const ids = await eligibleOnDuty(area, now);
+        if (!ids.length) return null;
+
+        const counts = await openCaseCounts(ids);
+        const candidates = ids.map(id => ({ partnerId: id, openCases: counts.get(id) || 0 }));
+        const best = candidates.reduce((min, c) => (c.openCases < min.openCases ? c : min));
+        return {
+            partnerId: best.partnerId,
+            reason: `Fewest open cases (${best.openCases}) among ${ids.length} on-duty officer(s) of "${area.name}"`,
+            candidates
+        };
+    },
+
+    nearest_on_duty: async (area, { point, now }) => {
+        if (!point) return null;
+
+        const nearby = await Area.find({
+            clientId: area.clientId,
+            boundary: { $near: { $geometry: point, $maxDistance: NEARBY_OFFICER_RADIUS_METERS } }
+        }).select('name partnerId roster clientId').limit(10).lean();
+        if (!nearby.some(a => String(a._id) === String(area._id))) nearby.unshift(area);
+
+        const ids = [...new Set((await Promise.all(nearby.map(a => eligibleOnDuty(a, now)))).flat())];
+        if (!ids.length) return null;
+
+        // Live positions first ($geoNear); the static profile location only when nobody is sharing one
+        const live = await findNearestOnDutyPartners(area.clientId, point, {
+            partnerIds: ids,
+            limit: ids.length,
+            maxDistanceMeters: NEAREST_AREA_MAX_METERS,
+            now
+        });
+        if (live.length) {
+            return {
+                partnerId: live[0].partnerId,
+                reason: `Nearest on-duty officer (${live[0].distanceMeters} m from the case by live location)`,
+                candidates: live.map(p => ({ partnerId: p.partnerId, distanceMeters: p.distanceMeters }))
+            };
+        }
+
+        const partners = await Partner.find({ _id: { $in: ids } }).select('location.coordinates').lean();
+        const candidates = partners
+            .filter(p => p.location?.coordinates?.latitude != null && p.location?.coordinates?.longitude != null)
+            .map(p => ({
+                partnerId: p._id,
+                distanceMeters: Math.round(haversineMeters(
+                    point.coordinates,
+                    [p.location.coordinates.longitude, p.location.coordinates.latitude]
+                ))
+            }))
+            .sort((a, b) => a.distanceMeters - b.distanceMeters);
+        if (!candidates.length) return null;
+
+        return {
+            partnerId: candidates[0].partnerId,
+            reason: `Nearest on-duty officer (${candidates[0].distanceMeters} m from the case by profile location)`,
+            candidates
+        };
+    },
+
+    round_robin: async (area, { now }) => {
+        const ids = (await eligibleOnDuty(area, now)).sort();
+        if (!ids.length) return null;
+
+        const { routingCursor } = await Area.findByIdAndUpdate(
+            area._id,
+            { $inc: { routingCursor: 1 } },
+            { new: true }
+        ).select('routingCursor').lean();
+        const partnerId = ids[(routingCursor - 1) % ids.length];
+        return {
+            partnerId,
+            reason: `Round-robin turn ${routingCursor} among ${ids.length} on-duty officer(s) of "${area.name}"`,
+            candidates: ids.map(id => ({ partnerId: id }))
+        };
+    }
+};
+
+export const ROUTING_STRATEGIES = Object.keys(STRATEGIES);
+
+export async function getRoutingStrategy(clientId) {
+    const client = clientId
+        ? await Client.findById(clientId).select('settings.cases').lean()
+        : null;
+    const strategy = client?.settings?.cases?.routingStrategy;
+    return STRATEGIES[strategy] ? strategy : DEFAULT_ROUTING_STRATEGY;
+}
+
+/**
+ * Pick the officer for a case inside an already-known area using the client's
+ * strategy, falling back to the area owner. Returns { partnerId, routing } —
+ * `routing` is stored on the Alert as the audit record.
+ */
+export async function assignWithinArea(area, { point = null, matchType = null, now = new Date() } = {}) {
+    const strategy = await getRoutingStrategy(area?.clientId);
+    const routing = { strategy, matchType, areaId: area?._id || null, partnerId: null, reason: '', candidates: [], decidedAt: now };
+
+    if (!area) {
+        routing.reason = 'No area covers this location';
+        return { partnerId: null, routing };
+    }
+
+    let decision = null;
+    try {
+        decision = await STRATEGIES[strategy](area, { point, now });
+    } catch (err) {
+        console.error(`[Routing] Strategy ${strategy} failed for area ${area._id}:`, err.message);
+    }
+
+    if (decision) {
+        Object.assign(routing, decision);
+    } else if (area.partnerId) {
+        routing.partnerId = area.partnerId;
+        routing.reason = strategy === 'area_owner'
+            ? `Area owner of "${area.name}"`
+            : `No eligible on-duty officer for ${strategy}; fell back to area owner of "${area.name}"`;
+    } else {
+        routing.reason = `Area "${area.name}" has no officer on duty or assigned`;
+    }
+    if (matchType === 'nearest') routing.reason = `Outside every area, nearest is "${area.name}". ${routing.reason}`;
+
+    return { partnerId: routing.partnerId, routing };
+}
+
+/**
+ * Officers a new case in `area` can go to right now under the client's strategy,
+ * without taking a round-robin turn: the single pick for area_owner and on_duty,
+ * otherwise the eligible on-duty pool the strategy chooses from. Falls back to
+ * the area owner like assignWithinArea does.
+ */
+export async function routablePartnerIds(area, now = new Date()) {
+    const owner = area?.partnerId ? [String(area.partnerId?._id || area.partnerId)] : [];
+    const strategy = await getRoutingStrategy(area?.clientId);
+    if (strategy === 'area_owner') return owner;
+
+    const ids = await eligibleOnDuty(area, now);
+    if (!ids.length) return owner;
+    return strategy === 'on_duty' ? ids.slice(0, 1) : ids;
+}
+
+/**
+ * Full routing for a new case at `point`: area lookup, then officer selection.
+ * Returns { area, matchType, clientId, partnerId, routing }.
+ */
+export async function routeCase(clientId, point, { now = new Date() } = {}) {
+    const { area, matchType } = await routeCaseLocation(clientId, point);
+    const { partnerId, routing } = await assignWithinArea(area, { point, matchType, now });
+
+    return {
+        area,
+        matchType,
+        clientId: area?.clientId || clientId,
+        partnerId,
+        routing
+    };
+}
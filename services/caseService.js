@@ -0,0 +1,278 @@
+import Alert from '../models/Alert.js';
+import Notification from '../models/Notification.js';
+import { io } from './chatWebSocket.js';
+import {
+    resolveWorkflow,
+    getAllowedNextStatuses,
+    getWorkflowStatuses,
+    isClosedStatus
+} from './workflowService.js';
+import { applySlaPolicy, markSlaProgress } from './slaService.js';
+import { linkToExistingCluster, propagateStatusToLinkedReports } from './caseClusterService.js';
+import { routeCase } from './caseRoutingService.js';
+import { attachCameraIssue } from './cameraService.js';
+import { publishCaseEvent } from './caseEventService.js';
+
+const caseRef = id => id.toString().slice(-6).toUpperCase();
+
+const actorName = actor => actor?.name || actor?.organizationName || actor?.email || 'Officer';
+
+// ── Legacy statuses ─────────────────────────────────────────────────────────
+// The retired Case model (pending → assigned → attended) lives on as a view of
+// the workflow status, for /api/cases map clients and the Case → Alert migration.
+
+export const LEGACY_CASE_STATUSES = ['pending', 'assigned', 'in-progress', 'attended', 'resolved', 'closed'];
+
+// Default-workflow state each legacy status maps to; initial = the workflow's initialState
+const LEGACY_STATE_NAMES = {
+    pending: null,
+    assigned: null,
+    'in-progress': 'Under Review',
+    attended: 'Action Taken',
+    resolved: 'Resolved',
+    closed: 'Resolved'
+};
+
+/**
+ * Workflow state for a legacy status. States the client's workflow lacks fall
+ * back to its first non-rejection closed state (resolved / closed) or initialState.
+ */
+export function workflowStatusForLegacy(workflow, legacyStatus) {
+    const name = LEGACY_STATE_NAMES[legacyStatus];
+    if (name && getWorkflowStatuses(workflow).includes(name)) return name;
+    if (legacyStatus === 'resolved' || legacyStatus === 'closed') {
+        const closed = (workflow.states || []).find(s => s.isClosed && !s.rejected);
+        if (closed) return closed.name;
+    }
+    return workflow.initialState;
+}
+
+/**
+ * Legacy status of a case, derived from its workflow position. Works on lean docs.
+ */
+export function legacyStatusOf(alert) {
+    if (!alert.isActive) return 'resolved';
+    const timeline = alert.timeline || [];
+    // Still in the status it was reported with
+    if (!timeline.length || timeline.every(e => e.status === timeline[0].status)) {
+        return alert.assignedPartnerId ? 'assigned' : 'pending';
+    }
+    return alert.status === 'Action Taken' ? 'attended' : 'in-progress';
+}
+
+/**
+ * Case as a GeoJSON Feature for the map endpoints and real-time emits.
+ * Carries no reporter identity. Works on lean docs with or without populate.
+ */
+export function caseToFeature(alert) {
+    const legacyStatus = legacyStatusOf(alert);
+    const attended = legacyStatus === 'attended' || legacyStatus === 'resolved';
+    // Citizen-visible note of the current status; internal notes stay off the map
+    const entry = attended
+        ? [...(alert.timeline || [])].reverse().find(e => e.status === alert.status && (e.visibility || 'citizen') === 'citizen')
+        : null;
+    const partner = alert.assignedPartnerId;
+
+    return {
+        type: 'Feature',
+        properties: {
+            id: alert._id,
+            title: alert.title,
+            description: alert.message || '',
+            category: alert.metadata?.type || null,
+            priority: alert.priority,
+            status: alert.status,
+            legacyStatus,
+            isActive: alert.isActive,
+            assignedAreaId: alert.areaId?._id || alert.areaId || null,
+            clientId: alert.clientId,
+            partnerId: partner?._id || partner || null,
+            partnerName: partner?.name || null,
+            partnerEmail: partner?.email || null,
+            attendedNote: entry?.note || '',
+            attendedAt: entry?.timestamp || null,
+            createdAt: alert.createdAt
+        },
+        geometry: alert.location
+    };
+}
+
+/**
+ * Send a case change (`new_case`, `case_status_updated`) as a map feature to the
+ * case's tenant, area and officer rooms.
+ */
+export async function emitCaseEvent(event, alert) {
+    if (!alert.location?.coordinates?.length) return;
+    await publishCaseEvent(event, alert, { payload: caseToFeature(alert) });
+}
+
+// Tell the officer the router picked that a new case is waiting
+async function notifyRoutedOfficer(alert) {
+    if (!alert.assignedPartnerId) return;
+    const data = {
+        alertId: alert._id,
+        kind: 'routed',
+        fromPartnerId: null,
+        toPartnerId: alert.assignedPartnerId,
+        reason: alert.routing?.reason || ''
+    };
+
+    try {
+        await Notification.create({
+            userId: alert.assignedPartnerId,
+            recipientModel: 'Partner',
+            type: 'case_assignment',
+            title: `New case #${caseRef(alert._id)} assigned to you`,
+            message: `"${alert.title}" was routed to you.${data.reason ? ` Reason: ${data.reason}` : ''}`,
+            data
+        });
+    } catch (notifErr) {
+        console.warn('[Cases] Notification creation failed (non-critical):', notifErr.message);
+    }
+    if (io) io.to(`user:${alert.assignedPartnerId}`).emit('case:assignment_changed', data);
+}
+
+// ── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Open a citizen case: geo-routing (area + officer by the client's strategy),
+ * workflow initial state, duplicate clustering, SLA targets, camera-issue link,
+ * then the routed officer is notified and the map dashboards get `new_case`.
+ *
+ * Without a point the case stays with `clientId` and unassigned.
+ * Returns { alert, route, clusterParent, camera } or { status, error }.
+ */
+export async function openCase({
+    reporterId,
+    clientId = null,
+    point = null,
+    title,
+    message,
+    priority = 'high',
+    category = null,
+    metadata = {},
+    reporting
+}) {
+    let route = { area: null, matchType: null, clientId, partnerId: null, routing: undefined };
+    if (point) {
+        route = await routeCase(clientId, point);
+        console.log(`[GeoRouting] GPS: [${point.coordinates.join(', ')}] | ${route.routing.strategy} → ${route.partnerId || 'UNASSIGNED'} | ${route.routing.reason}`);
+    }
+    if (!route.clientId) {
+        return { status: 422, error: 'No client jurisdiction covers this location' };
+    }
+
+    const workflow = await resolveWorkflow(route.clientId, category);
+    const alert = new Alert({
+        title,
+        message,
+        priority,
+        type: 'USER',
+        status: workflow.initialState,
+        clientId: route.clientId,
+        userId: reporterId,
+        createdBy: reporterId,
+        metadata,
+        reporting,
+        ...(point && { location: point, routing: route.routing }),
+        ...(route.area && { areaId: route.area._id }),
+        ...(route.partnerId && { assignedPartnerId: route.partnerId, routedPartnerId: route.partnerId })
+    });
+
+    // Same incident already reported nearby? Link under that case instead of opening a new one
+    const clusterParent = await linkToExistingCluster(alert);
+    if (!clusterParent) await applySlaPolicy(alert);
+    const camera = await attachCameraIssue(alert);
+    await alert.save();
+
+    if (!clusterParent) {
+        await notifyRoutedOfficer(alert);
+        await emitCaseEvent('new_case', alert);
+    }
+    return { alert, route, clusterParent, camera };
+}
+
+/**
+ * Move a parent case along its workflow: transition check for the actor's role,
+ * timeline entry, SLA progress, open/closed flag, citizen notification, linked
+ * reports follow, and the map dashboards get `case_status_updated`.
+ *
+ * `actor` null skips the role check (system callers). Saves the case.
+ * Returns { alert, workflow, previousStatus, entry } or { status, error, ... }.
+ */
+export async function changeCaseStatus(alert, { status, basisType = null, note = '', actor = null, visibility = 'citizen' }) {
+    if (alert.parentAlertId) {
+        return {
+            status: 422,
+            error: 'This report is linked to another case. Update the parent case instead.',
+            parentAlertId: alert.parentAlertId
+        };
+    }
+
+    const workflow = await resolveWorkflow(alert.clientId, alert.metadata?.type);
+    const workflowStatuses = getWorkflowStatuses(workflow);
+    if (!workflowStatuses.includes(status)) {
+        return { status: 400, error: `Invalid status. Valid statuses are: ${workflowStatuses.join(', ')}` };
+    }
+
+    const allowedNext = getAllowedNextStatuses(workflow, alert.status, actor?.role || null);
+    if (!allowedNext.includes(status)) {
+        return {
+            status: 422,
+            error: `Cannot transition from "${alert.status}" to "${status}". Allowed next statuses: ${allowedNext.length ? allowedNext.join(', ') : 'None (terminal status)'}`,
+            currentStatus: alert.status,
+            allowedNext
+        };
+    }
+
+    const previousStatus = alert.status;
+    alert.status = status;
+
+    // The officer who takes an unassigned case (first update) becomes its assignee
+    if (!alert.assignedPartnerId && actor?.role === 'partner') {
+        alert.assignedPartnerId = actor._id;
+    }
+
+    const entry = {
+        status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: actor?._id || null,
+        updatedByName: actorName(actor),
+        updatedByRole: actor?.role || null,
+        visibility
+    };
+    alert.timeline.push(entry);
+
+    markSlaProgress(alert, status, workflow);
+
+    // Closed states mark the case inactive; moving out of one (e.g. "Reopened") reactivates it
+    alert.isActive = !isClosedStatus(workflow, status);
+    await alert.save();
+
+    if (alert.userId) {
+        try {
+            await Notification.create({
+                userId: alert.userId,
+                type: 'case_update',
+                title: `Case Status: ${status}`,
+                message: `Your case #${caseRef(alert._id)} has been updated to "${status}". Officer Note: ${note.substring(0, 100)}`,
+                data: {
+                    alertId: alert._id,
+                    status,
+                    basisType,
+                    previousStatus
+                }
+            });
+        } catch (notifErr) {
+            console.warn('[Cases] Notification creation failed (non-critical):', notifErr.message);
+        }
+    }
+
+    // Linked duplicate reports follow the parent; their citizens are notified too
+    await propagateStatusToLinkedReports(alert, entry);
+    await emitCaseEvent('case_status_updated', alert);
+
+    return { alert, workflow, previousStatus, entry };
+}
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { putObjectBuffer, getobject } from '../utils/s3.js';
+import { sniffMediaType } from '../utils/media.js';
+
+export const TIMELINE_VISIBILITY = ['citizen', 'internal', 'client'];
+
+// Which entry visibilities each role may read
+const VISIBLE_TO = {
+    user: ['citizen'],
+    partner: ['citizen', 'internal'],
+    client: ['citizen', 'internal', 'client'],
+    admin: ['citizen', 'internal', 'client'],
+    super_admin: ['citizen', 'internal', 'client']
+};
+
+// Evidence types officers may attach — checked against the sniffed type, never the declared mimetype
+export const EVIDENCE_CONTENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'application/pdf',
+    'video/mp4',
+    'video/quicktime',
+    'video/webm'
+];
+
+export const MAX_EVIDENCE_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+
+/**
+ * Visibilities a role may set on a new entry — partners cannot write client-only notes.
+ */
+export function writableVisibilities(role) {
+    return role === 'partner' ? ['citizen', 'internal'] : TIMELINE_VISIBILITY;
+}
+
+/**
+ * Timeline entries the role may see. Entries saved before visibility existed count as citizen-visible.
+ */
+export function filterTimeline(timeline, role) {
+    const allowed = VISIBLE_TO[role] || VISIBLE_TO.user;
+    return (timeline || []).filter(e => allowed.includes(e.visibility || 'citizen'));
+}
+
+/**
+ * Replace attachment keys with short-lived signed read URLs. Works on lean entries.
+ */
+export async function signTimelineAttachments(entries, expiresIn = 3600) {
+    return Promise.all((entries || []).map(async (entry) => {
+        if (!entry.attachments?.length) return entry;
+
+        const attachments = await Promise.all(entry.attachments.map(async (a) => {
+            let url = null;
+            try {
+                url = await getobject(a.key, expiresIn);
+            } catch (err) {
+                console.warn(`[Timeline] Could not sign attachment ${a.key}:`, err.message);
+            }
+            return { ...a, url };
+        }));
+        return { ...entry, attachments };
+    }));
+}
+
+/**
+ * Filter for the role, then sign attachment URLs.
+ */
+export async function timelineForRole(timeline, role) {
+    return signTimelineAttachments(filterTimeline(timeline, role));
+}
+
+/**
+ * Reject files whose content is outside the evidence allow-list. Returns an error message or null.
+ */
+export function validateEvidenceFiles(files) {
+    for (const file of files || []) {
+        const sniffed = sniffMediaType(file.buffer);
+        if (!sniffed || !EVIDENCE_CONTENT_TYPES.includes(sniffed.mime)) {
+            return `"${file.originalname}" is not an allowed evidence type. Allowed: ${EVIDENCE_CONTENT_TYPES.join(', ')}`;
+        }
+        if (file.size > MAX_EVIDENCE_FILE_SIZE) {
+            return `"${file.originalname}" exceeds the ${MAX_EVIDENCE_FILE_SIZE / (1024 * 1024)}MB limit`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Upload evidence files for a case; returns attachment records for a timeline entry.
+ */
+export async function uploadEvidence(alert, files, actor) {
+    const attachments = [];
+    for (const file of files || []) {
+        // Stored under the sniffed type and extension (files passed validateEvidenceFiles)
+        const { mime, ext } = sniffMediaType(file.buffer);
+        const key = await putObjectBuffer(
+            `cases/${alert._id}/evidence/${Date.now()}_${crypto.randomBytes(8).toString('hex')}.${ext}`,
+            file.buffer,
+            mime
+        );
+        attachments.push({
+            key,
+            fileName: file.originalname,
+            contentType: mime,
+            size: file.size,
+            uploadedBy: actor?._id || null,
+            uploadedByRole: actor?.role || null,
+            uploadedAt: new Date()
+        });
+    }
+    return attachments;
+}
@@ -6,12 +6,38 @@ import Partner from '../models/Partner.js';
 import User from '../models/User.js';
 import Client from '../models/Client.js';
 import Admin from '../models/Admin.js';
+import { registerSosSocketHandlers } from './sosService.js';
+import { registerCaseRoomHandlers } from './caseEventService.js';
+import { registerPartnerLocationHandlers } from './partnerLocationService.js';
+import {
+  initPresence,
+  markOnline,
+  markOffline,
+  isOnline,
+  getActiveConnections as getClusterConnections
+} from './presenceService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET;
 
-const activeConnections = new Map();
+// Sockets of this instance only; cluster-wide presence is in presenceService.js
 const socketMetadata = new Map();
 
+const setPartnerStatus = async (partnerId, status) => {
+  const { matchedCount } = await Partner.updateOne(
+    { _id: partnerId },
+    status === 'online'
+      ? { onlineStatus: 'online', lastOnlineAt: new Date() }
+      : { onlineStatus: 'offline', lastActiveAt: new Date() }
+  );
+  if (matchedCount) {
+    io.emit('partner:status:changed', {
+      partnerId,
+      status,
+      timestamp: new Date()
+    });
+  }
+};
+
 export let io;
 
 export const setupChatWebSocket = (server) => {
@@ -35,6 +61,25 @@ export const setupChatWebSocket = (server) => {
 
   console.log('✅ [ChatWebSocket] Socket.IO server created\n');
 
+  // Redis adapter + shared presence; users whose instance died go offline on TTL expiry.
+  // An instance that cannot join the cluster must not serve sockets on its own.
+  const presenceReady = initPresence(io, { onExpired: userId => setPartnerStatus(userId, 'offline') });
+  presenceReady.catch((error) => {
+    console.error('❌ [ChatWebSocket] Presence setup failed, shutting down:', error.message);
+    process.exit(1);
+  });
+
+  // ============ READINESS GATE ============
+  // Connections wait until the adapter is attached, so joins and emits span instances
+  io.use(async (socket, next) => {
+    try {
+      await presenceReady;
+      next();
+    } catch (error) {
+      next(new Error('Realtime service unavailable'));
+    }
+  });
+
   // ============ AUTHENTICATION MIDDLEWARE ============
   io.use(async (socket, next) => {
     console.log('\n' + '='.repeat(80));
@@ -131,22 +176,18 @@ export const setupChatWebSocket = (server) => {
     console.log('Socket:', socket.id);
     console.log('🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉\n');
 
-    activeConnections.set(userId, socket.id);
     socketMetadata.set(socket.id, { userId, userType, email: user.email });
 
     socket.join(`user:${userId}`);
 
-    if (userType === 'partner') {
-      await Partner.findByIdAndUpdate(userId, {
-        onlineStatus: 'online',
-        lastOnlineAt: new Date()
-      });
-
-      io.emit('partner:status:changed', {
-        partnerId: userId,
-        status: 'online',
-        timestamp: new Date()
-      });
+    // Status flips only on the partner's first socket on any instance
+    try {
+      const { firstConnection } = await markOnline(socket, { userId, userType, email: user.email });
+      if (userType === 'partner' && firstConnection) {
+        await setPartnerStatus(userId, 'online');
+      }
+    } catch (error) {
+      console.error('❌ [Presence] markOnline failed:', error.message);
     }
 
     socket.emit('connected', {
@@ -262,8 +303,7 @@ export const setupChatWebSocket = (server) => {
           conversationId
         });
 
-        const receiverSocketId = activeConnections.get(receiverId.toString());
-        if (receiverSocketId) {
+        if (await isOnline(receiverId)) {
           message.isDelivered = true;
           message.deliveredAt = new Date();
           await message.save();
@@ -282,6 +322,15 @@ export const setupChatWebSocket = (server) => {
       }
     });
 
+    // SOS live location sessions
+    registerSosSocketHandlers(socket);
+
+    // Case events: tenant / area rooms from the JWT identity (see caseEventService.js)
+    registerCaseRoomHandlers(socket);
+
+    // Live officer location pings (see partnerLocationService.js)
+    registerPartnerLocationHandlers(socket);
+
     socket.on('typing:start', (data) => {
       const { conversationId } = data;
       socket.to(`conversation:${conversationId}`).emit('typing:status', {
@@ -307,20 +356,16 @@ export const setupChatWebSocket = (server) => {
     socket.on('disconnect', async () => {
       console.log(`\n❌ [${userType}] DISCONNECTED:`, user.email || user.name, '\n');
 
-      activeConnections.delete(userId);
       socketMetadata.delete(socket.id);
 
-      if (userType === 'partner') {
-        await Partner.findByIdAndUpdate(userId, {
-          onlineStatus: 'offline',
-          lastActiveAt: new Date()
-        });
-
-        io.emit('partner:status:changed', {
-          partnerId: userId,
-          status: 'offline',
-          timestamp: new Date()
-        });
+      // Still connected elsewhere (another tab / instance) → stays online
+      try {
+        const { lastConnection } = await markOffline(socket, { userId });
+        if (userType === 'partner' && lastConnection) {
+          await setPartnerStatus(userId, 'offline');
+        }
+      } catch (error) {
+        console.error('❌ [Presence] markOffline failed:', error.message);
       }
     });
 
@@ -333,5 +378,6 @@ export const setupChatWebSocket = (server) => {
   return io;
 };
 
-export const getActiveConnections = () => activeConnections;
+// Cluster-wide: Promise<Map userId → { socketIds, userType, email }>
+export const getActiveConnections = () => getClusterConnections();
 export const getSocketMetadata = () => socketMetadata;
@@ -0,0 +1,329 @@
+import mongoose from 'mongoose';
+import Area from '../models/Area.js';
+import Partner from '../models/Partner.js';
+import PartnerLocationPing from '../models/PartnerLocationPing.js';
+import { io } from './chatWebSocket.js';
+import { onDutyRoster } from './rosterService.js';
+import { SUPER_ADMIN_ROOM, tenantRoom } from './caseEventService.js';
+
+/**
+ * Live officer locations.
+ *
+ * On-duty partners push pings (Socket.IO `partner:location` or
+ * POST /api/partners/me/location). The latest one is Partner.currentLocation
+ * (GeoJSON Point, 2dsphere); every stored ping is a PartnerLocationPing, kept
+ * 24 h as the recent trail. The client's dashboard hears `partner:location`
+ * in its tenant room.
+ *
+ * "On duty" = on shift in an area's roster, or owner of an area without a
+ * roster (the owner is that area's standing officer). Off-duty pings are refused.
+ */
+
+// Pings closer together than this are acknowledged but not stored
+const MIN_PING_INTERVAL_MS = 5000;
+// Client timestamps are trusted within this window, otherwise the server time is used
+const MAX_PING_AGE_MS = 10 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+// A position older than this is not live: nearest queries skip it, the map marks it stale
+export const LIVE_LOCATION_MAX_AGE_MINUTES = 15;
+export const DEFAULT_NEAREST_LIMIT = 5;
+export const MAX_NEAREST_LIMIT = 50;
+export const DEFAULT_NEAREST_MAX_METERS = 20000;
+
+const ELIGIBLE_PARTNER = { isActive: true, isDeleted: { $ne: true }, verificationStatus: 'approved' };
+
+const toObjectId = id => new mongoose.Types.ObjectId(String(id));
+
+// ── Pings ───────────────────────────────────────────────────────────────────
+
+const optionalNumber = (value, min, max) => {
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseFloat(value);
+    return isNaN(n) || n < min || n > max ? undefined : n;
+};
+
+/**
+ * Validate a ping body: { latitude, longitude, accuracy?, heading?, speed?, timestamp? }.
+ * Returns { ping } or { error }.
+ */
+export function parseLocationPing(data, now = new Date()) {
+    const lat = parseFloat(data?.latitude);
+    const lng = parseFloat(data?.longitude);
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+        return { error: 'Valid latitude and longitude are required' };
+    }
+
+    const accuracy = optionalNumber(data.accuracy, 0, 100000);
+    const heading = optionalNumber(data.heading, 0, 360);
+    const speed = optionalNumber(data.speed, 0, 200);
+    if ([accuracy, heading, speed].includes(undefined)) {
+        return { error: 'accuracy, heading and speed must be non-negative numbers (heading 0–360)' };
+    }
+
+    let recordedAt = data.timestamp ? new Date(data.timestamp) : now;
+    const age = now - recordedAt;
+    if (isNaN(age) || age > MAX_PING_AGE_MS || age < -MAX_CLOCK_SKEW_MS) recordedAt = now;
+
+    return {
+        ping: {
+            location: { type: 'Point', coordinates: [lng, lat] },
+            accuracy,
+            heading,
+            speed,
+            recordedAt
+        }
+    };
+}
+
+// Partners on duty per area of one client: Map partnerId → [{ areaId, name, role }].
+// `partnerId` limits the lookup to the areas that partner owns or is rostered on.
+async function onDutyAssignments(clientId, now = new Date(), partnerId = null) {
+    const scope = partnerId ? { $or: [{ partnerId }, { 'roster.partnerId': partnerId }] } : {};
+    const areas = await Area.find({ clientId, ...scope }).select('name partnerId roster').lean();
+    const onDuty = new Map();
+    const add = (partnerId, area, role) => {
+        const key = String(partnerId);
+        if (!onDuty.has(key)) onDuty.set(key, []);
+        onDuty.get(key).push({ areaId: area._id, name: area.name, role });
+    };
+
+    for (const area of areas) {
+        if (area.roster?.length) {
+            onDutyRoster(area, now).forEach(entry => add(entry.partnerId, area, entry.role));
+        } else if (area.partnerId) {
+            add(area.partnerId, area, 'owner');
+        }
+    }
+    return onDuty;
+}
+
+/**
+ * Store a ping from a partner: current position on the Partner, the ping on
+ * the trail, and `partner:location` to the client's dashboard.
+ *
+ * Returns { recorded, location, recordedAt } ({ recorded: false, throttled })
+ * or { status, error }.
+ */
+export async function recordPartnerLocation(partnerId, ping, { source = 'rest' } = {}) {
+    const partner = await Partner.findOne({ _id: partnerId, ...ELIGIBLE_PARTNER })
+        .select('name designation clientId locationUpdatedAt')
+        .lean();
+    if (!partner) return { status: 404, error: 'Partner not found or not approved' };
+    if (!partner.clientId) return { status: 422, error: 'Partner is not attached to a client' };
+
+    const assignments = (await onDutyAssignments(partner.clientId, new Date(), partner._id)).get(String(partner._id));
+    if (!assignments) return { status: 409, error: 'Location is only shared while on duty' };
+
+    const last = partner.locationUpdatedAt;
+    if (last && ping.recordedAt - last < MIN_PING_INTERVAL_MS && ping.recordedAt >= last) {
+        return { recorded: false, throttled: true, location: ping.location, recordedAt: ping.recordedAt };
+    }
+
+    await PartnerLocationPing.create({ partnerId: partner._id, clientId: partner.clientId, source, ...ping });
+
+    // A late, out-of-order ping only joins the trail
+    if (last && ping.recordedAt < last) {
+        return { recorded: true, location: ping.location, recordedAt: ping.recordedAt };
+    }
+
+    // Conditional on recency, so a slower concurrent ping never moves the position backwards
+    const { modifiedCount } = await Partner.updateOne(
+        { _id: partner._id, locationUpdatedAt: { $not: { $gt: ping.recordedAt } } },
+        {
+            currentLocation: ping.location,
+            locationUpdatedAt: ping.recordedAt,
+            locationAccuracy: ping.accuracy
+        }
+    );
+    if (!modifiedCount) {
+        return { recorded: true, location: ping.location, recordedAt: ping.recordedAt };
+    }
+
+    if (io) {
+        io.to([tenantRoom(partner.clientId), SUPER_ADMIN_ROOM]).emit('partner:location', {
+            partnerId: partner._id,
+            clientId: partner.clientId,
+            name: partner.name,
+            designation: partner.designation || null,
+            location: ping.location,
+            accuracy: ping.accuracy,
+            heading: ping.heading,
+            speed: ping.speed,
+            recordedAt: ping.recordedAt,
+            areas: assignments
+        });
+    }
+    return { recorded: true, location: ping.location, recordedAt: ping.recordedAt };
+}
+
+// ── Queries ─────────────────────────────────────────────────────────────────
+
+/**
+ * Nearest on-duty officers of a client to a GeoJSON point, by live location
+ * ($geoNear on Partner.currentLocation). Positions older than
+ * LIVE_LOCATION_MAX_AGE_MINUTES are skipped.
+ *
+ * `partnerIds` restricts the search to officers the caller already knows are
+ * on duty (skips the roster lookup); `excludeIds` drops officers already on the case.
+ *
+ * Returns [{ partnerId, name, designation, phone, onlineStatus, distanceMeters,
+ * location, locationUpdatedAt, locationAccuracy, areas }], nearest first.
+ */
+export async function findNearestOnDutyPartners(clientId, point, {
+    limit = DEFAULT_NEAREST_LIMIT,
+    maxDistanceMeters = DEFAULT_NEAREST_MAX_METERS,
+    partnerIds = null,
+    excludeIds = [],
+    now = new Date()
+} = {}) {
+    const assignments = partnerIds ? null : await onDutyAssignments(clientId, now);
+    const excluded = new Set(excludeIds.map(String));
+    const ids = (partnerIds || [...assignments.keys()]).map(String).filter(id => !excluded.has(id));
+    if (!ids.length) return [];
+
+    const partners = await Partner.aggregate([
+        {
+            $geoNear: {
+                near: point,
+                key: 'currentLocation',
+                distanceField: 'distanceMeters',
+                maxDistance: maxDistanceMeters,
+                spherical: true,
+                query: {
+                    _id: { $in: ids.map(toObjectId) },
+                    clientId: toObjectId(clientId),
+                    ...ELIGIBLE_PARTNER,
+                    locationUpdatedAt: { $gte: new Date(now - LIVE_LOCATION_MAX_AGE_MINUTES * 60 * 1000) }
+                }
+            }
+        },
+        { $limit: Math.min(Math.max(limit, 1), MAX_NEAREST_LIMIT) },
+        {
+            $project: {
+                name: 1, designation: 1, phone: 1, onlineStatus: 1, distanceMeters: 1,
+                currentLocation: 1, locationUpdatedAt: 1, locationAccuracy: 1
+            }
+        }
+    ]);
+
+    return partners.map(p => ({
+        partnerId: p._id,
+        name: p.name,
+        designation: p.designation || null,
+        phone: p.phone || null,
+        onlineStatus: p.onlineStatus || 'offline',
+        distanceMeters: Math.round(p.distanceMeters),
+        location: p.currentLocation,
+        locationUpdatedAt: p.locationUpdatedAt,
+        locationAccuracy: p.locationAccuracy,
+        areas: assignments?.get(String(p._id)) || []
+    }));
+}
+
+/**
+ * "Where are my officers": every on-duty officer of the client as a GeoJSON
+ * Feature at their last live position (stale = older than
+ * LIVE_LOCATION_MAX_AGE_MINUTES). On-duty officers who never shared a location
+ * are listed under `unlocated`.
+ */
+export async function buildOfficerLiveMap(clientId, now = new Date()) {
+    const assignments = await onDutyAssignments(clientId, now);
+    const partners = await Partner.find({ _id: { $in: [...assignments.keys()] }, clientId, ...ELIGIBLE_PARTNER })
+        .select('name designation phone onlineStatus currentLocation locationUpdatedAt locationAccuracy')
+        .lean();
+
+    const staleBefore = new Date(now - LIVE_LOCATION_MAX_AGE_MINUTES * 60 * 1000);
+    const features = [];
+    const unlocated = [];
+
+    for (const p of partners) {
+        const areas = assignments.get(String(p._id));
+        if (!p.currentLocation?.coordinates?.length) {
+            unlocated.push({ partnerId: p._id, name: p.name, designation: p.designation || null, areas });
+            continue;
+        }
+        features.push({
+            type: 'Feature',
+            geometry: p.currentLocation,
+            properties: {
+                partnerId: p._id,
+                name: p.name,
+                designation: p.designation || null,
+                phone: p.phone || null,
+                onlineStatus: p.onlineStatus || 'offline',
+                accuracy: p.locationAccuracy,
+                locationUpdatedAt: p.locationUpdatedAt,
+                stale: !p.locationUpdatedAt || p.locationUpdatedAt < staleBefore,
+                areas
+            }
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features,
+        unlocated,
+        summary: {
+            onDuty: partners.length,
+            live: features.filter(f => !f.properties.stale).length,
+            stale: features.filter(f => f.properties.stale).length,
+            unlocated: unlocated.length
+        },
+        generatedAt: now
+    };
+}
+
+/**
+ * A partner's stored pings between `from` and `to` (default: the last hour) as
+ * a LineString Feature; `properties.points` keeps each ping.
+ */
+export async function getPartnerTrail(partnerId, { from, to } = {}) {
+    const end = to || new Date();
+    const start = from || new Date(end - 60 * 60 * 1000);
+
+    const pings = await PartnerLocationPing.find({ partnerId, recordedAt: { $gte: start, $lte: end } })
+        .select('location accuracy heading speed source recordedAt')
+        .sort({ recordedAt: 1 })
+        .lean();
+
+    return {
+        type: 'Feature',
+        geometry: pings.length > 1
+            ? { type: 'LineString', coordinates: pings.map(p => p.location.coordinates) }
+            : null,
+        properties: {
+            partnerId,
+            from: start,
+            to: end,
+            points: pings.map(({ _id, ...p }) => p)
+        }
+    };
+}
+
+// ── Socket.IO ───────────────────────────────────────────────────────────────
+
+/**
+ * Partner location pings on the chat Socket.IO server:
+ *   partner:location { latitude, longitude, accuracy?, heading?, speed?, timestamp? }
+ * Acknowledged with { success, recorded?, throttled? } or { success: false, message }.
+ */
+export function registerPartnerLocationHandlers(socket) {
+    const { userId, userType } = socket;
+
+    socket.on('partner:location', async (data, callback) => {
+        try {
+            if (userType !== 'partner') return callback?.({ success: false, message: 'Only officers can share location' });
+
+            const { ping, error } = parseLocationPing(data);
+            if (error) return callback?.({ success: false, message: error });
+
+            const result = await recordPartnerLocation(userId, ping, { source: 'socket' });
+            if (result.error) return callback?.({ success: false, message: result.error });
+            callback?.({ success: true, recorded: result.recorded, throttled: !!result.throttled });
+        } catch (error) {
+            console.error('[PartnerLocation] partner:location error:', error.message);
+            callback?.({ success: false, message: 'Failed to record location' });
+        }
+    });
+}
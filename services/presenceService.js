@@ -0,0 +1,203 @@
+import os from 'os';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+
+/**
+ * Who is connected to the chat / case Socket.IO server, across every instance.
+ *
+ * With REDIS_URL set, Socket.IO uses the Redis adapter (rooms and emits span
+ * instances) and presence lives in Redis:
+ *
+ *   presence:online              zset userId   → expiry (ms)
+ *   presence:sockets:<userId>    zset socketId → expiry (ms)
+ *   presence:meta:<socketId>     JSON { userId, userType, email, instance }, EX = TTL
+ *   presence:lastseen            hash userId   → ISO time of the last disconnect
+ *
+ * Each instance refreshes the expiry of its own sockets every heartbeat; a
+ * crashed instance's sockets lapse after PRESENCE_TTL_SECONDS and are swept.
+ * Without REDIS_URL the same API runs on in-process Maps (single instance).
+ */
+
+const REDIS_URL = process.env.REDIS_URL || null;
+const TTL_MS = (Number(process.env.PRESENCE_TTL_SECONDS) || 60) * 1000;
+const HEARTBEAT_MS = Math.max(Math.floor(TTL_MS / 3), 5000);
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Startup gives up after this many failed connection attempts; once connected, reconnects never stop
+const STARTUP_CONNECT_RETRIES = 5;
+
+const ONLINE_KEY = 'presence:online';
+const LAST_SEEN_KEY = 'presence:lastseen';
+const socketsKey = userId => `presence:sockets:${userId}`;
+const metaKey = socketId => `presence:meta:${socketId}`;
+
+let redis = null;
+
+// Single-instance fallback
+const localSockets = new Map(); // userId → Map(socketId → meta)
+const localLastSeen = new Map();
+
+/**
+ * Attach the Redis adapter (when REDIS_URL is set) and start the presence
+ * heartbeat. `onExpired(userId, meta)` runs once, cluster-wide, for users whose
+ * last socket lapsed without a disconnect (instance crash).
+ *
+ * Rejects when REDIS_URL is set but Redis cannot be reached at startup.
+ */
+export async function initPresence(io, { onExpired } = {}) {
+    if (REDIS_URL) {
+        let connected = false;
+        const reconnectStrategy = (retries, cause) => (!connected && retries >= STARTUP_CONNECT_RETRIES
+            ? cause
+            : Math.min(retries * 200, 5000));
+
+        const pubClient = createClient({ url: REDIS_URL, socket: { reconnectStrategy } });
+        const subClient = pubClient.duplicate();
+        [pubClient, subClient].forEach(c => c.on('error', err => console.error('[Presence] Redis error:', err.message)));
+        try {
+            await Promise.all([pubClient.connect(), subClient.connect()]);
+        } catch (err) {
+            await Promise.allSettled([pubClient, subClient].filter(c => c.isOpen).map(c => c.quit()));
+            throw new Error(`Redis at REDIS_URL is unreachable: ${err.message}`);
+        }
+        connected = true;
+
+        io.adapter(createAdapter(pubClient, subClient));
+        redis = pubClient;
+        console.log(`✅ [Presence] Redis adapter attached (${INSTANCE_ID})`);
+    } else {
+        console.warn('[Presence] REDIS_URL not set — presence and rooms are local to this instance');
+    }
+
+    const timer = setInterval(() => {
+        heartbeat(io, onExpired).catch(err => console.error('[Presence] Heartbeat failed:', err.message));
+    }, HEARTBEAT_MS);
+    timer.unref();
+}
+
+// Refresh this instance's sockets, then sweep users whose sockets all lapsed
+async function heartbeat(io, onExpired) {
+    if (!redis) return;
+    const now = Date.now();
+    const expiresAt = now + TTL_MS;
+
+    const multi = redis.multi();
+    for (const socket of io.of('/').sockets.values()) {
+        if (!socket.userId) continue;
+        multi.zAdd(socketsKey(socket.userId), { score: expiresAt, value: socket.id });
+        multi.zAdd(ONLINE_KEY, { score: expiresAt, value: String(socket.userId) });
+        multi.pExpire(metaKey(socket.id), TTL_MS);
+    }
+    await multi.exec();
+
+    const expired = await redis.zRangeByScore(ONLINE_KEY, '-inf', now);
+    for (const userId of expired) {
+        // zRem returns 1 on exactly one instance — that one reports the user offline
+        if (!(await redis.zRem(ONLINE_KEY, userId))) continue;
+        await redis.multi()
+            .del(socketsKey(userId))
+            .hSet(LAST_SEEN_KEY, userId, new Date(now).toISOString())
+            .exec();
+        await onExpired?.(userId);
+    }
+}
+
+/**
+ * Record a new socket. Returns { firstConnection } — true when the user had no
+ * other live socket on any instance.
+ */
+export async function markOnline(socket, { userId, userType, email }) {
+    const id = String(userId);
+    const meta = { userId: id, userType, email: email || null, instance: INSTANCE_ID, connectedAt: new Date().toISOString() };
+
+    if (!redis) {
+        const sockets = localSockets.get(id) || new Map();
+        const firstConnection = sockets.size === 0;
+        sockets.set(socket.id, meta);
+        localSockets.set(id, sockets);
+        return { firstConnection };
+    }
+
+    const now = Date.now();
+    const expiresAt = now + TTL_MS;
+    const [previousExpiry] = await redis.multi()
+        .zScore(ONLINE_KEY, id)
+        .zAdd(socketsKey(id), { score: expiresAt, value: socket.id })
+        .zAdd(ONLINE_KEY, { score: expiresAt, value: id })
+        .set(metaKey(socket.id), JSON.stringify(meta), { PX: TTL_MS })
+        .exec();
+    return { firstConnection: !(previousExpiry > now) };
+}
+
+/**
+ * Forget a socket. Returns { lastConnection } — true when it was the user's
+ * last live socket anywhere (reported by exactly one instance).
+ */
+export async function markOffline(socket, { userId }) {
+    const id = String(userId);
+    const seenAt = new Date().toISOString();
+
+    if (!redis) {
+        const sockets = localSockets.get(id);
+        sockets?.delete(socket.id);
+        if (sockets?.size) return { lastConnection: false };
+        localSockets.delete(id);
+        localLastSeen.set(id, seenAt);
+        return { lastConnection: true };
+    }
+
+    const now = Date.now();
+    await redis.multi()
+        .zRem(socketsKey(id), socket.id)
+        .zRemRangeByScore(socketsKey(id), '-inf', now)
+        .del(metaKey(socket.id))
+        .exec();
+    if (await redis.zCard(socketsKey(id))) return { lastConnection: false };
+
+    const removed = await redis.zRem(ONLINE_KEY, id);
+    await redis.hSet(LAST_SEEN_KEY, id, seenAt);
+    return { lastConnection: removed === 1 };
+}
+
+/**
+ * Connected users cluster-wide: Map userId → { socketIds, userType, email }.
+ */
+export async function getActiveConnections() {
+    if (!redis) {
+        return new Map([...localSockets].map(([userId, sockets]) => {
+            const [first] = sockets.values();
+            return [userId, { socketIds: [...sockets.keys()], userType: first?.userType || null, email: first?.email || null }];
+        }));
+    }
+
+    const now = Date.now();
+    const userIds = await redis.zRangeByScore(ONLINE_KEY, now, '+inf');
+    const connections = new Map();
+    for (const userId of userIds) {
+        const socketIds = await redis.zRangeByScore(socketsKey(userId), now, '+inf');
+        if (!socketIds.length) continue;
+        const meta = JSON.parse((await redis.get(metaKey(socketIds[0]))) || '{}');
+        connections.set(userId, { socketIds, userType: meta.userType || null, email: meta.email || null });
+    }
+    return connections;
+}
+
+/**
+ * Whether the user has a live socket on any instance.
+ */
+export async function isOnline(userId) {
+    const id = String(userId);
+    if (!redis) return Boolean(localSockets.get(id)?.size);
+    const expiresAt = await redis.zScore(ONLINE_KEY, id);
+    return expiresAt !== null && expiresAt > Date.now();
+}
+
+/**
+ * When the user's last socket closed (ISO string), or null if never seen / online.
+ */
+export async function getLastSeen(userId) {
+    const id = String(userId);
+    if (!redis) return localLastSeen.get(id) || null;
+    return (await redis.hGet(LAST_SEEN_KEY, id)) || null;
+}
@@ -0,0 +1,98 @@
+import Alert from '../models/Alert.js';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+
+export const ON_BEHALF_RELATIONSHIPS = ['guardian', 'parent', 'relative', 'witness', 'friend', 'other'];
+
+const ADULT_AGE = 18;
+
+const truthy = v => v === true || v === 'true' || v === '1';
+
+/**
+ * Read the reporting mode from a create-case body. Mobile clients may send
+ * `onBehalfOf` as a JSON string. Returns { reporting } or { error }.
+ */
+export function parseReporting({ anonymous, onBehalfOf }) {
+    const reporting = { anonymous: truthy(anonymous), onBehalfOf: undefined };
+    if (!onBehalfOf) return { reporting };
+
+    let subject = onBehalfOf;
+    if (typeof subject === 'string') {
+        try {
+            subject = JSON.parse(subject);
+        } catch {
+            return { error: 'onBehalfOf must be an object' };
+        }
+    }
+    if (typeof subject !== 'object' || Array.isArray(subject)) {
+        return { error: 'onBehalfOf must be an object' };
+    }
+
+    if (!ON_BEHALF_RELATIONSHIPS.includes(subject.relationship)) {
+        return { error: `onBehalfOf.relationship must be one of: ${ON_BEHALF_RELATIONSHIPS.join(', ')}` };
+    }
+
+    let age = null;
+    if (subject.age !== undefined && subject.age !== null && subject.age !== '') {
+        age = Number(subject.age);
+        if (!Number.isInteger(age) || age < 0 || age > 120) {
+            return { error: 'onBehalfOf.age must be a whole number between 0 and 120' };
+        }
+    }
+
+    reporting.onBehalfOf = {
+        relationship: subject.relationship,
+        name: subject.name ? String(subject.name).trim().substring(0, 100) : null,
+        age,
+        isMinor: age !== null ? age < ADULT_AGE : truthy(subject.isMinor),
+        phone: subject.phone ? String(subject.phone).trim().substring(0, 20) : null
+    };
+    return { reporting };
+}
+
+/**
+ * Staff view of a case: strips the reporter's identity from anonymous cases.
+ * Works on lean docs / plain objects; returns a copy.
+ */
+export function redactCase(alert) {
+    if (!alert?.reporting?.anonymous) return alert;
+
+    const reporterId = alert.userId ? String(alert.userId) : null;
+    const isReporter = id => reporterId && id && String(id) === reporterId;
+    const { userId, createdBy, ...rest } = alert;
+
+    return {
+        ...rest,
+        userId: null,
+        createdBy: null,
+        timeline: (alert.timeline || []).map(e => (isReporter(e.updatedBy) ? { ...e, updatedBy: null } : e)),
+        media: (alert.media || []).map(m => (isReporter(m.uploadedBy) ? { ...m, uploadedBy: null } : m))
+    };
+}
+
+export const redactCases = alerts => (alerts || []).map(redactCase);
+
+/**
+ * Reveal who filed an anonymous case. Every call is written to the audit log first.
+ */
+export async function revealReporter(alertId, { actor, reason, ip }) {
+    const alert = await Alert.findById(alertId).select('userId createdBy reporting clientId').lean();
+    if (!alert) return null;
+
+    await AuditLog.create({
+        actorId: actor._id,
+        actorRole: actor.role,
+        action: 'reveal_anonymous_reporter',
+        targetModel: 'Alert',
+        targetId: alert._id,
+        reason,
+        ip: ip || null
+    });
+
+    const reporter = await User.findById(alert.userId || alert.createdBy)
+        .select('email mobile profile.name clientId')
+        .lean();
+
+    console.log(`[Privacy] Reporter of case ${alert._id} revealed to ${actor.role} ${actor._id}`);
+    return { alert, reporter };
+}
@@ -0,0 +1,120 @@
+import Area from '../models/Area.js';
+import { routablePartnerIds } from './caseRoutingService.js';
+
+export const ROSTER_ROLES = ['primary', 'backup', 'supervisor'];
+
+// Shift times are wall-clock times in this zone
+export const ROSTER_TIMEZONE = process.env.ROSTER_TIMEZONE || 'Asia/Kolkata';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = hhmm => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+/**
+ * Weekday (0 = Sunday) and minute of day of `now` in the roster time zone.
+ */
+export function rosterClock(now = new Date(), timeZone = ROSTER_TIMEZONE) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now);
+    const get = type => parts.find(p => p.type === type)?.value;
+    return {
+        day: WEEKDAYS.indexOf(get('weekday')),
+        minutes: Number(get('hour')) * 60 + Number(get('minute'))
+    };
+}
+
+/**
+ * Validate a shifts array from a request body. Returns { shifts } or { error }.
+ */
+export function parseShifts(input) {
+    if (input === undefined || input === null) return { shifts: [] };
+    if (!Array.isArray(input)) return { error: 'shifts must be an array' };
+
+    const shifts = [];
+    for (const [i, shift] of input.entries()) {
+        const days = Array.isArray(shift?.days) ? [...new Set(shift.days.map(Number))] : [];
+        if (!days.length || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            return { error: `shifts[${i}].days must list weekdays 0 (Sunday) to 6` };
+        }
+        if (!TIME_PATTERN.test(shift.start || '') || !TIME_PATTERN.test(shift.end || '')) {
+            return { error: `shifts[${i}].start and end must be HH:mm` };
+        }
+        shifts.push({ days: days.sort((a, b) => a - b), start: shift.start, end: shift.end });
+    }
+    return { shifts };
+}
+
+/**
+ * Whether a roster entry is on duty at `now`. A shift ending at or before its
+ * start runs overnight and belongs to the day it starts on.
+ */
+export function isOnShift(entry, now = new Date()) {
+    if (!entry || entry.active === false) return false;
+    if (!entry.shifts?.length) return true;
+
+    const { day, minutes } = rosterClock(now);
+    const yesterday = (day + 6) % 7;
+
+    return entry.shifts.some((shift) => {
+        const start = toMinutes(shift.start);
+        const end = toMinutes(shift.end);
+        if (start < end) return shift.days.includes(day) && minutes >= start && minutes < end;
+        return (shift.days.includes(day) && minutes >= start) || (shift.days.includes(yesterday) && minutes < end);
+    });
+}
+
+/**
+ * Roster entries on duty now, primaries first.
+ */
+export function onDutyRoster(area, now = new Date()) {
+    return (area?.roster || [])
+        .filter(entry => isOnShift(entry, now))
+        .sort((a, b) => ROSTER_ROLES.indexOf(a.role) - ROSTER_ROLES.indexOf(b.role));
+}
+
+/**
+ * On-duty roster officer with the given role, falling back to the area's fixed
+ * backupPartnerId / supervisorPartnerId. Used for SLA escalation.
+ */
+export function onDutyPartnerForRole(area, role, now = new Date()) {
+    const entry = onDutyRoster(area, now).find(e => e.role === role);
+    if (entry) return entry.partnerId;
+    if (role === 'backup') return area?.backupPartnerId || null;
+    if (role === 'supervisor') return area?.supervisorPartnerId || null;
+    return area?.partnerId || null;
+}
+
+/**
+ * Every area the partner serves (roster entry or fixed owner) with their shifts
+ * and whether they are on duty there right now.
+ */
+export async function getPartnerShifts(partnerId, now = new Date()) {
+    const areas = await Area.find({
+        $or: [{ partnerId }, { 'roster.partnerId': partnerId }]
+    }).select('name city clientId partnerId roster').lean();
+
+    return Promise.all(areas.map(async (area) => {
+        const entries = (area.roster || []).filter(e => String(e.partnerId) === String(partnerId));
+        return {
+            areaId: area._id,
+            name: area.name,
+            city: area.city,
+            isAreaOwner: String(area.partnerId) === String(partnerId),
+            roster: entries.map(e => ({
+                entryId: e._id,
+                role: e.role,
+                active: e.active,
+                shifts: e.shifts,
+                onDutyNow: isOnShift(e, now)
+            })),
+            // Whether the client's routing strategy can send new cases in this area to this partner right now
+            routedHereNow: (await routablePartnerIds(area, now)).includes(String(partnerId))
+        };
+    }));
+}
@@ -0,0 +1,242 @@
+import mongoose from 'mongoose';
+import Alert from '../models/Alert.js';
+import Area from '../models/Area.js';
+import Partner from '../models/Partner.js';
+import { closedAtOf } from './caseFeedbackService.js';
+import { resolveWorkflow, isRejectedStatus } from './workflowService.js';
+
+// Default window; deltas compare against the window of the same length before it
+export const DEFAULT_SCORECARD_DAYS = 7;
+export const MAX_SCORECARD_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reporting window from ?from=&to= (ISO dates). Defaults to the last 7 days.
+ * Returns { range, previous } or { error }.
+ */
+export function resolveScorecardRange({ from, to } = {}, now = new Date()) {
+    const end = to ? new Date(to) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_SCORECARD_DAYS * DAY_MS);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return { error: 'from and to must be dates' };
+    if (start >= end) return { error: 'from must be before to' };
+    if (end - start > MAX_SCORECARD_DAYS * DAY_MS) return { error: `Range is limited to ${MAX_SCORECARD_DAYS} days` };
+
+    const length = end - start;
+    return {
+        range: { from: start, to: end },
+        previous: { from: new Date(start.getTime() - length), to: start }
+    };
+}
+
+const newBucket = () => ({
+    received: 0,
+    firstResponse: [],
+    resolution: [],
+    closed: 0,
+    rejected: 0,
+    reopened: 0,
+    slaBreaches: 0
+});
+
+const minutesBetween = (from, to) => Math.max((new Date(to) - new Date(from)) / 60000, 0);
+
+// First status change away from the reported status
+function firstResponseAt(alert) {
+    const timeline = alert.timeline || [];
+    const initial = timeline[0]?.status;
+    const entry = timeline.slice(1).find(e => e.status && e.status !== initial);
+    return entry ? entry.timestamp : null;
+}
+
+// `rejected`: the case sits in a closed state its workflow flags as a rejection
+function addCase(bucket, alert, reopens, rejected) {
+    bucket.received++;
+
+    const respondedAt = firstResponseAt(alert);
+    if (respondedAt) bucket.firstResponse.push(minutesBetween(alert.createdAt, respondedAt));
+
+    if (!alert.isActive) {
+        bucket.closed++;
+        if (rejected) bucket.rejected++;
+        else bucket.resolution.push(minutesBetween(alert.createdAt, closedAtOf(alert)));
+    }
+    bucket.reopened += reopens;
+    if (alert.sla?.breached) bucket.slaBreaches++;
+}
+
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1)];
+}
+
+const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+function durationStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        count: sorted.length,
+        meanMinutes: sorted.length ? round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length) : null,
+        p90Minutes: round(percentile(sorted, 0.9))
+    };
+}
+
+function summarise(bucket) {
+    return {
+        received: bucket.received,
+        firstResponse: durationStats(bucket.firstResponse),
+        resolution: durationStats(bucket.resolution),
+        closed: bucket.closed,
+        rejected: bucket.rejected,
+        rejectionRate: bucket.closed ? Math.round((bucket.rejected / bucket.closed) * 1000) / 1000 : null,
+        reopened: bucket.reopened,
+        slaBreaches: bucket.slaBreaches
+    };
+}
+
+const delta = (current, previous) => (current === null || previous === null ? null : round(current - previous));
+
+function deltas(current, previous) {
+    return {
+        received: current.received - previous.received,
+        firstResponseMeanMinutes: delta(current.firstResponse.meanMinutes, previous.firstResponse.meanMinutes),
+        firstResponseP90Minutes: delta(current.firstResponse.p90Minutes, previous.firstResponse.p90Minutes),
+        resolutionMeanMinutes: delta(current.resolution.meanMinutes, previous.resolution.meanMinutes),
+        resolutionP90Minutes: delta(current.resolution.p90Minutes, previous.resolution.p90Minutes),
+        rejectionRate: delta(current.rejectionRate, previous.rejectionRate),
+        reopened: current.reopened - previous.reopened,
+        slaBreaches: current.slaBreaches - previous.slaBreaches
+    };
+}
+
+/**
+ * Per-case metrics for one window, bucketed overall / per area / per partner.
+ * Reopens are counted on the parent case (citizens reopen via their own linked report).
+ */
+async function collect(clientId, { from, to }) {
+    const match = {
+        clientId: new mongoose.Types.ObjectId(String(clientId)),
+        type: 'USER',
+        parentAlertId: null,
+        createdAt: { $gte: from, $lt: to }
+    };
+
+    const linkedReopens = await Alert.aggregate([
+        { $match: { clientId: match.clientId, parentAlertId: { $ne: null }, 'feedback.reopenCount': { $gt: 0 } } },
+        { $group: { _id: '$parentAlertId', reopens: { $sum: '$feedback.reopenCount' } } }
+    ]);
+    const reopensByParent = new Map(linkedReopens.map(r => [String(r._id), r.reopens]));
+
+    const overall = newBucket();
+    const byArea = new Map();
+    const byPartner = new Map();
+    const bucketFor = (map, id) => {
+        const key = id ? String(id) : null;
+        if (!map.has(key)) map.set(key, newBucket());
+        return map.get(key);
+    };
+
+    // Workflows are per client + category
+    const workflows = new Map();
+    const workflowFor = async (category) => {
+        const key = category || null;
+        if (!workflows.has(key)) workflows.set(key, await resolveWorkflow(clientId, key));
+        return workflows.get(key);
+    };
+
+    const cursor = Alert.find(match)
+        .select('createdAt status isActive metadata.type areaId assignedPartnerId timeline.status timeline.timestamp sla.breached feedback.reopenCount updatedAt')
+        .lean()
+        .cursor();
+    for await (const alert of cursor) {
+        const reopens = (alert.feedback?.reopenCount || 0) + (reopensByParent.get(String(alert._id)) || 0);
+        const rejected = isRejectedStatus(await workflowFor(alert.metadata?.type), alert.status);
+        addCase(overall, alert, reopens, rejected);
+        addCase(bucketFor(byArea, alert.areaId), alert, reopens, rejected);
+        addCase(bucketFor(byPartner, alert.assignedPartnerId), alert, reopens, rejected);
+    }
+
+    return { overall, byArea, byPartner };
+}
+
+function rows(current, previous, names, idField) {
+    return [...new Set([...current.keys(), ...previous.keys()])].map((key) => {
+        const now = summarise(current.get(key) || newBucket());
+        const before = summarise(previous.get(key) || newBucket());
+        return {
+            [idField]: key,
+            ...(names.get(key) || { name: key ? 'Unknown' : 'Unassigned' }),
+            ...now,
+            deltas: deltas(now, before)
+        };
+    }).sort((a, b) => b.received - a.received);
+}
+
+/**
+ * Operational scorecards for one client: cases received, time to first response
+ * and to resolution (mean / p90), rejection rate, reopens and SLA breaches —
+ * overall, per area and per partner, with deltas against the previous window.
+ */
+export async function buildScorecards(clientId, { range, previous }) {
+    const [current, before] = await Promise.all([collect(clientId, range), collect(clientId, previous)]);
+
+    const areaIds = [...new Set([...current.byArea.keys(), ...before.byArea.keys()])].filter(Boolean);
+    const partnerIds = [...new Set([...current.byPartner.keys(), ...before.byPartner.keys()])].filter(Boolean);
+    const [areas, partners] = await Promise.all([
+        Area.find({ _id: { $in: areaIds } }).select('name city level').lean(),
+        Partner.find({ _id: { $in: partnerIds } }).select('name designation').lean()
+    ]);
+    const areaNames = new Map(areas.map(a => [String(a._id), { name: a.name, city: a.city, level: a.level || 'beat' }]));
+    areaNames.set(null, { name: 'Outside every area' });
+    const partnerNames = new Map(partners.map(p => [String(p._id), { name: p.name, designation: p.designation || null }]));
+
+    const overallNow = summarise(current.overall);
+    return {
+        range,
+        previousRange: previous,
+        overall: { ...overallNow, deltas: deltas(overallNow, summarise(before.overall)) },
+        areas: rows(current.byArea, before.byArea, areaNames, 'areaId'),
+        partners: rows(current.byPartner, before.byPartner, partnerNames, 'partnerId')
+    };
+}
+
+const CSV_COLUMNS = [
+    ['Received', r => r.received],
+    ['Received Δ', r => r.deltas.received],
+    ['First response mean (min)', r => r.firstResponse.meanMinutes],
+    ['First response p90 (min)', r => r.firstResponse.p90Minutes],
+    ['First response mean Δ', r => r.deltas.firstResponseMeanMinutes],
+    ['Resolution mean (min)', r => r.resolution.meanMinutes],
+    ['Resolution p90 (min)', r => r.resolution.p90Minutes],
+    ['Resolution mean Δ', r => r.deltas.resolutionMeanMinutes],
+    ['Closed', r => r.closed],
+    ['Rejected', r => r.rejected],
+    ['Rejection rate', r => r.rejectionRate],
+    ['Reopened', r => r.reopened],
+    ['SLA breaches', r => r.slaBreaches],
+    ['SLA breaches Δ', r => r.deltas.slaBreaches]
+];
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    // Area and partner names are user-supplied; a leading = + - @ tab or CR would
+    // run as a formula. Numbers (negative deltas) stay numbers.
+    const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Scorecards as one CSV sheet (overall, then areas, then partners) for spreadsheet review.
+ * Δ columns compare with the previous window of the same length.
+ */
+export function scorecardsToCsv(scorecards) {
+    const header = ['Scope', 'Id', 'Name', ...CSV_COLUMNS.map(([title]) => title)];
+    const line = (scope, id, name, row) => [scope, id || '', name, ...CSV_COLUMNS.map(([, get]) => get(row))].map(csvCell).join(',');
+
+    return [
+        header.map(csvCell).join(','),
+        line('overall', null, 'All areas', scorecards.overall),
+        ...scorecards.areas.map(r => line('area', r.areaId, r.name, r)),
+        ...scorecards.partners.map(r => line('partner', r.partnerId, r.name, r))
+    ].join('\n') + '\n';
+}
@@ -0,0 +1,264 @@
+import cron from 'node-cron';
+import Alert from '../models/Alert.js';
+import Area from '../models/Area.js';
+import SlaPolicy from '../models/SlaPolicy.js';
+import Notification from '../models/Notification.js';
+import { publishCaseEvent } from './caseEventService.js';
+import { onDutyPartnerForRole } from './rosterService.js';
+import { canReachStatus, isClosedStatus } from './workflowService.js';
+
+const PRIORITY_LADDER = ['low', 'medium', 'high', 'critical'];
+
+// Max cases escalated per worker tick — the rest are picked up on the next run
+const BREACH_BATCH_SIZE = 200;
+
+// A worker instance holds a case this long while escalating it; other
+// instances (behind the Redis adapter every instance runs the cron) skip it
+const WORKER_LEASE_MS = 2 * 60 * 1000;
+
+/**
+ * Most specific active policy for a case: priority + category → category → priority → catch-all.
+ */
+export async function resolveSlaPolicy(clientId, priority, category) {
+    if (!clientId) return null;
+
+    const normalizedCategory = category ? String(category).toLowerCase().trim() : null;
+    const candidates = await SlaPolicy.find({
+        clientId,
+        isActive: true,
+        priority: { $in: [priority || null, null] },
+        category: { $in: [normalizedCategory, null] }
+    }).lean();
+
+    const specificity = p => (p.category ? 2 : 0) + (p.priority ? 1 : 0);
+    return candidates.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+}
+
+/**
+ * Attach SLA targets to a new (unsaved) Alert document from its matching policy.
+ * `startAt` restarts the clock for a case re-entering the workflow (reopen).
+ * Returns the applied policy, or null when none matches.
+ */
+export async function applySlaPolicy(alert, { startAt = alert.createdAt || new Date() } = {}) {
+    const policy = await resolveSlaPolicy(alert.clientId, alert.priority, alert.metadata?.type);
+    if (!policy || !policy.targets?.length) return null;
+
+    const start = startAt.getTime();
+    alert.sla = {
+        policyId: policy._id,
+        targets: policy.targets.map(t => ({
+            status: t.status,
+            dueAt: new Date(start + t.withinMinutes * 60 * 1000)
+        })),
+        breached: false,
+        escalationCount: 0
+    };
+    return policy;
+}
+
+/**
+ * Mark targets as met when the case reaches `status`: the target for that
+ * status and every target for a state behind it in the transition graph (one
+ * that leads to `status` but cannot be reached from it, so a skipped state
+ * counts as passed). Reaching a closed state meets them all.
+ * Call before saving a status change.
+ */
+export function markSlaProgress(alert, status, workflow, at = new Date()) {
+    const closed = isClosedStatus(workflow, status);
+
+    for (const target of alert.sla?.targets || []) {
+        if (target.metAt) continue;
+        const passed = canReachStatus(workflow, target.status, status)
+            && !canReachStatus(workflow, status, target.status);
+        if (closed || target.status === status || passed) {
+            target.metAt = at;
+        }
+    }
+}
+
+/**
+ * Breach state + time remaining for list views. Works on lean docs.
+ */
+export function describeSla(alert, now = Date.now()) {
+    const targets = alert.sla?.targets || [];
+    if (!targets.length) return null;
+
+    const pending = targets
+        .filter(t => !t.metAt && !t.breachedAt)
+        .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+    const next = alert.isActive === false ? null : pending[0];
+    const overdue = next ? new Date(next.dueAt).getTime() <= now : false;
+
+    return {
+        breached: Boolean(alert.sla.breached) || overdue,
+        breachedTargets: targets.filter(t => t.breachedAt).map(t => t.status),
+        escalationCount: alert.sla.escalationCount || 0,
+        nextTarget: next
+            ? {
+                status: next.status,
+                dueAt: next.dueAt,
+                remainingMinutes: Math.round((new Date(next.dueAt).getTime() - now) / 60000)
+            }
+            : null
+    };
+}
+
+async function findEscalationPartner(alert, rerouteTo) {
+    if (rerouteTo === 'none' || !alert.areaId) return null;
+
+    const area = await Area.findById(alert.areaId)
+        .select('backupPartnerId supervisorPartnerId roster')
+        .lean();
+    if (!area) return null;
+
+    // On-duty roster officers first, then the area's fixed escalation targets
+    const backup = onDutyPartnerForRole(area, 'backup');
+    const supervisor = onDutyPartnerForRole(area, 'supervisor');
+    const preferred = rerouteTo === 'backup'
+        ? [backup, supervisor, area.backupPartnerId, area.supervisorPartnerId]
+        : [supervisor, backup, area.supervisorPartnerId, area.backupPartnerId];
+
+    return preferred.find(id => id && String(id) !== String(alert.assignedPartnerId)) || null;
+}
+
+async function escalateAlert(alert, now) {
+    const missed = alert.sla.targets.filter(t => !t.metAt && !t.breachedAt && t.dueAt <= now);
+    if (!missed.length) return;
+
+    missed.forEach(t => { t.breachedAt = now; });
+    alert.sla.breached = true;
+    alert.sla.escalationCount = (alert.sla.escalationCount || 0) + 1;
+
+    const policy = alert.sla.policyId
+        ? await SlaPolicy.findById(alert.sla.policyId).select('escalation').lean()
+        : null;
+    const escalation = policy?.escalation || { raisePriority: true, rerouteTo: 'supervisor' };
+
+    const previousPriority = alert.priority;
+    if (escalation.raisePriority) {
+        const idx = PRIORITY_LADDER.indexOf(alert.priority);
+        alert.priority = PRIORITY_LADDER[Math.min(idx + 1, PRIORITY_LADDER.length - 1)] || 'critical';
+    }
+
+    const previousPartnerId = alert.assignedPartnerId;
+    const escalatedTo = await findEscalationPartner(alert, escalation.rerouteTo);
+    if (escalatedTo) {
+        alert.assignedPartnerId = escalatedTo;
+    }
+
+    const missedList = missed.map(t => `"${t.status}"`).join(', ');
+    const notes = [`SLA breached: case did not reach ${missedList} in time.`];
+    if (alert.priority !== previousPriority) notes.push(`Priority raised ${previousPriority} → ${alert.priority}.`);
+    if (escalatedTo) notes.push(`Escalated to ${escalation.rerouteTo} officer.`);
+
+    alert.timeline.push({
+        status: alert.status,
+        basisType: 'SLA Breach',
+        note: notes.join(' '),
+        timestamp: now,
+        updatedBy: null,
+        updatedByName: 'System',
+        visibility: 'internal'
+    });
+
+    await alert.save();
+
+    // ── Notify client (+ new assignee) ────────────────────────────────────
+    const caseRef = alert._id.toString().slice(-6).toUpperCase();
+    const payload = {
+        alertId: alert._id,
+        status: alert.status,
+        missedTargets: missed.map(t => t.status),
+        priority: alert.priority,
+        previousPriority,
+        assignedPartnerId: alert.assignedPartnerId,
+        previousPartnerId
+    };
+
+    const recipients = [{ id: alert.clientId, model: 'Client' }];
+    if (escalatedTo) recipients.push({ id: escalatedTo, model: 'Partner' });
+
+    try {
+        await Notification.insertMany(recipients.map(r => ({
+            userId: r.id,
+            recipientModel: r.model,
+            type: 'sla_breach',
+            title: `SLA Breach: Case #${caseRef}`,
+            message: notes.join(' '),
+            data: payload
+        })));
+    } catch (notifErr) {
+        console.warn('[SLA] Notification creation failed (non-critical):', notifErr.message);
+    }
+
+    // Tenant, area chain and both the previous and the new officer see the breach live
+    await publishCaseEvent('case:sla_breached', alert, { payload, previous: { assignedPartnerId: previousPartnerId } });
+
+    console.log(`[SLA] Case ${alert._id} breached ${missedList} | priority ${previousPriority} → ${alert.priority}${escalatedTo ? ` | escalated to ${escalatedTo}` : ''}`);
+}
+
+/**
+ * Find open cases with overdue, unmet targets and escalate them. Each case is
+ * claimed with an atomic lease first, so concurrent workers never escalate
+ * the same case twice.
+ * Returns the number of cases processed.
+ */
+export async function checkSlaBreaches(now = new Date()) {
+    // Linked reports ride on their parent's SLA
+    const overdueFilter = {
+        isActive: true,
+        parentAlertId: null,
+        'sla.targets': { $elemMatch: { metAt: null, breachedAt: null, dueAt: { $lte: now } } }
+    };
+    const unlocked = { $or: [{ 'sla.lockedUntil': null }, { 'sla.lockedUntil': { $lte: new Date() } }] };
+
+    const candidates = await Alert.find({ ...overdueFilter, ...unlocked })
+        .select('_id')
+        .limit(BREACH_BATCH_SIZE)
+        .lean();
+
+    let processed = 0;
+    for (const { _id } of candidates) {
+        const alert = await Alert.findOneAndUpdate(
+            { _id, ...overdueFilter, ...unlocked },
+            { $set: { 'sla.lockedUntil': new Date(Date.now() + WORKER_LEASE_MS) } },
+            { new: true }
+        );
+        if (!alert) continue; // another instance took it
+
+        try {
+            await escalateAlert(alert, now);
+            processed++;
+        } catch (err) {
+            console.error(`[SLA] Escalation failed for case ${alert._id}:`, err.message);
+        } finally {
+            await Alert.updateOne({ _id }, { $set: { 'sla.lockedUntil': null } });
+        }
+    }
+
+    return processed;
+}
+
+let workerRunning = false;
+
+/**
+ * Schedule the breach worker. Runs every minute unless SLA_CHECK_CRON overrides it.
+ */
+export function startSlaWorker() {
+    const schedule = process.env.SLA_CHECK_CRON || '* * * * *';
+
+    cron.schedule(schedule, async () => {
+        if (workerRunning) return; // previous tick still going
+        workerRunning = true;
+        try {
+            const processed = await checkSlaBreaches();
+            if (processed) console.log(`[SLA] Processed ${processed} breached case(s)`);
+        } catch (err) {
+            console.error('[SLA] Worker error:', err.message);
+        } finally {
+            workerRunning = false;
+        }
+    });
+
+    console.log(`✅ [SLA] Breach worker scheduled (${schedule})`);
+}
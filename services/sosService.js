@@ -0,0 +1,440 @@
+import cron from 'node-cron';
+import Alert from '../models/Alert.js';
+import Area from '../models/Area.js';
+import Partner from '../models/Partner.js';
+import Notification from '../models/Notification.js';
+import { io, getActiveConnections } from './chatWebSocket.js';
+import { resolveWorkflow } from './workflowService.js';
+import { applySlaPolicy } from './slaService.js';
+import { routeCase } from './caseRoutingService.js';
+import { onDutyRoster } from './rosterService.js';
+import { findNearestOnDutyPartners } from './partnerLocationService.js';
+import { reassignCase } from './caseAssignmentService.js';
+import { emitCaseEvent } from './caseService.js';
+
+export const SOS_CATEGORY = 'sos';
+
+// Area owner has this long to acknowledge before nearby partners are pulled in
+const ACK_TIMEOUT_SECONDS = Number(process.env.SOS_ACK_TIMEOUT_SECONDS) || 60;
+const FALLBACK_RADIUS_METERS = 20000;
+const FALLBACK_PARTNER_COUNT = 3;
+const TRAIL_MAX_POINTS = 500;
+// How long a worker instance holds an SOS while escalating it
+const WORKER_LEASE_MS = 60 * 1000;
+
+export const sosRoom = alertId => `sos:${alertId}`;
+
+const sameId = (a, b) => a && b && String(a) === String(b);
+
+function sosPayload(alert, extra = {}) {
+    return {
+        alertId: alert._id,
+        title: alert.title,
+        priority: alert.priority,
+        status: alert.status,
+        areaId: alert.areaId,
+        assignedPartnerId: alert.assignedPartnerId,
+        location: alert.sos.lastLocation,
+        startedAt: alert.sos.startedAt,
+        acknowledgedAt: alert.sos.acknowledgedAt,
+        ...extra
+    };
+}
+
+function sosTimelineEntry(alert, basisType, note, actor, visibility = 'citizen') {
+    return {
+        status: alert.status,
+        basisType,
+        note,
+        timestamp: new Date(),
+        updatedBy: actor?._id || null,
+        updatedByName: actor ? (actor.name || actor.organizationName || actor.email || 'Officer') : 'System',
+        visibility
+    };
+}
+
+async function alertRecipients(alert, recipients, { title, message, event, payload }) {
+    try {
+        await Notification.insertMany(recipients.map(r => ({
+            userId: r.id,
+            recipientModel: r.model,
+            type: 'sos_alert',
+            title,
+            message,
+            data: payload
+        })));
+    } catch (notifErr) {
+        console.warn('[SOS] Notification creation failed (non-critical):', notifErr.message);
+    }
+
+    if (io) {
+        recipients.forEach(r => io.to(`user:${r.id}`).emit(event, payload));
+    }
+}
+
+/**
+ * Who may follow / act on an SOS: the citizen, the owning client, the assigned
+ * partner and every partner the stream was escalated to.
+ */
+export function canAccessSos(alert, { userId, role }) {
+    if (role === 'user') return sameId(alert.userId, userId);
+    if (role === 'client') return sameId(alert.clientId, userId);
+    if (role === 'partner') {
+        return sameId(alert.assignedPartnerId, userId)
+            || (alert.sos?.notifiedPartnerIds || []).some(id => sameId(id, userId));
+    }
+    return false;
+}
+
+/**
+ * Nearest partners to the SOS that are not already on it — on-duty officers by
+ * live location first, then the on-duty roster (then owner) of the areas
+ * closest to the point, connected partners first.
+ */
+async function findFallbackPartners(alert, limit = FALLBACK_PARTNER_COUNT) {
+    if (!alert.location?.coordinates?.length) return [];
+
+    const excluded = new Set((alert.sos.notifiedPartnerIds || []).map(String));
+    if (alert.assignedPartnerId) excluded.add(String(alert.assignedPartnerId));
+
+    const live = await findNearestOnDutyPartners(alert.clientId, alert.location, {
+        limit,
+        maxDistanceMeters: FALLBACK_RADIUS_METERS,
+        excludeIds: [...excluded]
+    });
+    const liveIds = live.map(p => String(p.partnerId));
+    if (liveIds.length >= limit) return liveIds;
+    liveIds.forEach(id => excluded.add(id));
+
+    const areas = await Area.find({
+        clientId: alert.clientId,
+        boundary: { $near: { $geometry: alert.location, $maxDistance: FALLBACK_RADIUS_METERS } }
+    }).select('partnerId roster').limit(20).lean();
+
+    const candidateIds = areas.flatMap(a => [...onDutyRoster(a).map(e => e.partnerId), a.partnerId]).filter(Boolean);
+    const orderedIds = [...new Set(candidateIds.map(String))].filter(id => !excluded.has(id));
+    if (!orderedIds.length) return liveIds;
+
+    const eligible = await Partner.find({
+        _id: { $in: orderedIds },
+        clientId: alert.clientId,
+        isActive: true,
+        isDeleted: { $ne: true },
+        verificationStatus: 'approved'
+    }).select('_id').lean();
+    const eligibleIds = new Set(eligible.map(p => String(p._id)));
+
+    const connected = await getActiveConnections();
+    const byArea = orderedIds
+        .filter(id => eligibleIds.has(id))
+        .sort((a, b) => Number(connected.has(b)) - Number(connected.has(a)));
+    return [...liveIds, ...byArea].slice(0, limit);
+}
+
+/**
+ * Pull the nearest available partners into the live stream.
+ */
+async function escalateSos(alert) {
+    const fallbackIds = await findFallbackPartners(alert);
+
+    alert.sos.escalatedAt = new Date();
+    alert.sos.notifiedPartnerIds.push(...fallbackIds);
+    alert.timeline.push(sosTimelineEntry(
+        alert,
+        'SOS Escalated',
+        fallbackIds.length
+            ? `No acknowledgement within ${ACK_TIMEOUT_SECONDS}s — alerted ${fallbackIds.length} nearby officer(s).`
+            : `No acknowledgement within ${ACK_TIMEOUT_SECONDS}s and no nearby officer available.`,
+        null,
+        'internal'
+    ));
+    await alert.save();
+
+    const payload = sosPayload(alert, { escalated: true });
+    if (fallbackIds.length) {
+        await alertRecipients(alert, fallbackIds.map(id => ({ id, model: 'Partner' })), {
+            title: '🚨 SOS nearby — response needed',
+            message: `Unacknowledged SOS near your area (case #${alert._id.toString().slice(-6).toUpperCase()}).`,
+            event: 'sos:started',
+            payload
+        });
+    }
+    if (io) io.to(sosRoom(alert._id)).emit('sos:escalated', { ...payload, partnerIds: fallbackIds });
+
+    console.log(`[SOS] Case ${alert._id} escalated to ${fallbackIds.length} fallback partner(s)`);
+}
+
+/**
+ * Open an SOS for a citizen at their current location. Pressing the button
+ * again while a session is live returns that session.
+ *
+ * Returns { alert, area, resumed } or { status: 422, error } when no client
+ * covers the location (the app then points the citizen to the emergency number).
+ */
+export async function startSos(user, { lat, lng, accuracy, note }) {
+    const existing = await Alert.findOne({ userId: user._id, 'sos.active': true });
+    if (existing) return { alert: existing, area: null, resumed: true };
+
+    const clientId = user.clientId?._id || user.clientId;
+    const point = { type: 'Point', coordinates: [lng, lat] };
+    const { area, partnerId, routing, clientId: resolvedClientId } = await routeCase(clientId, point);
+    if (!resolvedClientId) {
+        return { status: 422, error: 'No client jurisdiction covers this location. Please call the emergency number.' };
+    }
+
+    const workflow = await resolveWorkflow(resolvedClientId, SOS_CATEGORY);
+    const now = new Date();
+    const position = { lat, lng, accuracy: accuracy ?? null, at: now };
+
+    const alert = new Alert({
+        title: 'SOS Emergency',
+        message: note || 'SOS panic button activated',
+        priority: 'critical',
+        type: 'USER',
+        status: workflow.initialState,
+        clientId: resolvedClientId,
+        userId: user._id,
+        createdBy: user._id,
+        metadata: { type: SOS_CATEGORY },
+        location: point,
+        areaId: area?._id || null,
+        assignedPartnerId: partnerId,
+        routedPartnerId: partnerId,
+        routing,
+        sos: {
+            active: true,
+            startedAt: now,
+            ackDeadline: new Date(now.getTime() + ACK_TIMEOUT_SECONDS * 1000),
+            notifiedPartnerIds: partnerId ? [partnerId] : [],
+            lastLocation: position,
+            trail: [position]
+        }
+    });
+    await applySlaPolicy(alert);
+    await alert.save();
+
+    const recipients = [{ id: resolvedClientId, model: 'Client' }];
+    if (partnerId) recipients.push({ id: partnerId, model: 'Partner' });
+    await alertRecipients(alert, recipients, {
+        title: '🚨 SOS Emergency',
+        message: `Citizen triggered SOS${area ? ` in ${area.name}` : ''}. Live location is streaming.`,
+        event: 'sos:started',
+        payload: sosPayload(alert)
+    });
+    await emitCaseEvent('new_case', alert);
+
+    // Nobody owns this area — go straight to nearby partners
+    if (!partnerId) await escalateSos(alert);
+
+    console.log(`[SOS] Started case ${alert._id} | area: ${area?.name || 'none'} | partner: ${partnerId || 'none'}`);
+    return { alert, area, resumed: false };
+}
+
+/**
+ * Append a position from the citizen's app and fan it out to the session room.
+ */
+export async function recordSosLocation(alertId, userId, { lat, lng, accuracy }) {
+    const point = { lat, lng, accuracy: accuracy ?? null, at: new Date() };
+    const result = await Alert.updateOne(
+        { _id: alertId, userId, 'sos.active': true },
+        {
+            $set: { 'sos.lastLocation': point },
+            $push: { 'sos.trail': { $each: [point], $slice: -TRAIL_MAX_POINTS } }
+        }
+    );
+    if (!result.matchedCount) return false;
+
+    if (io) io.to(sosRoom(alertId)).emit('sos:location', { alertId, ...point });
+    return true;
+}
+
+/**
+ * A partner takes the SOS. The claim is atomic: when several escalated
+ * partners acknowledge together only the first wins; a fallback partner who
+ * wins becomes the assignee (reassignment history + the displaced officer is told).
+ *
+ * Returns the case as stored — acknowledgedBy shows who took it.
+ */
+export async function acknowledgeSos(alert, partner) {
+    const claimed = await Alert.findOneAndUpdate(
+        { _id: alert._id, 'sos.acknowledgedAt': null },
+        { $set: { 'sos.acknowledgedAt': new Date(), 'sos.acknowledgedBy': partner._id } },
+        { new: true }
+    );
+    if (!claimed) return Alert.findById(alert._id);
+
+    if (!sameId(claimed.assignedPartnerId, partner._id)) {
+        await reassignCase(claimed, { toPartner: partner, reason: 'Acknowledged the SOS first', actor: partner });
+    }
+    claimed.timeline.push(sosTimelineEntry(claimed, 'SOS Acknowledged', 'An officer has acknowledged your SOS and is responding.', partner));
+    await claimed.save();
+
+    const payload = sosPayload(claimed, { acknowledgedBy: partner._id, acknowledgedByName: partner.name || null });
+    if (io) {
+        io.to(sosRoom(claimed._id)).emit('sos:acknowledged', payload);
+        io.to(`user:${claimed.userId}`).emit('sos:acknowledged', payload);
+    }
+    return claimed;
+}
+
+/**
+ * End the live session (citizen safe, or officer on scene). The case itself stays open.
+ */
+export async function closeSos(alert, actor, note) {
+    alert.sos.active = false;
+    alert.sos.endedAt = new Date();
+    alert.sos.endedBy = actor?._id || null;
+    alert.timeline.push(sosTimelineEntry(
+        alert,
+        'SOS Closed',
+        note || (actor?.role === 'user' ? 'Citizen marked themselves safe.' : 'SOS live session closed by officer.'),
+        actor
+    ));
+    await alert.save();
+
+    if (io) {
+        const room = sosRoom(alert._id);
+        io.to(room).emit('sos:ended', { alertId: alert._id, endedAt: alert.sos.endedAt, endedBy: alert.sos.endedBy });
+        io.in(room).socketsLeave(room);
+    }
+    return alert;
+}
+
+/**
+ * Escalate live SOS sessions whose acknowledgement deadline passed. Each
+ * session is claimed with an atomic lease first, so concurrent workers (one
+ * per instance) never escalate the same SOS twice.
+ */
+export async function escalateUnacknowledgedSos(now = new Date()) {
+    const overdueFilter = {
+        'sos.active': true,
+        'sos.acknowledgedAt': null,
+        'sos.escalatedAt': null,
+        'sos.ackDeadline': { $lte: now }
+    };
+    const unlocked = { $or: [{ 'sos.lockedUntil': null }, { 'sos.lockedUntil': { $lte: new Date() } }] };
+
+    const candidates = await Alert.find({ ...overdueFilter, ...unlocked }).select('_id').limit(50).lean();
+
+    let processed = 0;
+    for (const { _id } of candidates) {
+        const alert = await Alert.findOneAndUpdate(
+            { _id, ...overdueFilter, ...unlocked },
+            { $set: { 'sos.lockedUntil': new Date(Date.now() + WORKER_LEASE_MS) } },
+            { new: true }
+        );
+        if (!alert) continue; // another instance took it
+
+        try {
+            await escalateSos(alert);
+            processed++;
+        } catch (err) {
+            console.error(`[SOS] Escalation failed for case ${alert._id}:`, err.message);
+        } finally {
+            await Alert.updateOne({ _id }, { $set: { 'sos.lockedUntil': null } });
+        }
+    }
+    return processed;
+}
+
+let workerRunning = false;
+
+/**
+ * Schedule the acknowledgement sweep. Runs every 15 seconds unless SOS_CHECK_CRON overrides it.
+ */
+export function startSosWorker() {
+    const schedule = process.env.SOS_CHECK_CRON || '*/15 * * * * *';
+
+    cron.schedule(schedule, async () => {
+        if (workerRunning) return; // previous tick still going
+        workerRunning = true;
+        try {
+            await escalateUnacknowledgedSos();
+        } catch (err) {
+            console.error('[SOS] Worker error:', err.message);
+        } finally {
+            workerRunning = false;
+        }
+    });
+
+    console.log(`✅ [SOS] Acknowledgement worker scheduled (${schedule})`);
+}
+
+const readPoint = (data) => {
+    const lat = parseFloat(data?.latitude);
+    const lng = parseFloat(data?.longitude);
+    if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+    const accuracy = parseFloat(data?.accuracy);
+    return { lat, lng, accuracy: isNaN(accuracy) ? null : accuracy };
+};
+
+/**
+ * SOS events on the chat Socket.IO server:
+ *   sos:join        { alertId }                         → follow a live session
+ *   sos:location    { alertId, latitude, longitude, accuracy? }  (citizen)
+ *   sos:acknowledge { alertId }                         (partner)
+ *   sos:leave       { alertId }
+ */
+export function registerSosSocketHandlers(socket) {
+    const { userId, userType } = socket;
+
+    const loadAccessible = async (alertId) => {
+        if (!alertId) return null;
+        const alert = await Alert.findById(alertId).catch(() => null);
+        return alert && canAccessSos(alert, { userId, role: userType }) ? alert : null;
+    };
+
+    socket.on('sos:join', async (data, callback) => {
+        try {
+            const alert = await loadAccessible(data?.alertId);
+            if (!alert) return callback?.({ success: false, message: 'SOS not found or access denied' });
+
+            socket.join(sosRoom(alert._id));
+            callback?.({
+                success: true,
+                sos: { ...sosPayload(alert), active: alert.sos.active, trail: alert.sos.trail }
+            });
+        } catch (error) {
+            console.error('[SOS] sos:join error:', error.message);
+            callback?.({ success: false, message: 'Failed to join SOS' });
+        }
+    });
+
+    socket.on('sos:location', async (data, callback) => {
+        try {
+            if (userType !== 'user') return callback?.({ success: false, message: 'Only the citizen can stream location' });
+
+            const point = readPoint(data);
+            if (!point) return callback?.({ success: false, message: 'Valid latitude and longitude are required' });
+
+            const recorded = await recordSosLocation(data.alertId, userId, point);
+            callback?.(recorded ? { success: true } : { success: false, message: 'No live SOS for this case' });
+        } catch (error) {
+            console.error('[SOS] sos:location error:', error.message);
+            callback?.({ success: false, message: 'Failed to record location' });
+        }
+    });
+
+    socket.on('sos:acknowledge', async (data, callback) => {
+        try {
+            if (userType !== 'partner') return callback?.({ success: false, message: 'Only officers can acknowledge' });
+
+            const alert = await loadAccessible(data?.alertId);
+            if (!alert || !alert.sos.active) return callback?.({ success: false, message: 'No live SOS for this case' });
+
+            const acknowledged = await acknowledgeSos(alert, socket.user);
+            if (!sameId(acknowledged.sos.acknowledgedBy, userId)) {
+                return callback?.({ success: false, message: 'Another officer already acknowledged this SOS' });
+            }
+            socket.join(sosRoom(alert._id));
+            callback?.({ success: true, acknowledgedAt: acknowledged.sos.acknowledgedAt });
+        } catch (error) {
+            console.error('[SOS] sos:acknowledge error:', error.message);
+            callback?.({ success: false, message: 'Failed to acknowledge SOS' });
+        }
+    });
+
+    socket.on('sos:leave', (data) => {
+        if (data?.alertId) socket.leave(sosRoom(data.alertId));
+    });
+}
@@ -0,0 +1,167 @@
+import CaseWorkflow from '../models/CaseWorkflow.js';
+
+/**
+ * Built-in workflow used when a client has not stored one of their own.
+ *
+ *   Reported → Under Review → Verified → Action Taken → Resolved
+ *                                     ↘ Rejected (from Under Review or Verified only)
+ */
+export const DEFAULT_WORKFLOW = {
+    name: 'Default Case Workflow',
+    category: null,
+    initialState: 'Reported',
+    reopenState: 'Under Review',
+    states: [
+        { name: 'Reported', isClosed: false },
+        { name: 'Under Review', isClosed: false },
+        { name: 'Verified', isClosed: false },
+        { name: 'Action Taken', isClosed: false },
+        { name: 'Resolved', isClosed: true },
+        { name: 'Rejected', isClosed: true, rejected: true }
+    ],
+    transitions: [
+        { from: 'Reported', to: 'Under Review', roles: ['partner', 'admin'] },
+        { from: 'Under Review', to: 'Verified', roles: ['partner', 'admin'] },
+        { from: 'Under Review', to: 'Rejected', roles: ['partner', 'admin'] },
+        { from: 'Verified', to: 'Action Taken', roles: ['partner', 'admin'] },
+        { from: 'Verified', to: 'Rejected', roles: ['partner', 'admin'] },
+        { from: 'Action Taken', to: 'Resolved', roles: ['partner', 'admin'] }
+    ],
+    isDefault: true
+};
+
+export const WORKFLOW_ROLES = ['partner', 'client', 'admin', 'super_admin'];
+
+/**
+ * Validate a workflow definition before it is stored.
+ * Returns an error message, or null when the definition is usable.
+ */
+export function validateWorkflowDefinition({ initialState, reopenState, states, transitions }) {
+    if (!Array.isArray(states) || states.length === 0) {
+        return 'At least one state is required';
+    }
+
+    const names = states.map(s => (s?.name || '').trim());
+    if (names.some(n => !n)) {
+        return 'Every state needs a name';
+    }
+    if (new Set(names).size !== names.length) {
+        return 'State names must be unique';
+    }
+
+    if (!initialState || !names.includes(initialState.trim())) {
+        return 'initialState must be one of the defined states';
+    }
+
+    if (reopenState) {
+        const target = states.find(s => s.name.trim() === reopenState.trim());
+        if (!target) {
+            return 'reopenState must be one of the defined states';
+        }
+        if (target.isClosed) {
+            return 'reopenState cannot be a closed state';
+        }
+    }
+
+    const openRejected = states.find(s => s.rejected && !s.isClosed);
+    if (openRejected) {
+        return `State "${openRejected.name}" is marked rejected but is not closed`;
+    }
+
+    if (!Array.isArray(transitions)) {
+        return 'transitions must be an array';
+    }
+
+    const seen = new Set();
+    for (const t of transitions) {
+        const from = (t?.from || '').trim();
+        const to = (t?.to || '').trim();
+        if (!names.includes(from) || !names.includes(to)) {
+            return `Transition "${from}" → "${to}" references an unknown state`;
+        }
+        if (from === to) {
+            return `Transition "${from}" → "${to}" must change the state`;
+        }
+        if (seen.has(`${from}→${to}`)) {
+            return `Duplicate transition "${from}" → "${to}"`;
+        }
+        seen.add(`${from}→${to}`);
+
+        const roles = t.roles ?? [];
+        if (!Array.isArray(roles) || roles.some(r => !WORKFLOW_ROLES.includes(r))) {
+            return `Transition "${from}" → "${to}" has invalid roles. Valid roles: ${WORKFLOW_ROLES.join(', ')}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Resolve the workflow that governs a client's cases of a given category.
+ * Lookup order: client + category → client default → built-in default.
+ */
+export async function resolveWorkflow(clientId, category = null) {
+    if (!clientId) return DEFAULT_WORKFLOW;
+
+    const normalizedCategory = category ? String(category).toLowerCase().trim() : null;
+    const candidates = await CaseWorkflow.find({
+        clientId,
+        isActive: true,
+        category: normalizedCategory ? { $in: [normalizedCategory, null] } : null
+    }).lean();
+
+    return candidates.find(w => w.category && w.category === normalizedCategory)
+        || candidates.find(w => !w.category)
+        || DEFAULT_WORKFLOW;
+}
+
+/**
+ * Statuses reachable from `fromStatus`, optionally limited to those `role` may perform.
+ */
+export function getAllowedNextStatuses(workflow, fromStatus, role = null) {
+    return (workflow.transitions || [])
+        .filter(t => t.from === fromStatus)
+        .filter(t => !role || (t.roles || []).includes(role))
+        .map(t => t.to);
+}
+
+/**
+ * Whether some chain of transitions leads from `fromStatus` to `toStatus`.
+ */
+export function canReachStatus(workflow, fromStatus, toStatus) {
+    const seen = new Set([fromStatus]);
+    const queue = [fromStatus];
+    while (queue.length) {
+        const current = queue.shift();
+        for (const next of getAllowedNextStatuses(workflow, current)) {
+            if (next === toStatus) return true;
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+    }
+    return false;
+}
+
+export function getWorkflowStatuses(workflow) {
+    return (workflow.states || []).map(s => s.name);
+}
+
+export function isClosedStatus(workflow, status) {
+    return (workflow.states || []).some(s => s.name === status && s.isClosed);
+}
+
+/**
+ * Closed state flagged as a rejection (closed without action).
+ */
+export function isRejectedStatus(workflow, status) {
+    return (workflow.states || []).some(s => s.name === status && s.isClosed && s.rejected);
+}
+
+/**
+ * Status a citizen-reopened case re-enters.
+ */
+export function getReopenStatus(workflow) {
+    return workflow.reopenState || workflow.initialState;
+}
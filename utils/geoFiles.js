@@ -0,0 +1,214 @@
+import zlib from 'zlib';
+import path from 'path';
+import { DOMParser } from '@xmldom/xmldom';
+import togeojson from 'togeojson';
+
+// Refuse archives that inflate beyond this (zip bombs)
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Read every file entry of a zip archive (stored or deflated).
+ *
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} entry path → contents
+ */
+export const readZipEntries = (buffer) => {
+  // End of central directory sits in the last 22 + 65535 (comment) bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new Error('Not a valid zip archive');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = new Map();
+  let inflated = 0;
+
+  for (let n = 0; n < count; n++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: MAX_UNZIPPED_BYTES - inflated });
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+
+    inflated += data.length;
+    entries.set(name, data);
+  }
+  return entries;
+};
+
+// ── Shapefile ───────────────────────────────────────────────────────────────
+
+const SHP_POLYGON_TYPES = [5, 15, 25]; // Polygon, PolygonZ, PolygonM
+
+/**
+ * Shapefile rings: outer rings are clockwise, holes counter-clockwise and
+ * follow their shell. Returns one GeoJSON geometry per record (null for empty shapes).
+ */
+const parseShp = (buffer) => {
+  const shapeType = buffer.readInt32LE(32);
+  if (!SHP_POLYGON_TYPES.includes(shapeType) && shapeType !== 0) {
+    throw new Error(`Shapefile must contain polygons (shape type ${shapeType} found)`);
+  }
+
+  const geometries = [];
+  let offset = 100;
+  while (offset + 8 <= buffer.length) {
+    const contentLength = buffer.readInt32BE(offset + 4) * 2;
+    const record = buffer.subarray(offset + 8, offset + 8 + contentLength);
+    offset += 8 + contentLength;
+
+    const type = record.readInt32LE(0);
+    if (type === 0) { geometries.push(null); continue; }
+
+    const numParts = record.readInt32LE(36);
+    const numPoints = record.readInt32LE(40);
+    const parts = [];
+    for (let p = 0; p < numParts; p++) parts.push(record.readInt32LE(44 + p * 4));
+    const pointsAt = 44 + numParts * 4;
+
+    const rings = parts.map((start, p) => {
+      const end = p + 1 < numParts ? parts[p + 1] : numPoints;
+      const ring = [];
+      for (let k = start; k < end; k++) {
+        ring.push([record.readDoubleLE(pointsAt + k * 16), record.readDoubleLE(pointsAt + k * 16 + 8)]);
+      }
+      return ring;
+    });
+
+    const polygons = [];
+    for (const ring of rings) {
+      let area = 0;
+      for (let k = 0; k < ring.length - 1; k++) area += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+      if (area <= 0 || !polygons.length) polygons.push([ring]);
+      else polygons[polygons.length - 1].push(ring);
+    }
+
+    geometries.push(polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons });
+  }
+  return geometries;
+};
+
+const parseDbf = (buffer, encoding) => {
+  const count = buffer.readUInt32LE(4);
+  const headerLength = buffer.readUInt16LE(8);
+  const recordLength = buffer.readUInt16LE(10);
+
+  const fields = [];
+  for (let offset = 32; offset < headerLength - 1 && buffer[offset] !== 0x0d; offset += 32) {
+    fields.push({
+      name: buffer.toString('latin1', offset, offset + 11).replace(/\0.*$/, ''),
+      type: String.fromCharCode(buffer[offset + 11]),
+      length: buffer[offset + 16]
+    });
+  }
+
+  const rows = [];
+  for (let r = 0; r < count; r++) {
+    const start = headerLength + r * recordLength;
+    const row = {};
+    let offset = start + 1; // deletion flag
+    for (const field of fields) {
+      const text = buffer.toString(encoding, offset, offset + field.length).trim();
+      offset += field.length;
+      row[field.name] = ['N', 'F'].includes(field.type) && text !== '' ? Number(text) : text;
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+const parseZippedShapefile = (buffer) => {
+  const entries = readZipEntries(buffer);
+  const byExt = (base, ext) => {
+    for (const [name, data] of entries) {
+      if (name.slice(0, -path.extname(name).length) === base && path.extname(name).toLowerCase() === ext) return data;
+    }
+    return null;
+  };
+
+  const shpNames = [...entries.keys()].filter(name => path.extname(name).toLowerCase() === '.shp');
+  if (!shpNames.length) throw new Error('Zip archive does not contain a .shp file');
+
+  const features = [];
+  for (const shpName of shpNames) {
+    const base = shpName.slice(0, -4);
+
+    const prj = byExt(base, '.prj')?.toString('latin1') || '';
+    if (/PROJCS/i.test(prj)) {
+      throw new Error(`${path.basename(shpName)} uses a projected coordinate system; re-export it as WGS84 (EPSG:4326)`);
+    }
+
+    const cpg = byExt(base, '.cpg')?.toString('latin1').trim() || '';
+    const encoding = /1252|8859|latin/i.test(cpg) ? 'latin1' : 'utf8';
+    const dbf = byExt(base, '.dbf');
+    const rows = dbf ? parseDbf(dbf, encoding) : [];
+
+    parseShp(entries.get(shpName)).forEach((geometry, i) => {
+      features.push({ type: 'Feature', geometry, properties: rows[i] || {} });
+    });
+  }
+  return features;
+};
+
+// ── KML / GeoJSON ───────────────────────────────────────────────────────────
+
+const parseKml = (text) => {
+  const dom = new DOMParser().parseFromString(text, 'text/xml');
+  if (!dom?.documentElement || dom.getElementsByTagName('parsererror').length) {
+    throw new Error('KML could not be parsed');
+  }
+  return togeojson.kml(dom).features || [];
+};
+
+const parseGeoJson = (text) => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error('GeoJSON could not be parsed');
+  }
+  if (json.type === 'FeatureCollection') return json.features || [];
+  if (json.type === 'Feature') return [json];
+  if (json.type === 'Polygon' || json.type === 'MultiPolygon') return [{ type: 'Feature', geometry: json, properties: {} }];
+  throw new Error('GeoJSON must be a FeatureCollection, Feature or (Multi)Polygon');
+};
+
+/**
+ * Turn an uploaded boundary file (KML, GeoJSON or zipped Shapefile) into GeoJSON features.
+ * The format is decided by the file contents; the extension is only a fallback hint.
+ *
+ * @param {{ buffer: Buffer, originalname?: string }} file - multer file
+ * @returns {{ format: 'kml'|'geojson'|'shapefile', features: object[] }}
+ */
+export const parseBoundaryFile = (file) => {
+  const buffer = file.buffer;
+  if (!buffer?.length) throw new Error('Uploaded file is empty');
+
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return { format: 'shapefile', features: parseZippedShapefile(buffer) };
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('<')) return { format: 'kml', features: parseKml(text) };
+  if (text.startsWith('{')) return { format: 'geojson', features: parseGeoJson(text) };
+
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  throw new Error(`Unsupported boundary file${ext ? ` (${ext})` : ''}; upload .kml, .geojson or a zipped Shapefile`);
+};
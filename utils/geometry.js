@@ -0,0 +1,239 @@
+/**
+ * Planar helpers for area boundaries — positions are GeoJSON [lng, lat].
+ * Good enough at city scale; nothing here handles the antimeridian.
+ */
+
+const EPSILON = 1e-12;
+
+// Metres per degree of latitude (and of longitude at the equator)
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Polygon and MultiPolygon geometries as a list of polygons (each a list of rings).
+ */
+export const toPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+export const isRingClosed = (ring) => {
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return !!first && !!last && first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Shoelace area in square degrees: positive when counter-clockwise.
+ */
+export const signedRingArea = (ring) => {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum / 2;
+};
+
+export const bboxOf = (rings) => {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const ring of rings) {
+    for (const [x, y] of ring) {
+      if (x < box[0]) box[0] = x;
+      if (y < box[1]) box[1] = y;
+      if (x > box[2]) box[2] = x;
+      if (y > box[3]) box[3] = y;
+    }
+  }
+  return box;
+};
+
+export const bboxesIntersect = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+
+const onSegment = (p, a, b) =>
+  Math.min(a[0], b[0]) - EPSILON <= p[0] && p[0] <= Math.max(a[0], b[0]) + EPSILON &&
+  Math.min(a[1], b[1]) - EPSILON <= p[1] && p[1] <= Math.max(a[1], b[1]) + EPSILON;
+
+/**
+ * 'proper' when the segments cross at a point interior to both, 'touch' when
+ * they only meet at an end point or run along each other, otherwise null.
+ */
+export const segmentIntersection = (a1, a2, b1, b2) => {
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+
+  if (((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+      ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON))) {
+    return 'proper';
+  }
+  if ((Math.abs(d1) <= EPSILON && onSegment(a1, b1, b2)) ||
+      (Math.abs(d2) <= EPSILON && onSegment(a2, b1, b2)) ||
+      (Math.abs(d3) <= EPSILON && onSegment(b1, a1, a2)) ||
+      (Math.abs(d4) <= EPSILON && onSegment(b2, a1, a2))) {
+    return 'touch';
+  }
+  return null;
+};
+
+/**
+ * Positions where a closed ring crosses or touches itself (adjacent edges excluded).
+ * Edges are swept by min-x so typical boundaries stay well under O(n²).
+ */
+export const findSelfIntersections = (ring, limit = 10) => {
+  const edges = [];
+  for (let i = 0; i < ring.length - 1; i++) {
+    edges.push({ i, a: ring[i], b: ring[i + 1], minX: Math.min(ring[i][0], ring[i + 1][0]), maxX: Math.max(ring[i][0], ring[i + 1][0]) });
+  }
+  edges.sort((e, f) => e.minX - f.minX);
+
+  const n = ring.length - 1;
+  const hits = [];
+  for (let p = 0; p < edges.length && hits.length < limit; p++) {
+    const e = edges[p];
+    for (let q = p + 1; q < edges.length && edges[q].minX <= e.maxX; q++) {
+      const f = edges[q];
+      const gap = Math.abs(e.i - f.i);
+      if (gap === 1 || gap === n - 1) continue; // neighbours share a vertex
+      if (segmentIntersection(e.a, e.b, f.a, f.b)) {
+        hits.push(e.a);
+        if (hits.length >= limit) break;
+      }
+    }
+  }
+  return hits;
+};
+
+/**
+ * Ray-cast test. Returns 1 inside, 0 on the boundary, -1 outside.
+ */
+export const pointInRing = (point, ring) => {
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const a = ring[i];
+    const b = ring[j];
+    if (Math.abs(cross(a, b, point)) <= EPSILON && onSegment(point, a, b)) return 0;
+    if ((a[1] > y) !== (b[1] > y) && x < ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]) + a[0]) {
+      inside = !inside;
+    }
+  }
+  return inside ? 1 : -1;
+};
+
+/**
+ * True when the point lies strictly inside a polygon (inside the shell, outside every hole).
+ */
+export const pointInPolygon = (point, polygon) => {
+  if (pointInRing(point, polygon[0]) !== 1) return false;
+  return polygon.slice(1).every(hole => pointInRing(point, hole) === -1);
+};
+
+export const pointInGeometry = (point, geometry) => toPolygons(geometry).some(polygon => pointInPolygon(point, polygon));
+
+/**
+ * Approximate shared area of two geometries by sampling a grid over the
+ * intersection of their bounding boxes. Shared edges and digitising slivers
+ * narrower than a cell come out as 0.
+ *
+ * @returns {{ areaSqMeters: number, cells: number[][] }} cells are [lng, lat] centres of shared cells
+ */
+export const estimateOverlap = (geomA, geomB, resolution = 64) => {
+  const boxA = bboxOf(toPolygons(geomA).map(p => p[0]));
+  const boxB = bboxOf(toPolygons(geomB).map(p => p[0]));
+  const empty = { areaSqMeters: 0, cells: [] };
+  if (!bboxesIntersect(boxA, boxB)) return empty;
+
+  const minX = Math.max(boxA[0], boxB[0]);
+  const minY = Math.max(boxA[1], boxB[1]);
+  const maxX = Math.min(boxA[2], boxB[2]);
+  const maxY = Math.min(boxA[3], boxB[3]);
+  if (maxX - minX <= 0 || maxY - minY <= 0) return empty;
+
+  const dx = (maxX - minX) / resolution;
+  const dy = (maxY - minY) / resolution;
+  const cells = [];
+  for (let i = 0; i < resolution; i++) {
+    for (let j = 0; j < resolution; j++) {
+      const point = [minX + (i + 0.5) * dx, minY + (j + 0.5) * dy];
+      if (pointInGeometry(point, geomA) && pointInGeometry(point, geomB)) cells.push(point);
+    }
+  }
+
+  const midLat = ((minY + maxY) / 2) * Math.PI / 180;
+  const cellArea = dx * METERS_PER_DEGREE * Math.cos(midLat) * dy * METERS_PER_DEGREE;
+  return { areaSqMeters: Math.round(cells.length * cellArea), cells };
+};
+
+/**
+ * Approximate area of a geometry in square metres (equirectangular at its mid latitude).
+ */
+export const geometryAreaSqMeters = (geometry) => {
+  let total = 0;
+  for (const polygon of toPolygons(geometry)) {
+    const box = bboxOf([polygon[0]]);
+    const scale = Math.cos(((box[1] + box[3]) / 2) * Math.PI / 180) * METERS_PER_DEGREE * METERS_PER_DEGREE;
+    polygon.forEach((ring, k) => {
+      const area = Math.abs(signedRingArea(ring)) * scale;
+      total += k === 0 ? area : -area;
+    });
+  }
+  return Math.round(total);
+};
+
+/**
+ * Convex hull (monotone chain) of [lng, lat] points as a closed, counter-clockwise ring.
+ */
+export const convexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return null;
+
+  const lower = [];
+  for (const p of sorted) {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+    lower.push(p);
+  }
+  const upper = [];
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    const p = sorted[i];
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+    upper.push(p);
+  }
+
+  const ring = lower.slice(0, -1).concat(upper.slice(0, -1));
+  if (ring.length < 3) return null;
+  ring.push([...ring[0]]);
+  return ring;
+};
+
+/**
+ * Sorted longitudes where the horizontal line at `lat` crosses the geometry's rings.
+ * Consecutive pairs are the inside intervals (even-odd rule, so holes fall out).
+ */
+export const scanlineCrossings = (geometry, lat) => {
+  const xs = [];
+  for (const polygon of toPolygons(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[i + 1];
+        if ((y1 > lat) !== (y2 > lat)) xs.push(x1 + ((lat - y1) * (x2 - x1)) / (y2 - y1));
+      }
+    }
+  }
+  return xs.sort((a, b) => a - b);
+};
+
+/**
+ * Great-circle distance in metres between two [lng, lat] positions.
+ */
+export const haversineMeters = (a, b) => {
+  const rad = d => d * Math.PI / 180;
+  const dLat = rad(b[1] - a[1]);
+  const dLng = rad(b[0] - a[0]);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a[1])) * Math.cos(rad(b[1])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
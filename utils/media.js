@@ -0,0 +1,186 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+// Configure ffmpeg binary
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+/**
+ * Detect the real media type from the file's leading bytes (ignores the
+ * client-supplied name and mimetype).
+ *
+ * @param {Buffer} buffer
+ * @returns {{ mime: string, ext: string } | null}
+ */
+export const sniffMediaType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  // Images
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return { mime: 'image/jpeg', ext: 'jpg' };
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return { mime: 'image/png', ext: 'png' };
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return { mime: 'image/webp', ext: 'webp' };
+
+  // ISO base media (MP4 / MOV / M4A / 3GP / HEIC) — decided by the ftyp brand
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (['heic', 'heix', 'mif1', 'msf1', 'hevc'].includes(brand)) return { mime: 'image/heic', ext: 'heic' };
+    if (brand === 'qt  ') return { mime: 'video/quicktime', ext: 'mov' };
+    if (brand === 'M4A ' || brand === 'M4B ') return { mime: 'audio/mp4', ext: 'm4a' };
+    if (brand.startsWith('3gp') || brand.startsWith('3g2')) return { mime: 'video/3gpp', ext: '3gp' };
+    return { mime: 'video/mp4', ext: 'mp4' };
+  }
+
+  // Matroska / WebM
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return { mime: 'video/webm', ext: 'webm' };
+
+  // Documents
+  if (ascii(buffer, 0, 5) === '%PDF-') return { mime: 'application/pdf', ext: 'pdf' };
+
+  // Audio
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return { mime: 'audio/wav', ext: 'wav' };
+  if (ascii(buffer, 0, 4) === 'OggS') return { mime: 'audio/ogg', ext: 'ogg' };
+  if (ascii(buffer, 0, 5) === '#!AMR') return { mime: 'audio/amr', ext: 'amr' };
+  if (ascii(buffer, 0, 3) === 'ID3') return { mime: 'audio/mpeg', ext: 'mp3' };
+  if (buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) return { mime: 'audio/aac', ext: 'aac' };
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return { mime: 'audio/mpeg', ext: 'mp3' };
+
+  return null;
+};
+
+// ── EXIF (JPEG only) ────────────────────────────────────────────────────────
+
+const TAG_DATETIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATETIME_ORIGINAL = 0x9003;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+
+const readIfd = (tiff, offset, little) => {
+  const u16 = (o) => (little ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (little ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const tags = new Map();
+  if (offset + 2 > tiff.length) return tags;
+
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+
+    if (type === 2) {
+      // ASCII — inline when it fits in 4 bytes
+      const start = n <= 4 ? entry + 8 : u32(entry + 8);
+      if (start + n <= tiff.length) tags.set(tag, ascii(tiff, start, start + n).replace(/\0+$/, ''));
+    } else if (type === 4) {
+      tags.set(tag, u32(entry + 8));
+    } else if (type === 5) {
+      // RATIONAL[] — always stored at an offset
+      const start = u32(entry + 8);
+      const values = [];
+      for (let j = 0; j < n && start + j * 8 + 8 <= tiff.length; j++) {
+        const den = u32(start + j * 8 + 4);
+        values.push(den ? u32(start + j * 8) / den : 0);
+      }
+      tags.set(tag, values);
+    }
+  }
+  return tags;
+};
+
+const parseExifDate = (value, offset) => {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!m) return null;
+  // Without an offset tag the camera's local time is taken as UTC
+  const iso = `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : 'Z'}`;
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toDegrees = (dms, ref) => {
+  if (!Array.isArray(dms) || dms.length < 3) return null;
+  const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -deg : deg;
+};
+
+/**
+ * Pull capture time and GPS position out of a JPEG's EXIF block.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ capturedAt: Date|null, gps: { lat: number, lng: number }|null }}
+ */
+export const extractExif = (buffer) => {
+  const empty = { capturedAt: null, gps: null };
+  if (!buffer || buffer[0] !== 0xff || buffer[1] !== 0xd8) return empty;
+
+  try {
+    let offset = 2;
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker === 0xe1 && ascii(buffer, offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = buffer.subarray(offset + 10, offset + 2 + length);
+        const little = ascii(tiff, 0, 2) === 'II';
+        const ifd0 = readIfd(tiff, little ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), little);
+
+        const exifIfd = ifd0.has(TAG_EXIF_IFD) ? readIfd(tiff, ifd0.get(TAG_EXIF_IFD), little) : new Map();
+        const capturedAt = parseExifDate(
+          exifIfd.get(TAG_DATETIME_ORIGINAL) || ifd0.get(TAG_DATETIME),
+          exifIfd.get(TAG_OFFSET_TIME_ORIGINAL)
+        );
+
+        let gps = null;
+        if (ifd0.has(TAG_GPS_IFD)) {
+          const gpsIfd = readIfd(tiff, ifd0.get(TAG_GPS_IFD), little);
+          const lat = toDegrees(gpsIfd.get(2), gpsIfd.get(1));
+          const lng = toDegrees(gpsIfd.get(4), gpsIfd.get(3));
+          if (lat !== null && lng !== null && !(lat === 0 && lng === 0)) gps = { lat, lng };
+        }
+        return { capturedAt, gps };
+      }
+      // Start of scan — no metadata after this point
+      if (marker === 0xda) break;
+      offset += 2 + length;
+    }
+  } catch (err) {
+    console.warn('[Media] EXIF parse failed:', err.message);
+  }
+  return empty;
+};
+
+/**
+ * Render a JPEG thumbnail (max `width` px wide) for an image buffer.
+ *
+ * @param {Buffer} inputBuffer
+ * @param {string} ext - Input file extension hint for ffmpeg
+ * @param {number} width
+ * @returns {Promise<Buffer>}
+ */
+export const createImageThumbnail = async (inputBuffer, ext = 'jpg', width = 320) => {
+  const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'case-media-'));
+  const inputPath = path.join(tmpDir, `${uuidv4()}.${ext}`);
+  const outputPath = path.join(tmpDir, `${uuidv4()}.jpg`);
+  try {
+    await fs.writeFile(inputPath, inputBuffer);
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .inputOptions(['-y'])
+        .outputOptions(['-vf', `scale='min(${width},iw)':-2`, '-frames:v', '1', '-q:v', '5'])
+        .on('error', (err) => reject(new Error(`Thumbnail generation failed: ${err.message}`)))
+        .on('end', resolve)
+        .save(outputPath);
+    });
+    return await fs.readFile(outputPath);
+  } finally {
+    // Cleanup temp files
+    try { await fs.unlink(inputPath); } catch {}
+    try { await fs.unlink(outputPath); } catch {}
+    try { await fs.rmdir(tmpDir); } catch {}
+  }
+};
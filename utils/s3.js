@@ -44,6 +44,24 @@ export const putobject = async (key, contentType) => {
   }
 };
 
+// Upload a buffer under an exact key (caller controls naming)
+export const putObjectBuffer = async (key, body, contentType) => {
+  try {
+    const command = new PutObjectCommand({
+      Bucket: process.env.R2_BUCKET,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    });
+
+    await s3Client.send(command);
+    return key;
+  } catch (error) {
+    console.error('Error uploading object:', error);
+    throw error;
+  }
+};
+
 // Generate presigned URL for direct browser upload
 export const generateUploadUrl = async (fileName, contentType, folder) => {
   try {